@@ -0,0 +1,183 @@
+/**
+ * Batch Personalization Module
+ * Parses contact CSVs, maps their columns onto product variables and merges per-row PDFs.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { validateFormData } = require('./variableSchema');
+const { validateExpressions } = require('./qlingo');
+
+// Variable types that cannot be filled from a CSV column
+const UNMAPPABLE_TYPES = ['image'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings)
+ * The delimiter is detected from the header line (comma, semicolon or tab).
+ * @param {string} text - CSV file contents
+ * @returns {{columns: string[], rows: Object[]}} Header names and one object per data row
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const headerLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('CSV file is empty');
+  }
+
+  const columns = nonEmpty[0].map(name => name.trim());
+  if (columns.some(name => name === '') || new Set(columns).size !== columns.length) {
+    throw new Error('CSV header must have unique, non-empty column names');
+  }
+
+  const rows = nonEmpty.slice(1).map(values => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = values[index] ?? '';
+    });
+    return row;
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Normalize a name for loose column matching ("First Name" == "firstName" == "first_name")
+ */
+function matchKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggest a column for each mappable variable by matching names and labels
+ * @param {Object} product - Product configuration
+ * @param {string[]} columns - CSV column names
+ * @returns {Object} Map of variable name -> column name
+ */
+function suggestMapping(product, columns) {
+  const mapping = {};
+  product.variables.forEach(variable => {
+    if (UNMAPPABLE_TYPES.includes(variable.type)) return;
+    const keys = [variable.name, variable.label, variable.planObjectName].filter(Boolean).map(matchKey);
+    const column = columns.find(c => keys.includes(matchKey(c)));
+    if (column) mapping[variable.name] = column;
+  });
+  return mapping;
+}
+
+/**
+ * Check a column mapping before any rows are processed
+ * @param {Object} product - Product configuration
+ * @param {string[]} columns - CSV column names
+ * @param {Object} mapping - Map of variable name -> column name
+ * @returns {Array<{field: string, code: string, message: string}>} Mapping errors
+ */
+function validateMapping(product, columns, mapping) {
+  const errors = [];
+  for (const [variableName, column] of Object.entries(mapping)) {
+    const variable = product.variables.find(v => v.name === variableName);
+    if (!variable) {
+      errors.push({ field: variableName, code: 'unknown_field', message: 'Unknown variable' });
+    } else if (UNMAPPABLE_TYPES.includes(variable.type)) {
+      errors.push({ field: variableName, code: 'not_mappable', message: `${variable.type} variables cannot be filled from a CSV` });
+    } else if (!columns.includes(column)) {
+      errors.push({ field: variableName, code: 'unknown_column', message: `Column not found: ${column}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Turn CSV rows into validated form values
+ * Unmapped variables use their defaultValue.
+ * @param {Object} product - Product configuration
+ * @param {Object[]} rows - Parsed CSV rows
+ * @param {Object} mapping - Map of variable name -> column name
+ * @param {Function} sanitize - Sanitizer applied to every cell value
+ * @returns {{rows: Object[], errors: Array<{row: number, field: string, code: string, message: string}>}}
+ *   Form values per row, and errors with 1-based data row numbers
+ */
+function mapRows(product, rows, mapping, sanitize) {
+  const mapped = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const formData = { productId: product.id };
+    for (const [variableName, column] of Object.entries(mapping)) {
+      formData[variableName] = sanitize(row[column]);
+    }
+
+    const { values, errors: rowErrors } = validateFormData(product, formData);
+    rowErrors.push(...validateExpressions(product, values));
+    rowErrors.forEach(error => errors.push({ row: index + 1, ...error }));
+    mapped.push(values);
+  });
+
+  return { rows: mapped, errors };
+}
+
+/**
+ * Merge several PDFs into one, in order
+ * @param {Buffer[]} pdfBuffers
+ * @returns {Promise<Buffer>}
+ */
+async function mergePdfs(pdfBuffers) {
+  const merged = await PDFDocument.create();
+  for (const buffer of pdfBuffers) {
+    const document = await PDFDocument.load(buffer);
+    const pages = await merged.copyPages(document, document.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+  return Buffer.from(await merged.save());
+}
+
+module.exports = {
+  parseCsv,
+  suggestMapping,
+  validateMapping,
+  mapRows,
+  mergePdfs
+};
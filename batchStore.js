@@ -0,0 +1,73 @@
+/**
+ * Batch Store Module
+ * Remembers CSV batches (see /api/batches) under random ids: the async PDF job of every row
+ * (see jobStore.js) and how far each has got, so that status and output requests can be
+ * answered by any instance, not only the one that submitted the batch.
+ * Built on the storage layer (memory, local files or Vercel Blob, see storage/index.js).
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { JOB_TTL_MS } = require('./jobStore');
+
+const BATCH_TTL_MS = JOB_TTL_MS; // A batch is of no use once its row jobs are forgotten
+const MEMORY_STORE_MAX_SIZE = 100; // Max remembered batches when no persistent storage is available
+const BATCH_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+let store = null;
+
+/**
+ * Initialize the store
+ * @param {Object} [env=process.env] - Environment holding the storage settings
+ */
+async function initStore(env = process.env) {
+  store = await createStore('batches', { ttlMs: BATCH_TTL_MS, maxEntries: MEMORY_STORE_MAX_SIZE, limitPersistent: false }, env);
+}
+
+/**
+ * Generate the storage key for a batch
+ * @param {string} batchId
+ * @returns {string}
+ */
+function getStorageKey(batchId) {
+  return `${batchId}.json`;
+}
+
+/**
+ * Remember a submitted batch under a fresh id
+ * @param {Object} batch - { productId, output, rows: [{ row, jobId, status, message }], createdAt }
+ * @returns {Promise<string>} Batch id for the client
+ */
+async function createBatch(batch) {
+  const batchId = crypto.randomBytes(16).toString('hex');
+  await updateBatch(batchId, batch);
+  return batchId;
+}
+
+/**
+ * Get a remembered batch
+ * Storage errors are thrown, so a failing store is not mistaken for an unknown batch.
+ * @param {string} batchId
+ * @returns {Promise<Object|null>} The batch, or null if the id is unknown or expired
+ */
+async function getBatch(batchId) {
+  if (typeof batchId !== 'string' || !BATCH_ID_PATTERN.test(batchId)) return null;
+  const entry = await store.get(getStorageKey(batchId));
+  return entry ? JSON.parse(entry.data.toString('utf8')) : null;
+}
+
+/**
+ * Replace a remembered batch (restarts its lifetime)
+ * @param {string} batchId
+ * @param {Object} batch
+ */
+async function updateBatch(batchId, batch) {
+  await store.set(getStorageKey(batchId), JSON.stringify(batch), { contentType: 'application/json' });
+}
+
+module.exports = {
+  initStore,
+  createBatch,
+  getBatch,
+  updateBatch
+};
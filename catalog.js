@@ -0,0 +1,300 @@
+/**
+ * Product Catalog Module
+ * Loads products.json and checks it before the server uses it. Problems that would break
+ * job tickets or the form (duplicate ids, sizes without a documentId, a default missing from
+ * its options, half-configured plan objects, unknown fold types, ...) are errors and reject the file; anything
+ * merely suspicious is reported as a warning.
+ *
+ * Products edited in the admin console (catalogEdits.js) replace the product with the same id
+ * from products.json, or are added after them; the result is validated as a whole.
+ */
+
+const fs = require('fs');
+const { VARIABLE_TYPES, RESERVED_FIELDS, validateFormData, patternRegExp } = require('./variableSchema');
+const { validateDataSources } = require('./dataSources');
+const { validateOutputProfiles } = require('./outputProfiles');
+const { validateFolds } = require('./folds');
+
+const PLAN_OBJECT_TYPES = ['Variable', 'ADOR'];
+const EXPRESSION_MODES = ['literal', 'raw'];
+
+// Variable that picks the document; its options are the product's size names
+const PAGE_SIZE_VARIABLE = 'pageSize';
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Find values that occur more than once
+ * @param {Array} values
+ * @returns {Array} Each duplicated value once
+ */
+function findDuplicates(values) {
+  const seen = new Set();
+  const duplicates = new Set();
+  values.forEach(value => (seen.has(value) ? duplicates.add(value) : seen.add(value)));
+  return [...duplicates];
+}
+
+/**
+ * Check one variable definition
+ * @param {Object} variable
+ * @param {number} index - Position in the product's variables array
+ * @param {Object} product - Product the variable belongs to
+ * @returns {{errors: string[], warnings: string[]}} Problems, prefixed with the variable name
+ */
+function validateVariable(variable, index, product) {
+  if (!variable || typeof variable !== 'object') {
+    return { errors: [`variables[${index}] must be an object`], warnings: [] };
+  }
+
+  const prefix = `variable ${isNonEmptyString(variable.name) ? variable.name : `#${index + 1}`}`;
+  const errors = [];
+  const warnings = [];
+
+  if (!isNonEmptyString(variable.name)) {
+    errors.push(`${prefix}: name must be a non-empty string`);
+  } else if (RESERVED_FIELDS.includes(variable.name)) {
+    errors.push(`${prefix}: "${variable.name}" is reserved`);
+  }
+  if (!VARIABLE_TYPES.includes(variable.type)) {
+    errors.push(`${prefix}: type must be one of: ${VARIABLE_TYPES.join(', ')}`);
+  }
+  if (!isNonEmptyString(variable.label)) {
+    warnings.push(`${prefix}: has no label; the form will show its name`);
+  }
+
+  // Plan objects are customized by name and type together
+  const hasName = variable.planObjectName != null;
+  const hasType = variable.planObjectType != null;
+  if (hasName !== hasType) {
+    errors.push(`${prefix}: planObjectName and planObjectType must both be set or both be null`);
+  } else if (hasName) {
+    if (!isNonEmptyString(variable.planObjectName)) {
+      errors.push(`${prefix}: planObjectName must be a non-empty string`);
+    }
+    if (!PLAN_OBJECT_TYPES.includes(variable.planObjectType)) {
+      errors.push(`${prefix}: planObjectType must be one of: ${PLAN_OBJECT_TYPES.join(', ')}`);
+    }
+  } else if (variable.name !== PAGE_SIZE_VARIABLE) {
+    warnings.push(`${prefix}: has no plan object, so its value never reaches the document`);
+  }
+
+  // Raw QLingo may only come from admin-defined options (see buildExpression in qlingo.js)
+  if (variable.expressionMode !== undefined && !EXPRESSION_MODES.includes(variable.expressionMode)) {
+    errors.push(`${prefix}: expressionMode must be one of: ${EXPRESSION_MODES.join(', ')}`);
+  } else if (variable.expressionMode === 'raw' && (variable.type !== 'select' || product.trusted !== true)) {
+    errors.push(`${prefix}: expressionMode "raw" is only allowed on select variables of trusted products`);
+  }
+
+  if (variable.pattern !== undefined) {
+    try {
+      patternRegExp(variable);
+    } catch (error) {
+      errors.push(`${prefix}: pattern is not a valid regular expression (${error.message})`);
+    }
+  }
+
+  if (variable.type === 'select') {
+    if (!Array.isArray(variable.options) || variable.options.length === 0) {
+      errors.push(`${prefix}: select variables need at least one option`);
+    } else {
+      const values = variable.options.map(option => option?.value);
+      if (values.some(value => typeof value !== 'string')) {
+        errors.push(`${prefix}: every option needs a string value`);
+      }
+      findDuplicates(values).forEach(value => errors.push(`${prefix}: option "${value}" is listed more than once`));
+
+      // An empty default is allowed for optional selects ("please select")
+      const defaultValue = variable.defaultValue ?? '';
+      if (!values.includes(defaultValue) && !(defaultValue === '' && !variable.required)) {
+        errors.push(`${prefix}: defaultValue "${defaultValue}" is not one of its options`);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check one product definition
+ * @param {Object} product
+ * @param {number} index - Position in the products array
+ * @returns {{errors: string[], warnings: string[]}} Problems, prefixed with the product id
+ */
+function validateProduct(product, index) {
+  if (!product || typeof product !== 'object' || Array.isArray(product)) {
+    return { errors: [`products[${index}] must be an object`], warnings: [] };
+  }
+
+  const prefix = isNonEmptyString(product.id) ? product.id : `products[${index}]`;
+  const errors = [];
+  const warnings = [];
+
+  if (!isNonEmptyString(product.id)) {
+    errors.push(`${prefix}: id must be a non-empty string`);
+  }
+  if (!isNonEmptyString(product.title)) {
+    errors.push(`${prefix}: title must be a non-empty string`);
+  }
+  if (!isNonEmptyString(product.description)) {
+    warnings.push(`${prefix}: has no description`);
+  }
+  if (product.disabled !== undefined && typeof product.disabled !== 'boolean') {
+    errors.push(`${prefix}: disabled must be true or false`);
+  }
+  ['campaignId', 'planId'].forEach(key => {
+    if (!isPositiveInteger(product[key])) {
+      errors.push(`${prefix}: ${key} must be a positive integer`);
+    }
+  });
+
+  const sizes = Array.isArray(product.sizes) ? product.sizes : [];
+  if (sizes.length === 0) {
+    errors.push(`${prefix}: sizes must list at least one size`);
+  }
+  sizes.forEach((size, sizeIndex) => {
+    const name = isNonEmptyString(size?.name) ? size.name : `#${sizeIndex + 1}`;
+    if (!isNonEmptyString(size?.name)) {
+      errors.push(`${prefix}: size ${name} needs a name`);
+    }
+    if (!isPositiveInteger(size?.documentId)) {
+      errors.push(`${prefix}: size ${name} needs a positive integer documentId`);
+    }
+  });
+  findDuplicates(sizes.map(size => size?.name)).forEach(name => errors.push(`${prefix}: size "${name}" is listed more than once`));
+
+  if (!Array.isArray(product.variables)) {
+    errors.push(`${prefix}: variables must be an array`);
+    return { errors, warnings };
+  }
+
+  product.variables.forEach((variable, variableIndex) => {
+    const result = validateVariable(variable, variableIndex, product);
+    errors.push(...result.errors.map(message => `${prefix}: ${message}`));
+    warnings.push(...result.warnings.map(message => `${prefix}: ${message}`));
+  });
+  const names = product.variables.map(variable => variable?.name);
+  findDuplicates(names).forEach(name => errors.push(`${prefix}: variable "${name}" is defined more than once`));
+
+  const planObjects = product.variables
+    .filter(variable => variable?.planObjectName != null)
+    .map(variable => `${variable.planObjectType} ${variable.planObjectName}`);
+  findDuplicates(planObjects).forEach(planObject =>
+    warnings.push(`${prefix}: ${planObject} is customized by more than one variable; the last one wins`)
+  );
+
+  // Every page size choice must select a document
+  const pageSize = product.variables.find(variable => variable?.name === PAGE_SIZE_VARIABLE);
+  const sizeNames = sizes.map(size => size?.name);
+  if (!pageSize || pageSize.type !== 'select') {
+    errors.push(`${prefix}: needs a select variable named "${PAGE_SIZE_VARIABLE}" offering its sizes`);
+  } else if (Array.isArray(pageSize.options)) {
+    const optionValues = pageSize.options.map(option => option?.value);
+    optionValues
+      .filter(value => !sizeNames.includes(value))
+      .forEach(value => errors.push(`${prefix}: ${PAGE_SIZE_VARIABLE} option "${value}" has no matching size`));
+    sizeNames
+      .filter(name => !optionValues.includes(name))
+      .forEach(name => warnings.push(`${prefix}: size "${name}" is not offered by ${PAGE_SIZE_VARIABLE}`));
+  }
+
+  errors.push(...validateDataSources(product).map(message => `${prefix}: ${message}`));
+  errors.push(...validateFolds(product).map(message => `${prefix}: ${message}`));
+
+  // Defaults are what thumbnails and test renders use
+  if (errors.length === 0) {
+    validateFormData(product, { productId: product.id }).errors.forEach(error =>
+      warnings.push(`${prefix}: default for ${error.field} is invalid (${error.message}); thumbnails cannot be rendered`)
+    );
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check a parsed catalog
+ * @param {Object} config - Parsed products.json
+ * @returns {{errors: string[], warnings: string[]}} errors make the catalog unusable
+ */
+function validateCatalog(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.products)) {
+    return { errors: ['products must be an array'], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  config.products.forEach((product, index) => {
+    const result = validateProduct(product, index);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  });
+
+  findDuplicates(config.products.map(product => product?.id))
+    .forEach(id => errors.push(`${id}: product id is used more than once`));
+
+  // Profile lists need well-formed products; report them once the products themselves are valid
+  if (errors.length === 0) {
+    errors.push(...validateOutputProfiles(config));
+  }
+  if (config.products.length === 0) {
+    warnings.push('the catalog has no products');
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Apply admin console edits to a parsed catalog
+ * @param {Object} config - Parsed products.json
+ * @param {Object} edits - Product id -> product definition
+ * @returns {Object} New catalog; config is not modified
+ */
+function applyEdits(config, edits) {
+  if (!Array.isArray(config?.products)) return config;
+  const fileIds = new Set(config.products.map(product => product?.id));
+  return {
+    ...config,
+    products: [
+      ...config.products.map(product => edits[product?.id] || product),
+      ...Object.values(edits).filter(product => !fileIds.has(product.id))
+    ]
+  };
+}
+
+/**
+ * Read and check a catalog file
+ * Synchronous so the catalog is in place before the first request (also on serverless).
+ * @param {string} filePath - Path to products.json
+ * @param {Object} [edits={}] - Admin console edits to apply before checking
+ * @returns {{config: Object|null, errors: string[], warnings: string[]}}
+ *   config is null when the file cannot be read or parsed
+ */
+function loadCatalog(filePath, edits = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return { config: null, errors: [`cannot read ${filePath}: ${error.message}`], warnings: [] };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    return { config: null, errors: [`${filePath} is not valid JSON: ${error.message}`], warnings: [] };
+  }
+  try {
+    config = applyEdits(config, edits);
+    return { config, ...validateCatalog(config) };
+  } catch (error) {
+    // A check that throws must reject the file, not take the server (or the file watcher) down
+    return { config: null, errors: [`${filePath} could not be checked: ${error.message}`], warnings: [] };
+  }
+}
+
+module.exports = {
+  validateCatalog,
+  applyEdits,
+  loadCatalog
+};
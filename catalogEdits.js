@@ -0,0 +1,108 @@
+/**
+ * Catalog Edits Module
+ * Products created or changed in the admin console. They are kept in storage (see
+ * storage/index.js) so they survive restarts and, with a persistent driver, redeploys,
+ * and are applied on top of products.json every time the catalog is loaded.
+ *
+ * The saved edits carry a version that goes up with every save. Instances sharing the store
+ * pick up another instance's save when they next check (refreshEdits), and a save based on
+ * an older version than the stored one is refused rather than overwriting it.
+ */
+
+const { createStore } = require('./storage');
+
+const EDITS_KEY = 'products.json';
+
+let store = null;
+let edits = {}; // Product id -> product definition
+let version = null; // Version of the saved edits that edits holds (null until they are read)
+let checkedAt = 0; // When the saved edits were last read
+
+/**
+ * Read the saved edits
+ * @returns {Promise<{version: number, products: Object}>}
+ */
+async function readEdits() {
+  const entry = await store.get(EDITS_KEY);
+  const saved = entry ? JSON.parse(entry.data.toString('utf8')) : {};
+  return { version: saved.version || 0, products: saved.products || {} };
+}
+
+/**
+ * Make saved edits the current ones
+ * @returns {boolean} Whether they differ from the current edits
+ */
+function useEdits(saved) {
+  checkedAt = Date.now();
+  if (saved.version === version) return false;
+  edits = saved.products;
+  version = saved.version;
+  return true;
+}
+
+/**
+ * Initialize the store and read the saved edits
+ * @param {Object} [env=process.env] - Environment holding the storage settings
+ */
+async function initEdits(env = process.env) {
+  store = await createStore('catalog', {}, env);
+  useEdits(await readEdits());
+  const count = Object.keys(edits).length;
+  if (count > 0) {
+    console.log(`Catalog edits: ${count} product(s) edited in the admin console`);
+  }
+}
+
+/**
+ * Pick up edits saved since they were last read, e.g. by another instance
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs=0] - Skip reading if the last read is more recent than this
+ * @returns {Promise<boolean>} Whether the edits changed
+ */
+async function refreshEdits({ maxAgeMs = 0 } = {}) {
+  if (Date.now() - checkedAt < maxAgeMs) return false;
+  return useEdits(await readEdits());
+}
+
+/**
+ * Current edits
+ * @returns {Object} Product id -> product definition
+ */
+function getEdits() {
+  return edits;
+}
+
+/**
+ * Replace the saved edits
+ * Throws an error with code 'edit_conflict' if the saved edits changed since they were last
+ * read; the current edits are then the saved ones.
+ * @param {Object} nextEdits - Product id -> product definition, based on getEdits()
+ */
+async function saveEdits(nextEdits) {
+  const saved = await readEdits();
+  if (useEdits(saved)) {
+    const error = new Error('The catalog edits were changed since they were read');
+    error.code = 'edit_conflict';
+    throw error;
+  }
+  const nextVersion = version + 1;
+  await store.set(EDITS_KEY, JSON.stringify({ version: nextVersion, products: nextEdits }, null, 2), { contentType: 'application/json' });
+  edits = nextEdits;
+  version = nextVersion;
+}
+
+/**
+ * Check if edits survive restarts
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return store.persistent;
+}
+
+module.exports = {
+  initEdits,
+  refreshEdits,
+  getEdits,
+  saveEdits,
+  isPersistent
+};
@@ -0,0 +1,97 @@
+/**
+ * Recipient Data Sources Module
+ * Validates each product's recipient data source configuration and turns it into the
+ * Data section of a uProduce job ticket. Every product configures one source per job type:
+ *
+ *   "dataSources": {
+ *     "proof": { "filterType": "NoDataSource", "filter": "Dummy Data", "range": { "from": 1, "to": 1 } },
+ *     "print": { "id": 14485, "filterType": "TableName", "filter": "RecipientList", "range": { "from": 1, "to": 1 } }
+ *   }
+ */
+
+// products.json key for each uProduce job type
+const DATA_SOURCE_MODES = {
+  Proof: 'proof',
+  Print: 'print'
+};
+
+// uProduce FilterType values; every type except NoDataSource reads from a campaign data source by id
+const FILTER_TYPES = ['NoDataSource', 'TableName', 'Query', 'StoredProcedure'];
+
+/**
+ * Check one data source entry
+ * @returns {string[]} Problems, prefixed with the mode they belong to
+ */
+function validateDataSource(mode, source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return [`dataSources.${mode} is missing`];
+  }
+
+  const errors = [];
+  if (!FILTER_TYPES.includes(source.filterType)) {
+    errors.push(`dataSources.${mode}.filterType must be one of: ${FILTER_TYPES.join(', ')}`);
+  } else if (source.filterType === 'NoDataSource') {
+    if (source.id !== undefined) {
+      errors.push(`dataSources.${mode}.id must not be set when filterType is NoDataSource`);
+    }
+  } else if (!Number.isInteger(source.id) || source.id <= 0) {
+    errors.push(`dataSources.${mode}.id must be a positive integer for filterType ${source.filterType}`);
+  }
+
+  if (typeof source.filter !== 'string' || source.filter.trim() === '') {
+    errors.push(`dataSources.${mode}.filter must be a non-empty string`);
+  }
+
+  const { range } = source;
+  if (range !== undefined && range !== 'all') {
+    const { from, to } = range || {};
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+      errors.push(`dataSources.${mode}.range must be "all" or { "from", "to" } with 1 <= from <= to`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a product's data source configuration for every job type
+ * @param {Object} product - Product configuration
+ * @returns {string[]} Problems (empty when the configuration is coherent)
+ */
+function validateDataSources(product) {
+  if (!product.dataSources || typeof product.dataSources !== 'object') {
+    return ['dataSources is missing'];
+  }
+  return Object.values(DATA_SOURCE_MODES)
+    .flatMap(mode => validateDataSource(mode, product.dataSources[mode]));
+}
+
+/**
+ * Build the Range and RecipientsDataSources of a job ticket's Data section
+ * @param {Object} product - Product configuration (already validated)
+ * @param {string} jobType - 'Proof' or 'Print'
+ * @returns {{Range: Object, RecipientsDataSources: Object[]}}
+ */
+function buildRecipientData(product, jobType) {
+  const source = product.dataSources[DATA_SOURCE_MODES[jobType]];
+  if (!source) {
+    throw new Error(`No ${jobType} data source configured for product: ${product.id}`);
+  }
+
+  const range = source.range || { from: 1, to: 1 };
+  const dataSource = source.id !== undefined
+    ? { Id: source.id, FilterType: source.filterType, Filter: source.filter }
+    : { FilterType: source.filterType, Filter: source.filter };
+
+  return {
+    Range: range === 'all'
+      ? { All: true }
+      : { All: false, From: range.from, To: range.to },
+    RecipientsDataSources: [dataSource]
+  };
+}
+
+module.exports = {
+  validateDataSources,
+  buildRecipientData
+};
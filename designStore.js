@@ -0,0 +1,94 @@
+/**
+ * Design Store Module
+ * Persists shared customizations (product id + variable values) under short ids.
+ * Built on the storage layer (memory, local files or Vercel Blob, see storage/index.js).
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+let store = null;
+const MEMORY_STORE_MAX_SIZE = 1000; // Max stored designs when no persistent storage is available
+
+// Short, URL-safe ids (8 characters of base64url)
+const DESIGN_ID_BYTES = 6;
+const DESIGN_ID_PATTERN = /^[\w-]{8}$/;
+const MAX_ID_ATTEMPTS = 5;
+
+/**
+ * Initialize the store
+ * Designs never expire, and are only evicted when the store falls back to memory
+ * @param {Object} [env=process.env] - Environment holding the storage settings
+ */
+async function initStore(env = process.env) {
+  store = await createStore('designs', { maxEntries: MEMORY_STORE_MAX_SIZE, limitPersistent: false }, env);
+}
+
+/**
+ * Check that a string looks like a design id (also guards file and blob paths)
+ * @param {string} designId
+ * @returns {boolean}
+ */
+function isValidDesignId(designId) {
+  return typeof designId === 'string' && DESIGN_ID_PATTERN.test(designId);
+}
+
+/**
+ * Generate the storage key for a design
+ * @param {string} designId - The design ID
+ * @returns {string} Storage key (designs/<id>.json in Vercel Blob, as before the storage layer)
+ */
+function getStorageKey(designId) {
+  return `${designId}.json`;
+}
+
+/**
+ * Get a stored design
+ * Storage errors are thrown, so a failing store is not mistaken for a missing design.
+ * @param {string} designId - The design ID
+ * @returns {Promise<Object|null>} { id, productId, values, createdAt } or null if not found
+ */
+async function getDesign(designId) {
+  if (!isValidDesignId(designId)) return null;
+  const entry = await store.get(getStorageKey(designId));
+  return entry ? JSON.parse(entry.data.toString('utf8')) : null;
+}
+
+/**
+ * Store a new design under a fresh short id
+ * @param {string} productId - The product ID
+ * @param {Object} values - Validated variable values
+ * @returns {Promise<Object>} The stored design
+ */
+async function saveDesign(productId, values) {
+  let designId;
+  for (let attempt = 0; attempt < MAX_ID_ATTEMPTS && !designId; attempt++) {
+    const candidate = crypto.randomBytes(DESIGN_ID_BYTES).toString('base64url');
+    if (!(await store.head(getStorageKey(candidate)))) designId = candidate;
+  }
+  if (!designId) {
+    throw new Error('Could not allocate a design id');
+  }
+
+  const design = { id: designId, productId, values, createdAt: new Date().toISOString() };
+
+  await store.set(getStorageKey(designId), JSON.stringify(design, null, 2), { contentType: 'application/json' });
+
+  console.log(`Design saved (${store.driver}): ${designId} for ${productId}`);
+  return design;
+}
+
+/**
+ * Check if the store survives restarts
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return store.persistent;
+}
+
+module.exports = {
+  initStore,
+  getDesign,
+  saveDesign,
+  isPersistent
+};
@@ -0,0 +1,64 @@
+/**
+ * Folds Module
+ * Validates how a product's printed sheet is folded. The 3D preview slices the rendered pages
+ * into panels along the folds and assembles a folded model from them. A fold is set per product
+ * and can be overridden per size:
+ *
+ *   "fold": { "type": "trifold", "panels": [0.33, 0.335, 0.335] }
+ *
+ * Page 1 is the outside of the sheet and page 2 the inside. panels lists the relative panel
+ * widths left to right as seen on the inside; without it the panels are equally wide.
+ */
+
+// Fold types and the number of panels they make
+const FOLD_TYPES = {
+  flat: 1,
+  bifold: 2,
+  trifold: 3, // Roll fold: both outer panels fold in, the left one on top
+  zfold: 3 // Accordion: panels fold in alternate directions
+};
+
+/**
+ * Check one fold entry
+ * @param {string} where - Key path used in messages (e.g. "fold" or "size A4: fold")
+ * @returns {string[]} Problems
+ */
+function validateFold(where, fold) {
+  if (!fold || typeof fold !== 'object' || Array.isArray(fold)) {
+    return [`${where} must be an object`];
+  }
+  if (!Object.hasOwn(FOLD_TYPES, fold.type)) {
+    return [`${where}.type must be one of: ${Object.keys(FOLD_TYPES).join(', ')}`];
+  }
+
+  const { panels } = fold;
+  if (panels === undefined) return [];
+  const panelCount = FOLD_TYPES[fold.type];
+  if (!Array.isArray(panels) || panels.length !== panelCount) {
+    return [`${where}.panels must list ${panelCount} panel width(s) for a ${fold.type} fold`];
+  }
+  if (panels.some(width => typeof width !== 'number' || !Number.isFinite(width) || width <= 0)) {
+    return [`${where}.panels must be positive numbers`];
+  }
+  return [];
+}
+
+/**
+ * Check a product's fold and the folds of its sizes
+ * @param {Object} product - Product configuration
+ * @returns {string[]} Problems (empty when every fold is usable or none is set)
+ */
+function validateFolds(product) {
+  const errors = product.fold === undefined ? [] : validateFold('fold', product.fold);
+  (Array.isArray(product.sizes) ? product.sizes : []).forEach((size, index) => {
+    if (size?.fold !== undefined) {
+      errors.push(...validateFold(`size ${size.name || `#${index + 1}`}: fold`, size.fold));
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  FOLD_TYPES,
+  validateFolds
+};
@@ -0,0 +1,237 @@
+/**
+ * Image Assets Module
+ * Inspects uploaded images and keeps them in a short-lived staging store until a job uses them.
+ * Uploads are referenced from form data by their asset id (the value of an `image` variable).
+ * Built on the storage layer (memory, local files or Vercel Blob, see storage/index.js), so a
+ * job can use an upload received by another instance when the store is shared.
+ *
+ * Each upload is two entries: <assetId>/meta.json (product, variable, type, size, file name)
+ * and <assetId>/image, so checking a reference never reads the image itself.
+ *
+ * When a job uses uploads, stageImageAssets copies them to the campaign's assets on the render
+ * backend, and the release function it returns removes them once the job no longer needs them.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const UPLOAD_TTL_MS = 60 * 60 * 1000; // Keep uploads for 1 hour
+const UPLOAD_STORE_MAX_BYTES = 200 * 1024 * 1024; // Total budget for staged uploads
+const ASSET_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+let store = null;
+
+// Defaults for image variables without their own limits
+const DEFAULT_ACCEPT = ['image/png', 'image/jpeg'];
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+const DEFAULT_MAX_DIMENSION = 8000; // Pixels on either side
+
+const FILE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg'
+};
+
+/**
+ * Initialize the staging store
+ * @param {Object} [env=process.env] - Environment holding the storage settings
+ */
+async function initStore(env = process.env) {
+  store = await createStore('uploads', { ttlMs: UPLOAD_TTL_MS, maxBytes: UPLOAD_STORE_MAX_BYTES }, env);
+}
+
+/**
+ * Read the real type and pixel dimensions of an image from its bytes
+ * The client-supplied MIME type is never trusted.
+ * @param {Buffer} buffer - File contents
+ * @returns {{mimeType: string, width: number, height: number}|null} null if not a PNG or JPEG
+ */
+function inspectImage(buffer) {
+  // PNG: 8-byte signature, then the IHDR chunk with width/height
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { mimeType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments until a start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xFF) return null;
+      const marker = buffer[offset + 1];
+      // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { mimeType: 'image/jpeg', height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check an upload against an image variable's limits
+ * @param {Object} variable - Image variable definition (accept, maxFileSize, min/maxWidth, min/maxHeight)
+ * @param {Buffer} buffer - File contents
+ * @returns {{image?: Object, code?: string, message?: string}} Image info or an error
+ */
+function validateUpload(variable, buffer) {
+  const maxFileSize = variable.maxFileSize ?? DEFAULT_MAX_FILE_SIZE;
+  if (buffer.length > maxFileSize) {
+    return { code: 'file_too_large', message: `Image must be at most ${Math.round(maxFileSize / 1024)} KB` };
+  }
+
+  const image = inspectImage(buffer);
+  const accept = variable.accept || DEFAULT_ACCEPT;
+  if (!image || !accept.includes(image.mimeType)) {
+    const allowed = accept.map(type => FILE_EXTENSIONS[type] || type).join(', ').toUpperCase();
+    return { code: 'invalid_file_type', message: `Image must be one of: ${allowed}` };
+  }
+
+  const { width, height } = image;
+  const maxWidth = variable.maxWidth ?? DEFAULT_MAX_DIMENSION;
+  const maxHeight = variable.maxHeight ?? DEFAULT_MAX_DIMENSION;
+  if (width < (variable.minWidth || 1) || height < (variable.minHeight || 1)) {
+    return { code: 'image_too_small', message: `Image must be at least ${variable.minWidth || 1}x${variable.minHeight || 1} pixels` };
+  }
+  if (width > maxWidth || height > maxHeight) {
+    return { code: 'image_too_large', message: `Image must be at most ${maxWidth}x${maxHeight} pixels` };
+  }
+
+  return { image };
+}
+
+/**
+ * Stage a validated upload
+ * Least recently used uploads are evicted when the store exceeds its budget.
+ * @param {Object} upload
+ * @param {string} upload.productId - Product the upload belongs to
+ * @param {string} upload.variable - Name of the image variable
+ * @param {Buffer} upload.buffer - File contents
+ * @param {{mimeType: string, width: number, height: number}} upload.image - Result of inspectImage
+ * @returns {Promise<string>} Asset id to submit as the variable's value
+ */
+async function saveUpload({ productId, variable, buffer, image }) {
+  const assetId = crypto.randomBytes(16).toString('hex');
+  const meta = {
+    assetId,
+    productId,
+    variable,
+    ...image,
+    fileName: `upload-${assetId}.${FILE_EXTENSIONS[image.mimeType]}`
+  };
+
+  // The image first, so the metadata never points at an image that was not written
+  await store.set(`${assetId}/image`, buffer, { contentType: image.mimeType });
+  await store.set(`${assetId}/meta.json`, JSON.stringify(meta), { contentType: 'application/json' });
+  return assetId;
+}
+
+/**
+ * Get a staged upload's metadata
+ * @param {string} assetId
+ * @returns {Promise<Object|null>} Upload with assetId, mimeType, width, height, fileName, productId
+ *   and variable, or null if unknown or expired
+ */
+async function getUpload(assetId) {
+  if (typeof assetId !== 'string' || !ASSET_ID_PATTERN.test(assetId)) return null;
+  const [entry, image] = await Promise.all([
+    store.get(`${assetId}/meta.json`),
+    store.head(`${assetId}/image`)
+  ]);
+  if (!entry || !image) return null;
+  return JSON.parse(entry.data.toString('utf8'));
+}
+
+/**
+ * Read a staged upload's file contents
+ * @param {Object} upload - Result of getUpload
+ * @returns {Promise<Object|null>} The upload with its buffer, or null if it expired meanwhile
+ */
+async function loadUpload(upload) {
+  const entry = await store.get(`${upload.assetId}/image`);
+  return entry ? { ...upload, buffer: entry.data } : null;
+}
+
+/**
+ * Replace upload asset ids in the form values with the file names they are staged under
+ * File names are derived from the asset id, so the job ticket can be built before staging.
+ * @param {Object} product - Product the form values belong to
+ * @param {Object} formData - Validated form values
+ * @returns {Promise<{values: Object, uploads: Object[]}>} Values for generateJobTicket, and the
+ *   uploads they reference (metadata only, see loadUpload)
+ */
+async function resolveImageUploads(product, formData) {
+  const values = { ...formData };
+  const uploads = [];
+
+  for (const variable of product.variables) {
+    if (variable.type !== 'image') continue;
+    const upload = await getUpload(formData[variable.name]);
+    // Empty, or the default campaign asset
+    if (!upload) continue;
+
+    uploads.push(upload);
+    values[variable.name] = upload.fileName;
+  }
+
+  return { values, uploads };
+}
+
+/**
+ * Remove staged images from the render backend
+ * @param {Object} backend - Render backend the assets were uploaded to
+ * @param {number} campaignId - Campaign the assets were uploaded to
+ * @param {string[]} assetIds - Backend asset ids
+ * @returns {Promise<void>} Never rejects; failures are logged
+ */
+async function removeStagedAssets(backend, campaignId, assetIds) {
+  await Promise.all(assetIds.map(assetId =>
+    backend.deleteAsset(campaignId, assetId).catch(error => {
+      console.warn(`Failed to remove staged asset ${assetId}:`, error.message);
+    })
+  ));
+}
+
+/**
+ * Upload the images referenced by a customization to the render backend
+ * If one of them cannot be staged, the ones already staged are removed before rejecting.
+ * @param {Object} backend - Render backend (see renderBackends/index.js)
+ * @param {Object} product - Product the form values belong to
+ * @param {Object} formData - Validated form values
+ * @returns {Promise<{values: Object, assetIds: string[], release: Function}>} Values for
+ *   generateJobTicket (see resolveImageUploads), the staged backend asset ids, and a function
+ *   that removes the staged assets again (never rejects)
+ */
+async function stageImageAssets(backend, product, formData) {
+  const { values, uploads } = await resolveImageUploads(product, formData);
+  const stagedAssetIds = [];
+
+  const release = () => removeStagedAssets(backend, product.campaignId, stagedAssetIds);
+
+  try {
+    for (const upload of uploads) {
+      const file = await loadUpload(upload);
+      if (!file) {
+        throw new Error(`Image upload ${upload.assetId} expired before it could be staged`);
+      }
+      const { assetId } = await backend.uploadAsset(product.campaignId, file);
+      stagedAssetIds.push(assetId);
+    }
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  return { values, assetIds: stagedAssetIds, release };
+}
+
+module.exports = {
+  initStore,
+  validateUpload,
+  saveUpload,
+  getUpload,
+  loadUpload,
+  resolveImageUploads,
+  removeStagedAssets,
+  stageImageAssets
+};
@@ -0,0 +1,191 @@
+/**
+ * Job Queue Module
+ * Limits how many render jobs run against the render backend at once. Jobs that find every
+ * slot taken wait in a queue: more urgent priorities go first, and within a priority clients
+ * take turns, so one client's burst of edits cannot hold every slot while others
+ * wait. Each client can also run only a few jobs at a time.
+ *
+ * The queue lives in this process; each serverless instance has its own.
+ */
+
+// Priorities, most urgent first
+const PRIORITIES = ['interactive', 'background'];
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_CLIENT_CONCURRENCY = 2;
+const DEFAULT_MAX_QUEUED = 100;
+
+/**
+ * Error for a job that was turned away or left the queue before it started
+ * @param {string} code - 'QUEUE_FULL' or 'ERR_CANCELED'
+ */
+function queueError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a job queue
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Jobs running at once
+ * @param {number} [options.clientConcurrency=2] - Jobs running at once for one client
+ * @param {number} [options.maxQueued=100] - Waiting jobs; further jobs are rejected
+ */
+function createJobQueue({
+  concurrency = DEFAULT_CONCURRENCY,
+  clientConcurrency = DEFAULT_CLIENT_CONCURRENCY,
+  maxQueued = DEFAULT_MAX_QUEUED
+} = {}) {
+  // Per priority: client id -> waiting jobs; the Map order is the order clients take turns in
+  const waiting = Object.fromEntries(PRIORITIES.map(priority => [priority, new Map()]));
+  const runningByClient = new Map();
+  let running = 0;
+  let queued = 0;
+
+  /**
+   * Take the next job that may start: the first client in turn below its limit, most urgent
+   * priority first. That client then goes to the back of the line.
+   * @returns {Object|null}
+   */
+  function takeNext() {
+    for (const priority of PRIORITIES) {
+      const clients = waiting[priority];
+      for (const [clientId, jobs] of clients) {
+        if ((runningByClient.get(clientId) || 0) >= clientConcurrency) continue;
+        const job = jobs.shift();
+        clients.delete(clientId);
+        if (jobs.length > 0) clients.set(clientId, jobs);
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove a waiting job (when its caller gave up)
+   */
+  function remove(job) {
+    const clients = waiting[job.priority];
+    const jobs = clients.get(job.clientId);
+    const index = jobs ? jobs.indexOf(job) : -1;
+    if (index === -1) return;
+    jobs.splice(index, 1);
+    if (jobs.length === 0) clients.delete(job.clientId);
+    queued--;
+  }
+
+  /**
+   * Start waiting jobs while slots are free
+   */
+  function startJobs() {
+    while (running < concurrency) {
+      const job = takeNext();
+      if (!job) return;
+      queued--;
+      running++;
+      runningByClient.set(job.clientId, (runningByClient.get(job.clientId) || 0) + 1);
+      job.signal?.removeEventListener('abort', job.onAbort);
+
+      let released = false;
+      job.resolve(() => {
+        if (released) return;
+        released = true;
+        running--;
+        const clientRunning = runningByClient.get(job.clientId) - 1;
+        if (clientRunning > 0) {
+          runningByClient.set(job.clientId, clientRunning);
+        } else {
+          runningByClient.delete(job.clientId);
+        }
+        startJobs();
+      });
+    }
+  }
+
+  /**
+   * Wait for a slot
+   * Rejects with code 'QUEUE_FULL' when too many jobs are waiting, and with code
+   * 'ERR_CANCELED' when the signal aborts before the job started.
+   * @param {Object} options
+   * @param {string} options.clientId - Who the job is for (fairness and the per-client limit)
+   * @param {string} [options.priority='interactive'] - One of PRIORITIES
+   * @param {AbortSignal} [options.signal] - Leaves the queue when aborted
+   * @returns {Promise<Function>} Frees the slot again; call it once the job is done
+   */
+  function acquire({ clientId, priority = 'interactive', signal }) {
+    if (!PRIORITIES.includes(priority)) {
+      return Promise.reject(new Error(`Unknown job priority: ${priority}`));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(queueError('Job canceled before it started', 'ERR_CANCELED'));
+    }
+    if (queued >= maxQueued) {
+      return Promise.reject(queueError('Job queue is full', 'QUEUE_FULL'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { clientId, priority, signal, resolve };
+      if (signal) {
+        job.onAbort = () => {
+          remove(job);
+          reject(queueError('Job canceled before it started', 'ERR_CANCELED'));
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      const clients = waiting[priority];
+      if (!clients.has(clientId)) clients.set(clientId, []);
+      clients.get(clientId).push(job);
+      queued++;
+      startJobs();
+    });
+  }
+
+  /**
+   * Position of a client's next waiting job
+   * The number of waiting jobs that start before it, plus one, if no more urgent jobs arrive
+   * (per-client limits are not taken into account).
+   * @param {string} clientId
+   * @param {string} [priority] - Only look at jobs of this priority
+   * @returns {number|null} 1 for the next job to start; null when the client has no job waiting
+   */
+  function getPosition(clientId, priority) {
+    let ahead = 0;
+    for (const level of PRIORITIES) {
+      const clients = waiting[level];
+      if (!clients.has(clientId) || (priority && level !== priority)) {
+        if (level === priority) return null;
+        clients.forEach(jobs => { ahead += jobs.length; });
+        continue;
+      }
+      // Clients before this one in turn start one job first; those after it none
+      for (const [otherId, jobs] of clients) {
+        if (otherId === clientId) break;
+        ahead += Math.min(jobs.length, 1);
+      }
+      return ahead + 1;
+    }
+    return null;
+  }
+
+  /**
+   * Queue statistics
+   * @returns {{running: number, queued: number, queuedByPriority: Object, concurrency: number, clientConcurrency: number, maxQueued: number}}
+   */
+  function getStats() {
+    const queuedByPriority = {};
+    PRIORITIES.forEach(priority => {
+      queuedByPriority[priority] = 0;
+      waiting[priority].forEach(jobs => { queuedByPriority[priority] += jobs.length; });
+    });
+    return { running, queued, queuedByPriority, concurrency, clientConcurrency, maxQueued };
+  }
+
+  return { acquire, getPosition, getStats };
+}
+
+module.exports = {
+  PRIORITIES,
+  createJobQueue
+};
@@ -0,0 +1,73 @@
+/**
+ * Job Store Module
+ * Remembers async PDF jobs (see /api/jobs) under the random ids handed to clients, so that
+ * status and output requests can be answered by any instance, not only the one that submitted
+ * the job. Clients never see the render backend's job id.
+ * Built on the storage layer (memory, local files or Vercel Blob, see storage/index.js).
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const JOB_TTL_MS = 60 * 60 * 1000; // Forget jobs 1 hour after they were last updated
+const MEMORY_STORE_MAX_SIZE = 1000; // Max remembered jobs when no persistent storage is available
+const JOB_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+let store = null;
+
+/**
+ * Initialize the store
+ * @param {Object} [env=process.env] - Environment holding the storage settings
+ */
+async function initStore(env = process.env) {
+  store = await createStore('jobs', { ttlMs: JOB_TTL_MS, maxEntries: MEMORY_STORE_MAX_SIZE, limitPersistent: false }, env);
+}
+
+/**
+ * Generate the storage key for a job
+ * @param {string} jobId
+ * @returns {string}
+ */
+function getStorageKey(jobId) {
+  return `${jobId}.json`;
+}
+
+/**
+ * Remember a submitted job under a fresh id
+ * @param {Object} job - { backendJobId, productId, campaignId, stagedAssetIds, createdAt }
+ * @returns {Promise<string>} Job id for the client
+ */
+async function createJob(job) {
+  const jobId = crypto.randomBytes(16).toString('hex');
+  await updateJob(jobId, job);
+  return jobId;
+}
+
+/**
+ * Get a remembered job
+ * Storage errors are thrown, so a failing store is not mistaken for an unknown job.
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The job, or null if the id is unknown or expired
+ */
+async function getJob(jobId) {
+  if (typeof jobId !== 'string' || !JOB_ID_PATTERN.test(jobId)) return null;
+  const entry = await store.get(getStorageKey(jobId));
+  return entry ? JSON.parse(entry.data.toString('utf8')) : null;
+}
+
+/**
+ * Replace a remembered job (restarts its lifetime)
+ * @param {string} jobId
+ * @param {Object} job
+ */
+async function updateJob(jobId, job) {
+  await store.set(getStorageKey(jobId), JSON.stringify(job), { contentType: 'application/json' });
+}
+
+module.exports = {
+  JOB_TTL_MS,
+  initStore,
+  createJob,
+  getJob,
+  updateJob
+};
@@ -0,0 +1,175 @@
+/**
+ * Output Profiles Module
+ * Named output settings (format, resolution, bleed, PDF standard) defined once in products.json
+ * and offered per product. Proof jobs render preview images, Print jobs render a PDF:
+ *
+ *   "outputProfiles": {
+ *     "web-jpg": { "label": "Web JPG", "format": "JPG", "resolution": 150, "bleed": "none" },
+ *     "press-pdfx4": { "label": "Press PDF/X-4", "format": "PDF", "bleed": "document", ... }
+ *   },
+ *   "products": [{ ..., "outputProfiles": { "proof": ["web-jpg"], "print": ["press-pdfx4"] } }]
+ *
+ * The first profile listed for a job type is the product's default.
+ */
+
+// products.json key for each uProduce job type, and the output formats it can produce
+const OUTPUT_MODES = {
+  Proof: { key: 'proof', formats: ['JPG', 'PNG'] },
+  Print: { key: 'print', formats: ['PDF'] }
+};
+
+const PROFILE_NAME_PATTERN = /^[\w-]{1,64}$/;
+const BLEED_SIDES = ['top', 'bottom', 'inside', 'outside'];
+
+// Same production policies for every profile: previews and PDFs never fail on missing resources
+const PRODUCTION_POLICIES = {
+  MissingFonts: 'Ignore',
+  MissingAssets: 'Ignore',
+  MissingStyles: 'Ignore',
+  TextOverflow: 'Ignore',
+  FileSizeLimitReached: 'FailJob'
+};
+
+/**
+ * Check one profile definition
+ * @returns {string[]} Problems
+ */
+function validateProfile(name, profile) {
+  const prefix = `outputProfiles.${name}`;
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    return [`${prefix}: profile names may only contain letters, digits, "_" and "-"`];
+  }
+  if (!profile || typeof profile !== 'object') {
+    return [`${prefix} must be an object`];
+  }
+
+  const errors = [];
+  if (typeof profile.label !== 'string' || profile.label.trim() === '') {
+    errors.push(`${prefix}.label must be a non-empty string`);
+  }
+
+  const formats = Object.values(OUTPUT_MODES).flatMap(mode => mode.formats);
+  if (!formats.includes(profile.format)) {
+    errors.push(`${prefix}.format must be one of: ${formats.join(', ')}`);
+  } else if (profile.format !== 'PDF' && (!Number.isInteger(profile.resolution) || profile.resolution < 36 || profile.resolution > 1200)) {
+    errors.push(`${prefix}.resolution must be an integer between 36 and 1200 dpi`);
+  }
+
+  const { bleed } = profile;
+  if (bleed !== 'none' && bleed !== 'document') {
+    const validSides = bleed && typeof bleed === 'object' &&
+      BLEED_SIDES.every(side => typeof bleed[side] === 'number' && bleed[side] >= 0);
+    if (!validSides) {
+      errors.push(`${prefix}.bleed must be "none", "document" or { ${BLEED_SIDES.join(', ')} } in points`);
+    }
+  }
+
+  if (profile.format === 'PDF') {
+    ['pdfSettings', 'pdfCompatibility', 'pdfStandard'].forEach(key => {
+      if (typeof profile[key] !== 'string' || profile[key].trim() === '') {
+        errors.push(`${prefix}.${key} must be a non-empty string`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check the shared profile definitions and every product's profile lists
+ * @param {Object} config - Parsed products.json
+ * @returns {string[]} Problems (empty when the configuration is coherent)
+ */
+function validateOutputProfiles(config) {
+  const profiles = config.outputProfiles || {};
+  const errors = Object.entries(profiles).flatMap(([name, profile]) => validateProfile(name, profile));
+
+  (config.products || []).forEach(product => {
+    if (!product.outputProfiles || typeof product.outputProfiles !== 'object') {
+      errors.push(`${product.id}: outputProfiles is missing`);
+      return;
+    }
+
+    Object.entries(OUTPUT_MODES).forEach(([jobType, mode]) => {
+      const names = product.outputProfiles[mode.key];
+      if (!Array.isArray(names) || names.length === 0) {
+        errors.push(`${product.id}: outputProfiles.${mode.key} must list at least one profile`);
+        return;
+      }
+      names.forEach(name => {
+        const profile = profiles[name];
+        if (!profile) {
+          errors.push(`${product.id}: unknown output profile "${name}"`);
+        } else if (!mode.formats.includes(profile.format)) {
+          errors.push(`${product.id}: ${jobType} jobs cannot use ${profile.format} profile "${name}"`);
+        }
+      });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Resolve the output profile for a job
+ * @param {Object} config - Parsed products.json
+ * @param {Object} product - Product configuration
+ * @param {string} jobType - 'Proof' or 'Print'
+ * @param {string} [name] - Requested profile; the product's default when empty
+ * @returns {Object|null} Profile (with its name), or null if the product does not offer it
+ */
+function getOutputProfile(config, product, jobType, name) {
+  const allowed = product.outputProfiles?.[OUTPUT_MODES[jobType].key] || [];
+  const profileName = name || allowed[0];
+  if (!allowed.includes(profileName) || !config.outputProfiles?.[profileName]) {
+    return null;
+  }
+  return { name: profileName, ...config.outputProfiles[profileName] };
+}
+
+/**
+ * Build the Output section of a job ticket from a profile
+ * @param {Object} profile - Result of getOutputProfile
+ * @returns {Object} uProduce Output settings
+ */
+function buildOutputSection(profile) {
+  let bleed;
+  if (profile.bleed === 'document') {
+    bleed = { UseDocumentDefinition: true };
+  } else {
+    const sides = profile.bleed === 'none' ? { top: 0, bottom: 0, inside: 0, outside: 0 } : profile.bleed;
+    bleed = {
+      UseDocumentDefinition: false,
+      Top: sides.top,
+      Bottom: sides.bottom,
+      LeftOrInside: sides.inside,
+      RightOrOutside: sides.outside
+    };
+  }
+
+  const output = {
+    Format: profile.format,
+    FileName: {
+      Automatic: true
+    },
+    Bleed: bleed
+  };
+
+  if (profile.format === 'PDF') {
+    output.PdfSettings = profile.pdfSettings;
+    output.PdfCompatibilityLevel = profile.pdfCompatibility;
+    output.PdfStandardsCompliance = profile.pdfStandard;
+    output.FlatteningHandlerType = 'UseXDot';
+  } else {
+    output.Resolution = profile.resolution;
+  }
+
+  output.ProductionPolicies = { ...PRODUCTION_POLICIES };
+  return output;
+}
+
+module.exports = {
+  validateOutputProfiles,
+  getOutputProfile,
+  buildOutputSection
+};
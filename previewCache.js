@@ -0,0 +1,147 @@
+/**
+ * Preview Cache Module
+ * Caches rendered preview pages keyed by a hash of the generated job ticket, so identical
+ * customizations (from any user) are only rendered once per TTL.
+ * Built on the storage layer (memory, local files or Vercel Blob, see storage/index.js).
+ *
+ * Pages can also be published as separate images under short-lived URLs, so a client can show
+ * the first page without waiting for a JSON payload holding every page as base64.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const PREVIEW_CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes TTL
+const PREVIEW_CACHE_MAX_ENTRY_BYTES = 5 * 1024 * 1024; // Larger previews are not cached
+const PREVIEW_CACHE_MAX_BYTES = 50 * 1024 * 1024; // Total budget per store
+const PREVIEW_PAGE_TTL_MS = 10 * 60 * 1000; // Published page URLs stay valid for 10 minutes
+
+let store = null;
+let pageStore = null;
+
+// Hit/miss counters since startup
+const stats = { hits: 0, misses: 0 };
+
+/**
+ * Initialize the cache
+ * @param {Object} [env=process.env] - Environment holding the storage settings
+ */
+async function initCache(env = process.env) {
+  store = await createStore('previews', {
+    ttlMs: PREVIEW_CACHE_TTL_MS,
+    maxBytes: PREVIEW_CACHE_MAX_BYTES
+  }, env);
+  pageStore = await createStore('preview-pages', {
+    ttlMs: PREVIEW_PAGE_TTL_MS,
+    maxBytes: PREVIEW_CACHE_MAX_BYTES
+  }, env);
+}
+
+/**
+ * Build the cache key for a job ticket
+ * @param {string} backendName - Render backend that will produce the output
+ * @param {Object} jobTicket - Job ticket as it would be submitted
+ * @returns {string} Hex SHA-256 hash
+ */
+function getCacheKey(backendName, jobTicket) {
+  return crypto.createHash('sha256')
+    .update(backendName)
+    .update('\0')
+    .update(JSON.stringify(jobTicket))
+    .digest('hex');
+}
+
+/**
+ * Get a cached preview
+ * @param {string} key - Cache key from getCacheKey
+ * @returns {Promise<{jobId: string, images: Array}|null>} Cached preview or null on a miss
+ */
+async function getPreview(key) {
+  let cached = null;
+  try {
+    const entry = await store.get(key);
+    if (entry) cached = JSON.parse(entry.data.toString('utf8'));
+  } catch (error) {
+    console.error('Error reading preview from storage:', error.message);
+  }
+
+  if (cached) {
+    stats.hits++;
+    return cached;
+  }
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Store a rendered preview
+ * @param {string} key - Cache key from getCacheKey
+ * @param {{jobId: string, images: Array}} preview - Preview response data
+ * @returns {Promise<boolean>} Whether the preview was cached
+ */
+async function setPreview(key, preview) {
+  const data = Buffer.from(JSON.stringify(preview));
+  if (data.length > PREVIEW_CACHE_MAX_ENTRY_BYTES) {
+    return false;
+  }
+
+  try {
+    await store.set(key, data, { contentType: 'application/json' });
+    return true;
+  } catch (error) {
+    console.error('Error writing preview to storage:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Store the pages of a preview as images that can be fetched by URL
+ * Publishing again (e.g. on a cache hit) restarts the URLs' lifetime.
+ * @param {string} key - Cache key from getCacheKey
+ * @param {Array<{name: string, data: string}>} images - Pages as data URLs
+ * @returns {Promise<Array<{name: string, url: string}>>} Page URLs, in page order
+ */
+async function publishPages(key, images) {
+  return Promise.all(images.map(async (image, index) => {
+    const [, contentType, base64] = image.data.match(/^data:([^;]+);base64,(.*)$/s);
+    await pageStore.set(`${key}/${index + 1}`, Buffer.from(base64, 'base64'), { contentType });
+    return { name: image.name, url: `/api/preview/images/${key}/${index + 1}` };
+  }));
+}
+
+/**
+ * Get a published page image
+ * @param {string} key - Cache key from getCacheKey
+ * @param {number} page - 1-based page number
+ * @returns {Promise<{data: Buffer, contentType: string}|null>} The image, or null once expired
+ */
+async function getPublishedPage(key, page) {
+  try {
+    return await pageStore.get(`${key}/${page}`);
+  } catch (error) {
+    console.error('Error reading preview page from storage:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Hit/miss counters and current storage usage
+ * @returns {{hits: number, misses: number, driver: string, entries: number|null, bytes: number|null, persistent: boolean}}
+ */
+function getStats() {
+  return {
+    ...stats,
+    ...store.stats(),
+    persistent: store.persistent
+  };
+}
+
+module.exports = {
+  initCache,
+  getCacheKey,
+  getPreview,
+  setPreview,
+  publishPages,
+  getPublishedPage,
+  getStats
+};
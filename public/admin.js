@@ -0,0 +1,560 @@
+/**
+ * XMPie Template Customizer - Admin Console
+ *
+ * Lists, creates, edits and disables products, regenerates thumbnails, test-renders
+ * products with their defaults and shows the render service status.
+ * Every request carries the admin API key, kept for this browser tab only.
+ */
+
+// =============================================================================
+// APPLICATION STATE
+// =============================================================================
+let adminKey = sessionStorage.getItem('adminKey') || '';
+let adminProducts = [];
+let editingProduct = null; // Product being edited, or null when creating one
+let theme = localStorage.getItem('theme') || 'light';
+
+// Variable properties with their own inputs; everything else is edited as JSON
+const VARIABLE_FIELDS = ['name', 'label', 'type', 'defaultValue', 'planObjectName', 'planObjectType', 'required'];
+
+// Product properties with their own inputs
+const PRODUCT_FIELDS = ['id', 'title', 'description', 'thumbnail', 'campaignId', 'planId', 'sizes',
+    'dataSources', 'outputProfiles', 'variables', 'disabled', 'edited'];
+
+// =============================================================================
+// DOM ELEMENTS
+// =============================================================================
+const adminKeyForm = document.getElementById('adminKeyForm');
+const adminKeyInput = document.getElementById('adminKeyInput');
+const adminKeyError = document.getElementById('adminKeyError');
+const adminContent = document.getElementById('adminContent');
+const statusList = document.getElementById('statusList');
+const catalogWarnings = document.getElementById('catalogWarnings');
+const productRows = document.getElementById('productRows');
+const productsMessage = document.getElementById('productsMessage');
+const productEditor = document.getElementById('productEditor');
+const editorTitle = document.getElementById('editorTitle');
+const editorErrors = document.getElementById('editorErrors');
+const variableList = document.getElementById('variableList');
+const variableTemplate = document.getElementById('variableTemplate');
+const outputProfileHint = document.getElementById('outputProfileHint');
+const testRender = document.getElementById('testRender');
+const testRenderTitle = document.getElementById('testRenderTitle');
+const testRenderSummary = document.getElementById('testRenderSummary');
+const testRenderPages = document.getElementById('testRenderPages');
+const testRenderTicket = document.getElementById('testRenderTicket');
+
+const productInputs = {
+    id: document.getElementById('productId'),
+    title: document.getElementById('productTitle'),
+    description: document.getElementById('productDescription'),
+    thumbnail: document.getElementById('productThumbnail'),
+    campaignId: document.getElementById('productCampaignId'),
+    planId: document.getElementById('productPlanId'),
+    sizes: document.getElementById('productSizes'),
+    dataSources: document.getElementById('productDataSources'),
+    outputProfiles: document.getElementById('productOutputProfiles'),
+    disabled: document.getElementById('productDisabled')
+};
+
+// =============================================================================
+// API
+// =============================================================================
+
+/**
+ * Call an admin API route with the admin key
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the server's error message and response body (error.data)
+ */
+async function adminFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${adminKey}`,
+            ...(options.body && { 'Content-Type': 'application/json' })
+        }
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        showKeyForm('The admin API key was not accepted.');
+    }
+    if (!response.ok) {
+        const error = new Error(data.error || `Request failed (${response.status})`);
+        error.data = data;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Show a list of messages (errors or warnings)
+ */
+function showMessages(list, messages) {
+    list.replaceChildren(...messages.map(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        return item;
+    }));
+}
+
+// =============================================================================
+// CONNECTION
+// =============================================================================
+
+/**
+ * Ask for the admin key again
+ */
+function showKeyForm(message) {
+    sessionStorage.removeItem('adminKey');
+    adminContent.classList.add('hidden');
+    adminKeyForm.classList.remove('hidden');
+    adminKeyForm.querySelector('.form-group').classList.toggle('has-error', Boolean(message));
+    adminKeyError.textContent = message || '';
+}
+
+/**
+ * Check the key by loading the status, then show the console
+ */
+async function connect() {
+    try {
+        await loadStatus();
+    } catch (error) {
+        if (!adminKeyForm.classList.contains('hidden')) return;
+        showKeyForm(error.message);
+        return;
+    }
+    sessionStorage.setItem('adminKey', adminKey);
+    adminKeyForm.classList.add('hidden');
+    adminContent.classList.remove('hidden');
+    await loadProducts();
+}
+
+// =============================================================================
+// STATUS
+// =============================================================================
+
+/**
+ * Show circuit breaker, catalog and storage status
+ */
+async function loadStatus() {
+    const status = await adminFetch('/api/admin/status');
+    const catalog = status.catalog;
+    const lastChange = status.breakerHistory[status.breakerHistory.length - 1];
+
+    const rows = [
+        ['Render backend', status.renderBackend],
+        ...status.circuitBreakers.map(breaker => [
+            `Circuit breaker: ${breaker.name}`,
+            `${breaker.state} (${breaker.failureCount}/${breaker.failureThreshold} failures` +
+                `${breaker.lastFailureAt ? `, last ${new Date(breaker.lastFailureAt).toLocaleString()}` : ''})`
+        ]),
+        ['Last breaker change', lastChange
+            ? `${lastChange.breaker}: ${lastChange.from} → ${lastChange.to} (${new Date(lastChange.at).toLocaleString()})`
+            : 'None'],
+        ['Products', `${catalog.products} (${catalog.disabled} disabled, ${catalog.edited} edited here)`],
+        ['Catalog loaded', catalog.loadedAt ? new Date(catalog.loadedAt).toLocaleString() : 'Never'],
+        ['Last reload', catalog.lastReload
+            ? `${catalog.lastReload.trigger}: ${catalog.lastReload.ok ? 'OK' : `rejected (${catalog.lastReload.errors.length} errors)`}`
+            : 'None'],
+        ['Console edits', catalog.editsPersistent ? 'Persistent storage' : 'Memory only (lost on restart)'],
+        ['Preview cache', `${status.previewCache.hits} hits, ${status.previewCache.misses} misses (${status.previewCache.driver})`]
+    ];
+
+    statusList.replaceChildren(...rows.flatMap(([term, value]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        return [dt, dd];
+    }));
+
+    const lastErrors = catalog.lastReload && !catalog.lastReload.ok ? catalog.lastReload.errors : [];
+    showMessages(catalogWarnings, [
+        ...lastErrors.map(message => `Rejected: ${message}`),
+        ...catalog.warnings.map(message => `Warning: ${message}`)
+    ]);
+}
+
+// =============================================================================
+// PRODUCTS
+// =============================================================================
+
+/**
+ * Load and list all products
+ */
+async function loadProducts() {
+    const data = await adminFetch('/api/admin/products');
+    adminProducts = data.products;
+    outputProfileHint.textContent = `Available profiles: ${data.outputProfiles.join(', ')}`;
+    renderProductRows();
+}
+
+/**
+ * Create a table row button
+ */
+function createRowButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary';
+    button.textContent = label;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+}
+
+/**
+ * Render the product table
+ */
+function renderProductRows() {
+    productRows.replaceChildren(...adminProducts.map(product => {
+        const row = document.createElement('tr');
+        row.classList.toggle('admin-disabled', product.disabled);
+
+        const name = document.createElement('td');
+        const title = document.createElement('strong');
+        title.textContent = product.title;
+        const id = document.createElement('div');
+        id.className = 'admin-hint';
+        id.textContent = product.id;
+        name.append(title, id);
+
+        const variables = document.createElement('td');
+        variables.textContent = product.variables.length;
+
+        const status = document.createElement('td');
+        status.textContent = [product.disabled ? 'Disabled' : 'Active', product.edited ? 'edited here' : '']
+            .filter(Boolean).join(', ');
+
+        const actions = document.createElement('td');
+        actions.className = 'admin-actions';
+        actions.append(
+            createRowButton('Edit', () => openEditor(product)),
+            createRowButton(product.disabled ? 'Enable' : 'Disable', button => toggleDisabled(product, button)),
+            createRowButton('Test Render', button => runTestRender(product, button))
+        );
+        if (!product.thumbnail) {
+            actions.append(createRowButton('Regenerate Thumbnail', button => regenerateThumbnail(product, button)));
+        }
+        if (product.edited) {
+            actions.append(createRowButton('Revert', button => revertProduct(product, button)));
+        }
+
+        row.append(name, variables, status, actions);
+        return row;
+    }));
+}
+
+/**
+ * Run a product action, disabling its button meanwhile and reporting the outcome
+ */
+async function runProductAction(button, action) {
+    button.disabled = true;
+    productsMessage.textContent = '';
+    try {
+        productsMessage.textContent = await action();
+    } catch (error) {
+        const details = error.data?.errors ? ` ${error.data.errors.join(' ')}` : '';
+        productsMessage.textContent = `${error.message}.${details}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Product definition as stored, without the console's own flags
+ */
+function toProductDefinition(product) {
+    const { edited, ...definition } = product;
+    if (!definition.disabled) delete definition.disabled;
+    return definition;
+}
+
+/**
+ * Disable or enable a product
+ */
+function toggleDisabled(product, button) {
+    return runProductAction(button, async () => {
+        const { disabled, ...definition } = toProductDefinition(product);
+        if (!disabled) definition.disabled = true;
+        await adminFetch(`/api/admin/products/${encodeURIComponent(product.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(definition)
+        });
+        await Promise.all([loadProducts(), loadStatus()]);
+        return `${product.title} is ${product.disabled ? 'enabled' : 'disabled'}.`;
+    });
+}
+
+/**
+ * Drop the console's edits to a product
+ */
+function revertProduct(product, button) {
+    if (!confirm(`Revert ${product.title} to products.json? Products created here are removed.`)) {
+        return Promise.resolve();
+    }
+    return runProductAction(button, async () => {
+        await adminFetch(`/api/admin/products/${encodeURIComponent(product.id)}`, { method: 'DELETE' });
+        await Promise.all([loadProducts(), loadStatus()]);
+        return `${product.title} was reverted.`;
+    });
+}
+
+/**
+ * Render a fresh thumbnail for a product
+ */
+function regenerateThumbnail(product, button) {
+    return runProductAction(button, async () => {
+        await adminFetch(`/api/admin/products/${encodeURIComponent(product.id)}/thumbnail`, { method: 'POST' });
+        return `Thumbnail for ${product.title} regenerated.`;
+    });
+}
+
+/**
+ * Render every missing thumbnail
+ */
+function warmThumbnails(button) {
+    return runProductAction(button, async () => {
+        const { results } = await adminFetch('/api/thumbnails/warm', { method: 'POST' });
+        const count = result => results.filter(entry => entry.result === result).length;
+        return `Thumbnails: ${count('generated')} rendered, ${count('cached')} already cached, ${count('failed')} failed.`;
+    });
+}
+
+/**
+ * Render a product with its defaults and show the pages
+ */
+function runTestRender(product, button) {
+    return runProductAction(button, async () => {
+        const result = await adminFetch(`/api/admin/products/${encodeURIComponent(product.id)}/test-render`, { method: 'POST' });
+
+        testRenderTitle.textContent = `Test Render: ${product.title}`;
+        testRenderSummary.textContent = `Job ${result.jobId}: ${result.images.length} page(s) in ${(result.durationMs / 1000).toFixed(1)} s`;
+        testRenderPages.replaceChildren(...result.images.map((image, index) => {
+            const img = document.createElement('img');
+            img.src = image.data;
+            img.alt = `Page ${index + 1}`;
+            return img;
+        }));
+        testRenderTicket.textContent = JSON.stringify(result.jobTicket, null, 2);
+        testRender.classList.remove('hidden');
+        testRender.scrollIntoView({ behavior: 'smooth' });
+        return `Test render of ${product.title} finished.`;
+    });
+}
+
+// =============================================================================
+// PRODUCT EDITOR
+// =============================================================================
+
+/**
+ * Add a variable to the editor
+ */
+function addVariableFieldset(variable = { type: 'text' }) {
+    const fieldset = variableTemplate.content.firstElementChild.cloneNode(true);
+    const settings = Object.fromEntries(Object.entries(variable).filter(([key]) => !VARIABLE_FIELDS.includes(key)));
+
+    fieldset.querySelectorAll('[data-key]').forEach(input => {
+        const key = input.dataset.key;
+        if (key === 'settings') {
+            input.value = Object.keys(settings).length > 0 ? JSON.stringify(settings, null, 2) : '';
+        } else if (key === 'required') {
+            input.checked = variable.required === true;
+        } else {
+            input.value = variable[key] ?? '';
+        }
+    });
+
+    fieldset.querySelector('[data-action="up"]').addEventListener('click', () => {
+        if (fieldset.previousElementSibling) variableList.insertBefore(fieldset, fieldset.previousElementSibling);
+    });
+    fieldset.querySelector('[data-action="down"]').addEventListener('click', () => {
+        if (fieldset.nextElementSibling) variableList.insertBefore(fieldset.nextElementSibling, fieldset);
+    });
+    fieldset.querySelector('[data-action="remove"]').addEventListener('click', () => fieldset.remove());
+
+    variableList.appendChild(fieldset);
+}
+
+/**
+ * Open the editor for a product, or for a new product
+ */
+function openEditor(product = null) {
+    editingProduct = product;
+    const source = product || {
+        sizes: [{ name: 'A4', documentId: null, label: 'A4' }],
+        dataSources: {
+            proof: { filterType: 'NoDataSource', filter: 'Dummy Data', range: { from: 1, to: 1 } },
+            print: { filterType: 'NoDataSource', filter: 'Dummy Data', range: { from: 1, to: 1 } }
+        },
+        outputProfiles: { proof: [], print: [] },
+        variables: [{
+            name: 'pageSize',
+            label: 'Page Size',
+            type: 'select',
+            planObjectName: null,
+            planObjectType: null,
+            required: true,
+            defaultValue: 'A4',
+            options: [{ value: 'A4', label: 'A4' }]
+        }]
+    };
+
+    editorTitle.textContent = product ? `Edit ${product.title}` : 'New Product';
+    productInputs.id.value = source.id || '';
+    productInputs.id.readOnly = Boolean(product);
+    productInputs.title.value = source.title || '';
+    productInputs.description.value = source.description || '';
+    productInputs.thumbnail.value = source.thumbnail || '';
+    productInputs.campaignId.value = source.campaignId ?? '';
+    productInputs.planId.value = source.planId ?? '';
+    productInputs.disabled.checked = source.disabled === true;
+    ['sizes', 'dataSources', 'outputProfiles'].forEach(key => {
+        productInputs[key].value = JSON.stringify(source[key] ?? null, null, 2);
+    });
+
+    variableList.replaceChildren();
+    (source.variables || []).forEach(variable => addVariableFieldset(variable));
+    showMessages(editorErrors, []);
+
+    productEditor.classList.remove('hidden');
+    productEditor.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Parse a JSON editor field
+ * @throws {Error} Naming the field
+ */
+function parseJsonField(value, label) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`${label} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Read the editor into a product definition
+ * Properties the editor has no input for (e.g. trusted) are kept from the edited product.
+ * @throws {Error} If a JSON field cannot be parsed
+ */
+function readEditor() {
+    const kept = editingProduct
+        ? Object.fromEntries(Object.entries(editingProduct).filter(([key]) => !PRODUCT_FIELDS.includes(key)))
+        : {};
+
+    const variables = [...variableList.children].map((fieldset, index) => {
+        const variable = {};
+        let settings = {};
+        fieldset.querySelectorAll('[data-key]').forEach(input => {
+            const key = input.dataset.key;
+            if (key === 'settings') {
+                settings = input.value.trim() ? parseJsonField(input.value, `Variable ${index + 1} settings`) : {};
+            } else if (key === 'required') {
+                variable.required = input.checked;
+            } else if (key === 'planObjectName' || key === 'planObjectType') {
+                variable[key] = input.value.trim() || null;
+            } else {
+                variable[key] = input.value.trim();
+            }
+        });
+        return { ...variable, ...settings };
+    });
+
+    const product = {
+        ...kept,
+        id: productInputs.id.value.trim(),
+        title: productInputs.title.value.trim(),
+        description: productInputs.description.value.trim(),
+        thumbnail: productInputs.thumbnail.value.trim() || null,
+        campaignId: Number(productInputs.campaignId.value) || null,
+        planId: Number(productInputs.planId.value) || null,
+        sizes: parseJsonField(productInputs.sizes.value, 'Sizes'),
+        dataSources: parseJsonField(productInputs.dataSources.value, 'Data sources'),
+        outputProfiles: parseJsonField(productInputs.outputProfiles.value, 'Output profiles'),
+        variables
+    };
+    if (productInputs.disabled.checked) {
+        product.disabled = true;
+    }
+    return product;
+}
+
+/**
+ * Save the product in the editor
+ */
+async function saveProduct(event) {
+    event.preventDefault();
+    const saveButton = document.getElementById('saveProductBtn');
+
+    let product;
+    try {
+        product = readEditor();
+    } catch (error) {
+        showMessages(editorErrors, [error.message]);
+        return;
+    }
+
+    saveButton.disabled = true;
+    try {
+        const url = editingProduct
+            ? `/api/admin/products/${encodeURIComponent(editingProduct.id)}`
+            : '/api/admin/products';
+        await adminFetch(url, { method: editingProduct ? 'PUT' : 'POST', body: JSON.stringify(product) });
+
+        productEditor.classList.add('hidden');
+        productsMessage.textContent = `${product.title} saved.`;
+        await Promise.all([loadProducts(), loadStatus()]);
+    } catch (error) {
+        showMessages(editorErrors, [error.message, ...(error.data?.errors || [])]);
+    } finally {
+        saveButton.disabled = false;
+    }
+}
+
+// =============================================================================
+// THEME
+// =============================================================================
+
+/**
+ * Toggle theme
+ */
+function toggleTheme() {
+    theme = theme === 'light' ? 'dark' : 'light';
+    document.documentElement.classList.remove('light', 'dark');
+    document.documentElement.classList.add(theme);
+    document.body.classList.remove('light', 'dark');
+    document.body.classList.add(theme);
+    localStorage.setItem('theme', theme);
+}
+
+// =============================================================================
+// EVENT LISTENERS
+// =============================================================================
+adminKeyForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    adminKey = adminKeyInput.value.trim();
+    adminKeyForm.classList.add('hidden');
+    connect();
+});
+document.getElementById('refreshStatusBtn').addEventListener('click', () => loadStatus().catch(error => {
+    productsMessage.textContent = error.message;
+}));
+document.getElementById('newProductBtn').addEventListener('click', () => openEditor());
+document.getElementById('warmThumbnailsBtn').addEventListener('click', (event) => warmThumbnails(event.currentTarget));
+document.getElementById('addVariableBtn').addEventListener('click', () => addVariableFieldset());
+document.getElementById('cancelEditBtn').addEventListener('click', () => productEditor.classList.add('hidden'));
+document.getElementById('closeTestRenderBtn').addEventListener('click', () => testRender.classList.add('hidden'));
+document.getElementById('themeToggle').addEventListener('click', toggleTheme);
+productEditor.addEventListener('submit', saveProduct);
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+document.documentElement.classList.add(theme);
+document.body.classList.add(theme);
+document.getElementById('currentYear').textContent = new Date().getFullYear();
+
+if (adminKey) {
+    adminKeyForm.classList.add('hidden');
+    connect();
+}
@@ -15,7 +15,7 @@ let productsConfig = null;
 let currentProduct = null;
 let currentImages = [];
 let currentPage = 0;
-let viewMode = 'single'; // 'single', 'spread', or '3d'
+let viewMode = 'single'; // 'single', 'spread', '3d' or 'compare'
 let theme = localStorage.getItem('theme') || 'light';
 
 // 3D View State
@@ -32,7 +32,82 @@ let view3DState = {
     startRotationX: 0,
     startRotationY: 0,
     startTranslateX: 0,
-    startTranslateY: 0
+    startTranslateY: 0,
+    // Pointer gestures
+    pointers: new Map(), // Pointer id -> { x, y } of fingers/mouse currently down
+    startDistance: 0, // Finger distance when a pinch started
+    startScale: 1,
+    velocityX: 0, // Rotation speed in degrees/ms, for inertia after a swipe
+    velocityY: 0,
+    lastMoveTime: 0,
+    inertiaFrame: null,
+    lastTapTime: 0,
+    lastTapX: 0,
+    lastTapY: 0,
+    moved: false
+};
+
+const DRAG_ROTATION_DEG_PER_PX = 0.5;
+const DOUBLE_TAP_MS = 300;
+const TAP_SLOP_PX = 10; // Movement that still counts as a tap
+const INERTIA_FRICTION = 0.95; // Speed kept per 16 ms frame
+const INERTIA_MIN_VELOCITY = 0.01; // Degrees/ms below which inertia stops
+
+// 3D model, rebuilt when the preview images change: leaves of a book, or a folded sheet
+let view3DLeaves = {
+    images: null,
+    elements: []
+};
+let view3DFold = {
+    images: null,
+    panels: [],
+    open: 0 // 0 = folded, 1 = flat
+};
+let view3DOffsetPercent = 0; // Shift that centers the visible part of the model
+const LEAF_3D_GAP_PX = 4; // Spacing between stacked leaves
+const FOLD_3D_GAP_PX = 2; // Spacing between folded panels
+
+// Fold of the product and size in the preview (see folds.js), null for flat sheets
+let currentFold = null;
+
+// Customization the current preview was rendered from, and its proof resolution
+let currentPreviewData = null;
+let currentProofResolution = 150;
+
+// Preview replaced by the current one, for the compare view: { images, data }
+let previousPreview = null;
+let compareMode = 'side'; // 'side', 'slider' or 'diff'
+const DIFF_THRESHOLD = 40; // Channel difference that counts as a changed pixel
+const DIFF_MAX_WIDTH = 1200; // Difference images are computed at most this wide
+
+// Single page inspector. zoom is relative to the printed size (1 = 100%), or 'fit'
+let inspectorState = {
+    zoom: 'fit',
+    scale: 1, // CSS pixels per pixel of the proof image
+    panX: 0,
+    panY: 0,
+    pageWidth: 0, // Proof image size of the page shown
+    pageHeight: 0,
+    loupe: false,
+    loupePoint: null, // Last pointer position over the inspector, while the loupe is on
+    drag: null, // { pointerId, startX, startY, startPanX, startPanY }
+    hiRes: new Map(), // "page@dpi" -> data URL, 'pending' or 'failed'
+    hiResImages: null, // Preview the high-resolution pages belong to
+    hiResTimer: null
+};
+const CSS_DPI = 96; // CSS pixels per inch: the screen size of 100%
+const INSPECTOR_MIN_ZOOM = 0.1;
+const INSPECTOR_MAX_ZOOM = 6;
+const LOUPE_MAGNIFICATION = 3;
+const HI_RES_RESOLUTIONS = [300, 600]; // Offered by /api/preview/pages/:page
+const HI_RES_DELAY_MS = 400; // Wait for zooming to settle before rendering
+
+// How each fold type closes: the panel that stays put, and for every other panel the side of
+// its neighbour it folds onto (1 = the inside, -1 = the outside) and its layer in the stack
+const FOLD_MODELS = {
+    bifold: { base: 1, folds: { 0: { side: 1, layer: 1 } } },
+    trifold: { base: 1, folds: { 0: { side: 1, layer: 2 }, 2: { side: 1, layer: 1 } } },
+    zfold: { base: 0, folds: { 1: { side: 1, layer: 1 }, 2: { side: -1, layer: 1 } } }
 };
 
 // =============================================================================
@@ -47,16 +122,35 @@ const carouselNext = document.getElementById('carouselNext');
 const carouselToggle = document.getElementById('carouselToggle');
 const refreshPreviewBtn = document.getElementById('refreshPreviewBtn');
 const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+const shareDesignBtn = document.getElementById('shareDesignBtn');
+const shareLink = document.getElementById('shareLink');
+const shareLinkInput = document.getElementById('shareLinkInput');
+const shareLinkStatus = document.getElementById('shareLinkStatus');
 const viewModeToggle = document.getElementById('viewModeToggle');
 const viewModeIcon = document.getElementById('viewModeIcon');
 const view3DToggle = document.getElementById('view3DToggle');
 const view3DIcon = document.getElementById('view3DIcon');
 const themeToggle = document.getElementById('themeToggle');
 const retryBtn = document.getElementById('retryBtn');
+const pdfProgress = document.getElementById('pdfProgress');
+const pdfProgressBar = document.getElementById('pdfProgressBar');
+
+// Batch Elements
+const batchFile = document.getElementById('batchFile');
+const batchMapping = document.getElementById('batchMapping');
+const batchSummary = document.getElementById('batchSummary');
+const batchMappingRows = document.getElementById('batchMappingRows');
+const batchOutput = document.getElementById('batchOutput');
+const batchGenerateBtn = document.getElementById('batchGenerateBtn');
+const batchProgress = document.getElementById('batchProgress');
+const batchProgressBar = document.getElementById('batchProgressBar');
+const batchStatus = document.getElementById('batchStatus');
+const batchErrors = document.getElementById('batchErrors');
 
 // State Elements (loading, error, preview containers)
 const mainContent = document.querySelector('.main-content');
 const loadingState = document.getElementById('loadingState');
+const loadingMessage = document.getElementById('loadingMessage');
 const errorState = document.getElementById('errorState');
 const errorMessage = document.getElementById('errorMessage');
 const previewContainer = document.getElementById('previewContainer');
@@ -67,8 +161,15 @@ const singlePageView = document.getElementById('singlePageView');
 const spreadView = document.getElementById('spreadView');
 const view3D = document.getElementById('view3D');
 const currentPageImage = document.getElementById('currentPageImage');
+const pageInspector = document.getElementById('pageInspector');
+const inspectorStatus = document.getElementById('inspectorStatus');
+const inspectorLoupe = document.getElementById('inspectorLoupe');
+const loupeToggle = document.getElementById('loupeToggle');
+const zoomButtons = document.querySelectorAll('.inspector-zoom [data-zoom]');
 const page1Image = document.getElementById('page1Image');
 const page2Image = document.getElementById('page2Image');
+const page1Label = document.getElementById('page1Label');
+const page2Label = document.getElementById('page2Label');
 const pageIndicator = document.getElementById('pageIndicator');
 const prevPageBtn = document.getElementById('prevPageBtn');
 const nextPageBtn = document.getElementById('nextPageBtn');
@@ -77,17 +178,54 @@ const nextPageBtn = document.getElementById('nextPageBtn');
 const scene3D = document.getElementById('scene3D');
 const viewport3D = document.getElementById('viewport3D');
 const brochure3D = document.getElementById('brochure3D');
-const page3DFront = document.getElementById('page3DFront');
-const page3DBack = document.getElementById('page3DBack');
 const reset3DViewBtn = document.getElementById('reset3DView');
 
-// Form inputs for auto-refresh (will be updated dynamically)
-let formInputs = [];
+// Compare View Elements
+const compareToggle = document.getElementById('compareToggle');
+const compareView = document.getElementById('compareView');
+const compareStatus = document.getElementById('compareStatus');
+const compareChangeList = document.getElementById('compareChangeList');
+const compareSide = document.getElementById('compareSide');
+const compareBeforeImage = document.getElementById('compareBeforeImage');
+const compareAfterImage = document.getElementById('compareAfterImage');
+const compareSlider = document.getElementById('compareSlider');
+const compareSliderBefore = document.getElementById('compareSliderBefore');
+const compareSliderAfter = document.getElementById('compareSliderAfter');
+const compareDivider = document.getElementById('compareDivider');
+const compareSliderInput = document.getElementById('compareSliderInput');
+const compareDiff = document.getElementById('compareDiff');
+const compareDiffCanvas = document.getElementById('compareDiffCanvas');
+const compareModeButtons = document.querySelectorAll('.compare-modes [data-compare]');
+const foldControls = document.getElementById('foldControls');
+const foldToggle = document.getElementById('foldToggle');
+const foldAmount = document.getElementById('foldAmount');
+
+// Preview requests: a newer request aborts the one in flight (and the page images still
+// loading for the preview shown), and results that arrive after a newer request started are dropped
+const AUTO_REFRESH_DELAY_MS = 500;
+const INPUT_REFRESH_DELAY_MS = 1000; // Typing or dragging a color pauses this long before a refresh
+let autoRefreshTimer = null;
+let requestedPreviewData = null; // Customization of the latest preview request
+let previewController = null;
+let previewSequence = 0;
+
+// Render queue position, polled while a preview request waits
+const QUEUE_POLL_INTERVAL_MS = 1000;
+const LOADING_MESSAGE = 'Generating preview...';
 
 // Carousel state
 let carouselPosition = 0;
 let productThumbnails = new Map(); // Store generated thumbnails
 
+// Image uploads (server enforces the real limits per variable)
+const IMAGE_UPLOAD_DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+// PDF job polling
+const PDF_JOB_POLL_INTERVAL_MS = 2000;
+const PDF_JOB_MAX_WAIT_MS = 10 * 60 * 1000; // Give up after 10 minutes
+const PDF_JOB_RETRY_STATUSES = [429, 503, 504]; // Busy or briefly unavailable: poll again later
+const PDF_JOB_MAX_RETRY_DELAY_MS = 30000;
+
 /**
  * Load products configuration from API
  */
@@ -101,12 +239,21 @@ async function loadProducts() {
         console.log('Loaded products:', productsConfig);
         
         if (productsConfig.products && productsConfig.products.length > 0) {
+            if (productsConfig.products.length > 1) {
+                renderProductSelector();
+            }
+            
+            // Deep link to a shared design (/?design=abc123) restores it directly
+            const designId = new URLSearchParams(window.location.search).get('design');
+            if (designId && await loadSharedDesign(designId)) {
+                return;
+            }
+            
             // If only one product, select it automatically
             if (productsConfig.products.length === 1) {
                 selectProduct(productsConfig.products[0].id);
             } else {
-                // Show product selector - don't auto-select
-                renderProductSelector();
+                // Product selector is shown - don't auto-select
                 // Hide main content until user selects a template
                 mainContent.classList.add('hidden');
             }
@@ -251,8 +398,10 @@ function scrollCarousel(direction) {
 
 /**
  * Select a product and generate its form
+ * @param {string} productId
+ * @param {Object} [values] - Saved variable values to restore instead of the defaults
  */
-function selectProduct(productId) {
+function selectProduct(productId, values = null) {
     currentProduct = productsConfig.products.find(p => p.id === productId);
     if (!currentProduct) {
         console.error('Product not found:', productId);
@@ -274,12 +423,314 @@ function selectProduct(productId) {
     
     // Generate form for this product
     generateForm();
+    if (values) {
+        applyFormValues(values);
+    }
+    resetBatch();
+    shareLink.style.display = 'none';
     
     // Always generate a fresh preview when switching products
     // This ensures all view modes are updated correctly
     generatePreview();
 }
 
+/**
+ * Create a select input from a variable's options
+ */
+function createSelectInput(variable) {
+    const input = document.createElement('select');
+    input.className = 'form-control';
+    
+    variable.options.forEach(option => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        if (option.value === variable.defaultValue) {
+            optionEl.selected = true;
+        }
+        input.appendChild(optionEl);
+    });
+    
+    // Ensure the default value is set after all options are added
+    if (variable.defaultValue) {
+        input.value = variable.defaultValue;
+    }
+    return input;
+}
+
+/**
+ * Today's date as YYYY-MM-DD in the user's local time
+ */
+function todayIsoDate() {
+    const today = new Date();
+    return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve the "today" keyword used in date defaults and bounds
+ * Only the browser resolves "today", so the form always submits an explicit date
+ */
+function resolveDateKeyword(value) {
+    return value === 'today' ? todayIsoDate() : value;
+}
+
+/**
+ * Create a date picker honoring the variable's min/max dates
+ * The picker's YYYY-MM-DD value is submitted as-is; the server applies the output format
+ */
+function createDateInput(variable) {
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.className = 'form-control date-input';
+    input.value = resolveDateKeyword(variable.defaultValue || '');
+    
+    if (variable.minDate) input.min = resolveDateKeyword(variable.minDate);
+    if (variable.maxDate) input.max = resolveDateKeyword(variable.maxDate);
+    
+    return input;
+}
+
+/**
+ * Create the upload control for an image variable
+ * The hidden value input carries the uploaded asset id (or the default campaign asset)
+ * @param {Object} variable - Image variable definition
+ * @param {HTMLInputElement} valueInput - Hidden input submitted with the form
+ */
+function createImageUploadControl(variable, valueInput) {
+    const control = document.createElement('div');
+    control.className = 'image-upload';
+    
+    const preview = document.createElement('div');
+    preview.className = 'image-upload-preview';
+    preview.textContent = variable.defaultValue ? 'Default image' : 'No image';
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.id = `${variable.name}File`;
+    fileInput.className = 'form-control';
+    fileInput.accept = (variable.accept || ['image/png', 'image/jpeg']).join(',');
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'btn btn-secondary image-upload-clear';
+    clearBtn.textContent = 'Remove';
+    clearBtn.disabled = true;
+    
+    let previewUrl = null;
+    
+    const setPreview = (file) => {
+        if (previewUrl) URL.revokeObjectURL(previewUrl);
+        previewUrl = file ? URL.createObjectURL(file) : null;
+        preview.innerHTML = '';
+        if (previewUrl) {
+            const img = document.createElement('img');
+            img.src = previewUrl;
+            img.alt = `${variable.label} preview`;
+            preview.appendChild(img);
+        } else {
+            preview.textContent = variable.defaultValue ? 'Default image' : 'No image';
+        }
+    };
+    
+    const setValue = (value) => {
+        valueInput.value = value;
+        // Hidden inputs don't fire change on their own; this drives auto-refresh
+        valueInput.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        
+        clearFieldErrors();
+        const maxFileSize = variable.maxFileSize || IMAGE_UPLOAD_DEFAULT_MAX_BYTES;
+        if (file.size > maxFileSize) {
+            showFieldErrors([{ field: variable.name, message: `Image must be at most ${Math.round(maxFileSize / 1024)} KB` }]);
+            fileInput.value = '';
+            return;
+        }
+        
+        setPreview(file);
+        control.classList.add('uploading');
+        
+        try {
+            const body = new FormData();
+            body.append('productId', currentProduct.id);
+            body.append('variable', variable.name);
+            body.append('file', file);
+            
+            const response = await fetch('/api/uploads', { method: 'POST', body });
+            if (!response.ok) {
+                throw await responseError(response, 'Failed to upload image');
+            }
+            
+            const { assetId } = await response.json();
+            clearBtn.disabled = false;
+            setValue(assetId);
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            if (!control.closest('.form-group').classList.contains('has-error')) {
+                showFieldErrors([{ field: variable.name, message: error.message }]);
+            }
+            setPreview(null);
+            fileInput.value = '';
+        } finally {
+            control.classList.remove('uploading');
+        }
+    });
+    
+    clearBtn.addEventListener('click', () => {
+        setPreview(null);
+        fileInput.value = '';
+        clearBtn.disabled = true;
+        setValue(variable.defaultValue || '');
+    });
+    
+    control.appendChild(preview);
+    control.appendChild(fileInput);
+    control.appendChild(clearBtn);
+    return control;
+}
+
+/**
+ * Create the input element for a variable based on its type
+ * @returns {HTMLElement|null} The input, or null for unsupported types
+ */
+function createVariableInput(variable) {
+    let input;
+    
+    switch (variable.type) {
+        case 'select':
+            return createSelectInput(variable);
+        
+        case 'date':
+            return createDateInput(variable);
+        
+        case 'number':
+            input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-control';
+            if (variable.min !== undefined) input.min = variable.min;
+            if (variable.max !== undefined) input.max = variable.max;
+            input.step = variable.integer ? '1' : 'any';
+            input.value = variable.defaultValue ?? '';
+            return input;
+        
+        case 'boolean':
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'form-checkbox';
+            input.value = 'true';
+            input.checked = String(variable.defaultValue) === 'true';
+            return input;
+        
+        case 'image':
+            // Upload control is attached separately; this carries the asset reference
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.value = variable.defaultValue || '';
+            return input;
+        
+        case 'color':
+            input = document.createElement('input');
+            input.type = 'color';
+            input.className = 'form-control color-input';
+            input.value = variable.defaultValue || '#000000';
+            return input;
+        
+        case 'text':
+            input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'form-control';
+            input.value = variable.defaultValue || '';
+            if (variable.placeholder) {
+                input.placeholder = variable.placeholder;
+            }
+            if (variable.minLength !== undefined) input.minLength = variable.minLength;
+            if (variable.maxLength !== undefined) input.maxLength = variable.maxLength;
+            if (variable.pattern) input.pattern = variable.pattern;
+            return input;
+        
+        default:
+            console.warn(`Unsupported variable type for ${variable.name}: ${variable.type}`);
+            return null;
+    }
+}
+
+/**
+ * Create a select for the output profiles a product offers for one job type
+ * @param {string} mode - 'proof' (preview) or 'print' (PDF)
+ */
+function createOutputProfileSelect(mode) {
+    const select = document.createElement('select');
+    select.className = 'form-control';
+    select.id = `${mode}OutputProfile`;
+    select.dataset.outputMode = mode;
+    
+    currentProduct.outputProfiles[mode].forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = productsConfig.outputProfiles[name]?.label || name;
+        select.appendChild(option);
+    });
+    
+    return select;
+}
+
+/**
+ * Create the output profile pickers (preview and PDF)
+ * Selects have no name, so they are sent as outputProfile only for the matching request.
+ * A picker is hidden when the product offers a single profile for that job type.
+ */
+function createOutputProfileGroup() {
+    const formGroup = document.createElement('div');
+    formGroup.className = 'form-group output-profiles';
+    formGroup.dataset.field = 'outputProfile';
+    
+    const heading = document.createElement('label');
+    heading.textContent = 'Output';
+    formGroup.appendChild(heading);
+    
+    let visibleCount = 0;
+    [['proof', 'Preview'], ['print', 'PDF']].forEach(([mode, labelText]) => {
+        const select = createOutputProfileSelect(mode);
+        const row = document.createElement('div');
+        row.className = 'output-profile-row';
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', select.id);
+        label.textContent = labelText;
+        row.append(label, select);
+        
+        if (select.options.length < 2) {
+            row.style.display = 'none';
+        } else {
+            visibleCount++;
+        }
+        formGroup.appendChild(row);
+    });
+    
+    if (visibleCount === 0) {
+        formGroup.style.display = 'none';
+    }
+    
+    const fieldError = document.createElement('p');
+    fieldError.className = 'field-error';
+    fieldError.setAttribute('aria-live', 'polite');
+    formGroup.appendChild(fieldError);
+    
+    return formGroup;
+}
+
+/**
+ * Get the selected output profile for a job type
+ * @param {string} mode - 'proof' or 'print'
+ * @returns {string|undefined} Profile name, or undefined to use the product default
+ */
+function getOutputProfile(mode) {
+    return form.querySelector(`select[data-output-mode="${mode}"]`)?.value || undefined;
+}
+
 /**
  * Generate form fields dynamically from product configuration
  */
@@ -289,127 +740,135 @@ function generateForm() {
     formFields.innerHTML = '';
     
     currentProduct.variables.forEach(variable => {
+        const input = createVariableInput(variable);
+        if (!input) return;
+        
         const formGroup = document.createElement('div');
         formGroup.className = 'form-group';
+        formGroup.dataset.field = variable.name;
         
         const label = document.createElement('label');
-        label.setAttribute('for', variable.name);
+        label.setAttribute('for', variable.type === 'image' ? `${variable.name}File` : variable.name);
         label.textContent = variable.label;
         formGroup.appendChild(label);
         
-        let input;
-        
-        if (variable.type === 'select') {
-            input = document.createElement('select');
-            input.className = 'form-control';
-            input.id = variable.name;
-            input.name = variable.name;
-            
-            variable.options.forEach(option => {
-                const optionEl = document.createElement('option');
-                optionEl.value = option.value;
-                optionEl.textContent = option.label;
-                if (option.value === variable.defaultValue) {
-                    optionEl.selected = true;
-                }
-                input.appendChild(optionEl);
-            });
-            
-            // Ensure the default value is set after all options are added
-            if (variable.defaultValue) {
-                input.value = variable.defaultValue;
-                console.log(`Set default value for ${variable.name}: ${variable.defaultValue}`);
-            }
-        } else if (variable.type === 'text') {
-            // Check if this is a date field
-            const isDateField = variable.name.toLowerCase().includes('date');
-            
-            if (isDateField) {
-                // Create date input with calendar picker
-                input = document.createElement('input');
-                input.type = 'date';
-                input.className = 'form-control date-input';
-                input.id = variable.name;
-                input.name = variable.name;
-                
-                // Default to current date (YYYY-MM-DD format for date input)
-                const today = new Date();
-                const currentDateISO = today.toISOString().split('T')[0];
-                const currentDateFormatted = `${String(today.getDate()).padStart(2, '0')}/${String(today.getMonth() + 1).padStart(2, '0')}/${today.getFullYear()}`;
-                
-                input.value = currentDateISO;
-                
-                // Add hidden input to store DD/MM/YYYY format for API
-                const hiddenInput = document.createElement('input');
-                hiddenInput.type = 'hidden';
-                hiddenInput.id = `${variable.name}_formatted`;
-                hiddenInput.name = variable.name;
-                hiddenInput.value = currentDateFormatted;
-                
-                // Update hidden input when date changes
-                input.addEventListener('change', (e) => {
-                    const dateValue = e.target.value;
-                    if (dateValue) {
-                        const [year, month, day] = dateValue.split('-');
-                        hiddenInput.value = `${day}/${month}/${year}`;
-                    } else {
-                        hiddenInput.value = '';
-                    }
-                });
-                
-                formGroup.appendChild(input);
-                formGroup.appendChild(hiddenInput);
-                
-                console.log(`Set default date for ${variable.name}: ${currentDateFormatted} (current date)`);
-            } else {
-                // Regular text input
-                input = document.createElement('input');
-                input.type = 'text';
-                input.className = 'form-control';
-                input.id = variable.name;
-                input.name = variable.name;
-                input.value = variable.defaultValue || '';
-                if (variable.placeholder) {
-                    input.placeholder = variable.placeholder;
-                }
-                console.log(`Set default value for ${variable.name}: ${input.value}`);
-            }
-        }
-        
-        if (variable.required) {
+        input.id = variable.name;
+        input.name = variable.name;
+        if (variable.required && input.type !== 'checkbox' && input.type !== 'hidden') {
             input.required = true;
         }
+        formGroup.appendChild(input);
         
-        // Only append input if it hasn't been appended already (date fields append themselves)
-        const isDateField = variable.name.toLowerCase().includes('date');
-        if (!isDateField) {
-            formGroup.appendChild(input);
+        if (variable.type === 'image') {
+            formGroup.appendChild(createImageUploadControl(variable, input));
         }
         
+        const fieldError = document.createElement('p');
+        fieldError.className = 'field-error';
+        fieldError.setAttribute('aria-live', 'polite');
+        formGroup.appendChild(fieldError);
+        
         formFields.appendChild(formGroup);
     });
     
-    // Update form inputs reference for auto-refresh
-    formInputs = form.querySelectorAll('input, select');
-    setupAutoRefresh();
+    if (currentProduct.outputProfiles) {
+        formFields.appendChild(createOutputProfileGroup());
+    }
 }
 
 /**
  * Get form data as object
+ * @param {string} [mode='proof'] - Job type whose output profile is included ('proof' or 'print')
  */
-function getFormData() {
+function getFormData(mode = 'proof') {
     const formData = new FormData(form);
     const data = {
-        productId: currentProduct.id
+        productId: currentProduct.id,
+        outputProfile: getOutputProfile(mode)
     };
     
     for (const [key, value] of formData.entries()) {
         data[key] = value;
     }
     
+    // Unchecked checkboxes are not part of FormData
+    form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        data[checkbox.name] = checkbox.checked ? 'true' : 'false';
+    });
+    
     return data;
 }
 
+/**
+ * Fill the form with saved values (the inverse of getFormData)
+ * Values for variables the product no longer has are ignored.
+ * @param {Object} values - Variable values, optionally with outputProfile
+ */
+function applyFormValues(values) {
+    currentProduct.variables.forEach(variable => {
+        const input = document.getElementById(variable.name);
+        const value = values[variable.name];
+        if (!input || value === undefined) return;
+        
+        if (input.type === 'checkbox') {
+            input.checked = value === 'true';
+        } else {
+            input.value = value;
+        }
+    });
+    
+    const profileSelect = form.querySelector('select[data-output-mode="proof"]');
+    if (profileSelect && values.outputProfile) {
+        profileSelect.value = values.outputProfile;
+    }
+}
+
+/**
+ * Clear inline validation errors from the form
+ */
+function clearFieldErrors() {
+    formFields.querySelectorAll('.form-group.has-error').forEach(group => {
+        group.classList.remove('has-error');
+        group.querySelector('.field-error').textContent = '';
+    });
+}
+
+/**
+ * Show server-side validation errors next to their inputs
+ * @param {Array<{field: string, message: string}>} fields - Errors from a 400 response
+ */
+function showFieldErrors(fields) {
+    clearFieldErrors();
+    
+    fields.forEach(({ field, message }) => {
+        const group = formFields.querySelector(`.form-group[data-field="${CSS.escape(field)}"]`);
+        if (!group) {
+            console.warn(`Validation error for unknown field ${field}: ${message}`);
+            return;
+        }
+        group.classList.add('has-error');
+        const fieldError = group.querySelector('.field-error');
+        fieldError.textContent = fieldError.textContent ? `${fieldError.textContent} ${message}` : message;
+    });
+}
+
+/**
+ * Build an Error from a failed API response
+ * Per-field validation errors in the body are rendered inline next to the inputs
+ * @param {Response} response - Non-OK fetch response
+ * @param {string} fallbackMessage - Message used when the body has none
+ * @returns {Promise<Error>}
+ */
+async function responseError(response, fallbackMessage) {
+    const errorData = await response.json().catch(() => ({}));
+    
+    if (Array.isArray(errorData.fields) && errorData.fields.length > 0) {
+        showFieldErrors(errorData.fields);
+        return new Error('Please correct the highlighted fields');
+    }
+    return new Error(errorData.error || fallbackMessage);
+}
+
 /**
  * Show loading state
  */
@@ -447,6 +906,45 @@ function showPreview() {
     downloadPdfBtn.disabled = false;
 }
 
+/**
+ * Spread containing a page: the cover stands alone, then pages 2-3, 4-5, ...
+ * @param {number} page - Zero-based page index
+ * @returns {number} Zero-based spread index
+ */
+function spreadForPage(page) {
+    return Math.ceil(page / 2);
+}
+
+/**
+ * Number of spreads in the current preview
+ * @returns {number}
+ */
+function getSpreadCount() {
+    return Math.floor(currentImages.length / 2) + 1;
+}
+
+/**
+ * Pages shown in a spread
+ * @param {number} spread - Zero-based spread index
+ * @returns {{left: number|null, right: number|null}} Zero-based page indexes, null for an empty side
+ */
+function pagesInSpread(spread) {
+    const left = spread * 2 - 1;
+    const right = spread * 2;
+    return {
+        left: left >= 0 && left < currentImages.length ? left : null,
+        right: right < currentImages.length ? right : null
+    };
+}
+
+/**
+ * Check if the current view mode pages through spreads rather than single pages
+ * @returns {boolean}
+ */
+function isPagedBySpread() {
+    return viewMode === 'spread' || viewMode === '3d';
+}
+
 /**
  * Update page navigation
  */
@@ -454,9 +952,19 @@ function updatePageNavigation() {
     if (currentImages.length === 0) return;
     
     const totalPages = currentImages.length;
-    pageIndicator.textContent = `Page ${currentPage + 1} of ${totalPages}`;
-    prevPageBtn.disabled = currentPage === 0;
-    nextPageBtn.disabled = currentPage === totalPages - 1;
+    if (isPagedBySpread()) {
+        const spread = spreadForPage(currentPage);
+        const { left, right } = pagesInSpread(spread);
+        pageIndicator.textContent = left !== null && right !== null
+            ? `Pages ${left + 1}–${right + 1} of ${totalPages}`
+            : `Page ${(left ?? right) + 1} of ${totalPages}`;
+        prevPageBtn.disabled = spread === 0;
+        nextPageBtn.disabled = spread === getSpreadCount() - 1;
+    } else {
+        pageIndicator.textContent = `Page ${currentPage + 1} of ${totalPages}`;
+        prevPageBtn.disabled = currentPage === 0;
+        nextPageBtn.disabled = currentPage === totalPages - 1;
+    }
     
     // Hide navigation if only one page
     const pageNavigation = document.querySelector('.page-navigation');
@@ -468,144 +976,849 @@ function updatePageNavigation() {
 }
 
 /**
- * Display current page in single view
+ * Show the current page in whichever view is active
  */
-function displayCurrentPage() {
-    if (currentImages.length === 0) return;
-    
-    currentPageImage.src = currentImages[currentPage].data;
-    updatePageNavigation();
+function displayCurrentView() {
+    if (viewMode === 'single') {
+        displayCurrentPage();
+    } else if (viewMode === 'spread') {
+        displaySpread();
+    } else if (viewMode === '3d') {
+        display3DView();
+    } else if (viewMode === 'compare') {
+        displayCompare();
+    }
 }
 
 /**
- * Create a blank white image data URL
+ * Go to the previous page, or the previous spread in spread and 3D views
  */
-function createBlankWhiteImage() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 800;
-    canvas.height = 1000;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    return canvas.toDataURL('image/png');
+function showPreviousPage() {
+    if (isPagedBySpread()) {
+        const spread = spreadForPage(currentPage);
+        if (spread === 0) return;
+        const { left, right } = pagesInSpread(spread - 1);
+        currentPage = left ?? right;
+    } else {
+        if (currentPage === 0) return;
+        currentPage--;
+    }
+    displayCurrentView();
 }
 
 /**
- * Display spread view
+ * Go to the next page, or the next spread in spread and 3D views
  */
-function displaySpread() {
-    if (currentImages.length === 0) return;
-    
-    page1Image.src = currentImages[0]?.data || '';
-    
-    // Always show second page (blank if no image for print simulation)
-    const page2Container = page2Image.parentElement;
-    page2Container.style.display = 'flex';
-    
-    if (currentImages.length > 1) {
-        page2Image.src = currentImages[1].data;
+function showNextPage() {
+    if (isPagedBySpread()) {
+        const spread = spreadForPage(currentPage);
+        if (spread >= getSpreadCount() - 1) return;
+        const { left, right } = pagesInSpread(spread + 1);
+        currentPage = left ?? right;
     } else {
-        // Show blank white page to simulate reverse side
-        page2Image.src = createBlankWhiteImage();
+        if (currentPage >= currentImages.length - 1) return;
+        currentPage++;
     }
+    displayCurrentView();
 }
 
 /**
- * Display 3D view
+ * Display current page in single view
  */
-function display3DView() {
+function displayCurrentPage() {
     if (currentImages.length === 0) return;
     
-    page3DFront.src = currentImages[0]?.data || '';
+    showInspectorPage();
+    updatePageNavigation();
+}
+
+/**
+ * Show the current page in the inspector, sharpest version first
+ */
+function showInspectorPage() {
+    if (inspectorState.hiResImages !== currentImages) {
+        inspectorState.hiRes = new Map();
+        inspectorState.hiResImages = currentImages;
+    }
     
-    // Always show back page (blank if no image for print simulation)
-    const backPageElement = document.querySelector('.page-back');
-    backPageElement.style.display = 'block';
+    const page = currentPage;
+    currentPageImage.src = getBestPageImage(page).src;
     
-    if (currentImages.length > 1) {
-        page3DBack.src = currentImages[1].data;
-    } else {
-        // Show blank white page to simulate reverse side
-        page3DBack.src = createBlankWhiteImage();
+    // Layout works in pixels of the proof image, whichever version is displayed
+    const probe = new Image();
+    probe.onload = () => {
+        if (page !== currentPage) return;
+        inspectorState.pageWidth = probe.naturalWidth;
+        inspectorState.pageHeight = probe.naturalHeight;
+        centerInspectorPage();
+        layoutInspector();
+    };
+    probe.src = currentImages[page].data;
+}
+
+/**
+ * Sharpest image available for a page
+ * @param {number} page - Zero-based page index
+ * @returns {{src: string, resolution: number}}
+ */
+function getBestPageImage(page) {
+    for (const resolution of [...HI_RES_RESOLUTIONS].reverse()) {
+        const src = inspectorState.hiRes.get(`${page}@${resolution}`);
+        if (src && src !== 'pending' && src !== 'failed') {
+            return { src, resolution };
+        }
     }
-    
-    update3DTransform();
+    return { src: currentImages[page].data, resolution: currentProofResolution };
 }
 
 /**
- * Update 3D transform
+ * Scale for a zoom level
+ * @param {number|string} zoom - Printed-size ratio, or 'fit'
+ * @returns {number} CSS pixels per proof image pixel
  */
-function update3DTransform() {
-    const transform = `
-        translateX(${view3DState.translateX}px)
-        translateY(${view3DState.translateY}px)
-        scale(${view3DState.scale})
-        rotateX(${view3DState.rotationX}deg)
-        rotateY(${view3DState.rotationY}deg)
-        rotateZ(${view3DState.rotationZ}deg)
-    `;
-    brochure3D.style.transform = transform;
+function getInspectorScale(zoom) {
+    if (zoom === 'fit') {
+        const padding = 40;
+        return Math.min(
+            (pageInspector.clientWidth - padding) / inspectorState.pageWidth,
+            (pageInspector.clientHeight - padding) / inspectorState.pageHeight
+        );
+    }
+    return (zoom * CSS_DPI) / currentProofResolution;
 }
 
 /**
- * Reset 3D view to default position
+ * Current zoom as a printed-size ratio (also for 'fit')
+ * @returns {number}
  */
-function reset3DView() {
-    view3DState.rotationX = -15;
-    view3DState.rotationY = 30;
-    view3DState.rotationZ = 0;
-    view3DState.translateX = 0;
-    view3DState.translateY = 0;
-    view3DState.scale = 1;
-    update3DTransform();
+function getInspectorZoom() {
+    return (inspectorState.scale * currentProofResolution) / CSS_DPI;
 }
 
 /**
- * Handle 3D view mouse down
+ * Put the page in the middle of the inspector, or its top when taller
  */
-function handle3DMouseDown(e) {
-    view3DState.isDragging = true;
-    view3DState.startX = e.clientX;
-    view3DState.startY = e.clientY;
-    view3DState.startRotationX = view3DState.rotationX;
-    view3DState.startRotationY = view3DState.rotationY;
-    view3DState.startTranslateX = view3DState.translateX;
-    view3DState.startTranslateY = view3DState.translateY;
-    scene3D.style.cursor = e.shiftKey ? 'grabbing' : 'grabbing';
-    e.preventDefault();
+function centerInspectorPage() {
+    const scale = getInspectorScale(inspectorState.zoom);
+    inspectorState.panX = (pageInspector.clientWidth - inspectorState.pageWidth * scale) / 2;
+    inspectorState.panY = Math.max(0, (pageInspector.clientHeight - inspectorState.pageHeight * scale) / 2);
 }
 
 /**
- * Handle 3D view mouse move
+ * Size and position the page image, then fetch a sharper render if the zoom needs one
  */
-function handle3DMouseMove(e) {
-    if (!view3DState.isDragging) return;
+function layoutInspector() {
+    if (!inspectorState.pageWidth || pageInspector.clientWidth === 0) return;
     
-    const deltaX = e.clientX - view3DState.startX;
-    const deltaY = e.clientY - view3DState.startY;
+    inspectorState.scale = getInspectorScale(inspectorState.zoom);
+    const width = inspectorState.pageWidth * inspectorState.scale;
+    const height = inspectorState.pageHeight * inspectorState.scale;
     
-    if (e.shiftKey) {
+    // Center a page smaller than the inspector, otherwise keep its edges from moving inside
+    const clampPan = (pan, size, viewport) =>
+        size <= viewport ? (viewport - size) / 2 : Math.min(0, Math.max(viewport - size, pan));
+    inspectorState.panX = clampPan(inspectorState.panX, width, pageInspector.clientWidth);
+    inspectorState.panY = clampPan(inspectorState.panY, height, pageInspector.clientHeight);
+    
+    currentPageImage.style.width = `${width}px`;
+    currentPageImage.style.height = `${height}px`;
+    currentPageImage.style.transform = `translate(${inspectorState.panX}px, ${inspectorState.panY}px)`;
+    pageInspector.classList.toggle('zoomed', width > pageInspector.clientWidth || height > pageInspector.clientHeight);
+    
+    zoomButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.zoom === String(inspectorState.zoom));
+    });
+    updateInspectorStatus();
+    scheduleHiResPage();
+}
+
+/**
+ * Show the zoom level and the resolution of the displayed image
+ */
+function updateInspectorStatus() {
+    const zoom = `${Math.round(getInspectorZoom() * 100)}%`;
+    const key = `${currentPage}@${getNeededResolution()}`;
+    let detail = `${getBestPageImage(currentPage).resolution} dpi`;
+    if (inspectorState.hiRes.get(key) === 'pending') {
+        detail = 'rendering a sharper page…';
+    } else if (inspectorState.hiRes.get(key) === 'failed') {
+        detail += ' (sharper render failed)';
+    }
+    inspectorStatus.textContent = `${zoom} · ${detail}`;
+}
+
+/**
+ * Zoom, keeping a point of the page under the same spot of the inspector
+ * @param {number|string} zoom - Printed-size ratio, or 'fit'
+ * @param {{x: number, y: number}} [anchor] - Inspector coordinates; the center by default
+ */
+function zoomInspector(zoom, anchor) {
+    if (!inspectorState.pageWidth) return;
+    if (zoom !== 'fit') {
+        zoom = Math.max(INSPECTOR_MIN_ZOOM, Math.min(INSPECTOR_MAX_ZOOM, zoom));
+    }
+    const { x, y } = anchor || { x: pageInspector.clientWidth / 2, y: pageInspector.clientHeight / 2 };
+    const ratio = getInspectorScale(zoom) / inspectorState.scale;
+    
+    inspectorState.zoom = zoom;
+    inspectorState.panX = x - (x - inspectorState.panX) * ratio;
+    inspectorState.panY = y - (y - inspectorState.panY) * ratio;
+    layoutInspector();
+}
+
+/**
+ * Resolution the current zoom (or the loupe) needs to look sharp on this screen
+ * @returns {number|null} One of HI_RES_RESOLUTIONS, or null when the proof is sharp enough
+ */
+function getNeededResolution() {
+    const magnification = inspectorState.loupe ? LOUPE_MAGNIFICATION : 1;
+    const needed = getInspectorZoom() * magnification * CSS_DPI * (window.devicePixelRatio || 1);
+    if (needed <= currentProofResolution) return null;
+    return HI_RES_RESOLUTIONS.find(resolution => resolution >= needed) || HI_RES_RESOLUTIONS[HI_RES_RESOLUTIONS.length - 1];
+}
+
+/**
+ * Render a sharper version of the current page once zooming has settled
+ */
+function scheduleHiResPage() {
+    clearTimeout(inspectorState.hiResTimer);
+    inspectorState.hiResTimer = setTimeout(loadHiResPage, HI_RES_DELAY_MS);
+}
+
+/**
+ * Render the current page at the resolution the zoom needs, unless a sharp enough version exists
+ */
+async function loadHiResPage() {
+    const resolution = getNeededResolution();
+    if (!resolution || !currentPreviewData || getBestPageImage(currentPage).resolution >= resolution) return;
+    
+    const page = currentPage;
+    const images = currentImages;
+    const key = `${page}@${resolution}`;
+    if (inspectorState.hiRes.has(key)) return;
+    
+    inspectorState.hiRes.set(key, 'pending');
+    updateInspectorStatus();
+    try {
+        const response = await fetch(`/api/preview/pages/${page + 1}?resolution=${resolution}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(currentPreviewData)
+        });
+        if (!response.ok) {
+            throw await responseError(response, 'Failed to render the page');
+        }
+        const data = await response.json();
+        
+        // A new preview replaces the map; drop renders of the old one
+        if (inspectorState.hiResImages !== images) return;
+        inspectorState.hiRes.set(key, data.image.data);
+        if (page === currentPage && viewMode === 'single') {
+            currentPageImage.src = getBestPageImage(page).src;
+            updateLoupe();
+        }
+    } catch (error) {
+        console.error('Error rendering high-resolution page:', error);
+        if (inspectorState.hiResImages === images) {
+            inspectorState.hiRes.set(key, 'failed');
+        }
+    }
+    if (page === currentPage) {
+        updateInspectorStatus();
+    }
+}
+
+/**
+ * Inspector coordinates of a pointer event
+ * @returns {{x: number, y: number}}
+ */
+function getInspectorPoint(e) {
+    const rect = pageInspector.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+/**
+ * Handle inspector wheel (zoom around the pointer)
+ */
+function handleInspectorWheel(e) {
+    if (!inspectorState.pageWidth) return;
+    e.preventDefault();
+    const factor = e.deltaY > 0 ? 1 / 1.2 : 1.2;
+    zoomInspector(getInspectorZoom() * factor, getInspectorPoint(e));
+}
+
+/**
+ * Handle inspector pointer down (start panning)
+ */
+function handleInspectorPointerDown(e) {
+    if (inspectorState.loupe || inspectorState.drag) return;
+    pageInspector.setPointerCapture(e.pointerId);
+    inspectorState.drag = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        startPanX: inspectorState.panX,
+        startPanY: inspectorState.panY
+    };
+    pageInspector.classList.add('panning');
+    e.preventDefault();
+}
+
+/**
+ * Handle inspector pointer move (pan, or move the loupe)
+ */
+function handleInspectorPointerMove(e) {
+    if (inspectorState.loupe) {
+        updateLoupe(getInspectorPoint(e));
+        return;
+    }
+    const { drag } = inspectorState;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    inspectorState.panX = drag.startPanX + e.clientX - drag.startX;
+    inspectorState.panY = drag.startPanY + e.clientY - drag.startY;
+    layoutInspector();
+}
+
+/**
+ * Handle inspector pointer up or cancel
+ */
+function handleInspectorPointerUp(e) {
+    if (inspectorState.drag?.pointerId !== e.pointerId) return;
+    inspectorState.drag = null;
+    pageInspector.classList.remove('panning');
+}
+
+/**
+ * Show the loupe at a point, magnifying the page under it
+ * @param {{x: number, y: number}} [point] - Inspector coordinates; the last position by default
+ */
+function updateLoupe(point = inspectorState.loupePoint) {
+    if (!inspectorState.loupe || !point) {
+        inspectorLoupe.style.display = 'none';
+        return;
+    }
+    inspectorState.loupePoint = point;
+    
+    const width = inspectorState.pageWidth * inspectorState.scale;
+    const height = inspectorState.pageHeight * inspectorState.scale;
+    const pageX = point.x - inspectorState.panX;
+    const pageY = point.y - inspectorState.panY;
+    if (pageX < 0 || pageY < 0 || pageX > width || pageY > height) {
+        inspectorLoupe.style.display = 'none';
+        return;
+    }
+    
+    const radius = inspectorLoupe.offsetWidth / 2 || 80;
+    inspectorLoupe.style.display = 'block';
+    inspectorLoupe.style.left = `${point.x - radius}px`;
+    inspectorLoupe.style.top = `${point.y - radius}px`;
+    inspectorLoupe.style.backgroundImage = `url("${currentPageImage.src}")`;
+    inspectorLoupe.style.backgroundSize = `${width * LOUPE_MAGNIFICATION}px ${height * LOUPE_MAGNIFICATION}px`;
+    inspectorLoupe.style.backgroundPosition =
+        `${radius - pageX * LOUPE_MAGNIFICATION}px ${radius - pageY * LOUPE_MAGNIFICATION}px`;
+}
+
+/**
+ * Toggle the loupe; while it is on, dragging moves the loupe instead of the page
+ */
+function toggleLoupe() {
+    inspectorState.loupe = !inspectorState.loupe;
+    inspectorState.loupePoint = null;
+    loupeToggle.classList.toggle('active', inspectorState.loupe);
+    loupeToggle.setAttribute('aria-pressed', String(inspectorState.loupe));
+    pageInspector.classList.toggle('loupe-mode', inspectorState.loupe);
+    updateLoupe();
+    updateInspectorStatus();
+    scheduleHiResPage();
+}
+
+/**
+ * Create a blank white image data URL
+ */
+function createBlankWhiteImage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 800;
+    canvas.height = 1000;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Show one side of a spread
+ * @param {HTMLImageElement} image - Page image element
+ * @param {HTMLElement} label - Page label element
+ * @param {number|null} page - Zero-based page index, or null to leave the side empty
+ */
+function showSpreadPage(image, label, page) {
+    // Keep the empty side's space so the cover stays on the right
+    image.parentElement.style.visibility = page === null ? 'hidden' : 'visible';
+    if (page === null) {
+        image.removeAttribute('src');
+        label.textContent = '';
+    } else {
+        image.src = currentImages[page].data;
+        label.textContent = `Page ${page + 1}`;
+    }
+}
+
+/**
+ * Display spread view
+ */
+function displaySpread() {
+    if (currentImages.length === 0) return;
+    
+    const { left, right } = pagesInSpread(spreadForPage(currentPage));
+    showSpreadPage(page1Image, page1Label, left);
+    showSpreadPage(page2Image, page2Label, right);
+    updatePageNavigation();
+}
+
+/**
+ * Create one face of a 3D leaf
+ * @param {string} side - 'page-front' or 'page-back'
+ * @param {string} src - Image URL
+ * @param {string} alt - Image description
+ * @returns {HTMLElement}
+ */
+function create3DPage(side, src, alt) {
+    const face = document.createElement('div');
+    face.className = `page-3d ${side}`;
+    const image = document.createElement('img');
+    image.src = src;
+    image.alt = alt;
+    face.appendChild(image);
+    return face;
+}
+
+/**
+ * Build one leaf per sheet: odd pages on the front, even pages on the back
+ */
+function build3DLeaves() {
+    brochure3D.replaceChildren();
+    brochure3D.style.width = '';
+    brochure3D.style.height = '';
+    view3DFold.images = null;
+    view3DLeaves.elements = [];
+    
+    for (let page = 0; page < currentImages.length; page += 2) {
+        const back = currentImages[page + 1];
+        const leaf = document.createElement('div');
+        leaf.className = 'leaf-3d';
+        leaf.append(
+            create3DPage('page-front', currentImages[page].data, `Page ${page + 1}`),
+            // Blank reverse side to simulate print when the last sheet has no back page
+            create3DPage('page-back', back ? back.data : createBlankWhiteImage(), back ? `Page ${page + 2}` : 'Blank page')
+        );
+        brochure3D.appendChild(leaf);
+        view3DLeaves.elements.push(leaf);
+    }
+    view3DLeaves.images = currentImages;
+}
+
+/**
+ * Display 3D view
+ */
+function display3DView() {
+    if (currentImages.length === 0) return;
+    
+    foldControls.style.display = isFolded() ? 'flex' : 'none';
+    if (isFolded()) {
+        display3DFold();
+        return;
+    }
+    
+    if (view3DLeaves.images !== currentImages) {
+        build3DLeaves();
+    }
+    
+    // Showing spread n means the first n leaves are turned over to the left of the spine
+    const turned = spreadForPage(currentPage);
+    const leafCount = view3DLeaves.elements.length;
+    view3DLeaves.elements.forEach((leaf, index) => {
+        const isTurned = index < turned;
+        // Distance from the top of its stack, so the visible leaves sit in front
+        const depth = isTurned ? turned - 1 - index : index - turned;
+        leaf.style.transform = `translateZ(${-depth * LEAF_3D_GAP_PX}px) rotateY(${isTurned ? -180 : 0}deg)`;
+    });
+    
+    // Keep what is visible centered: the front cover, an open spread, or the back cover
+    view3DOffsetPercent = turned === 0 ? 0 : (turned === leafCount ? 100 : 50);
+    
+    update3DTransform();
+    updatePageNavigation();
+}
+
+/**
+ * Look up the fold of a product size
+ * @param {Object} product - Product configuration
+ * @param {string} sizeName - Selected pageSize value
+ * @returns {{type: string, panels: number[]}|null} Panel widths as fractions of the sheet, null when flat
+ */
+function getFoldLayout(product, sizeName) {
+    const size = product.sizes?.find(s => s.name === sizeName);
+    const fold = size?.fold || product.fold;
+    if (!fold || !FOLD_MODELS[fold.type]) return null;
+    
+    const panelCount = fold.type === 'bifold' ? 2 : 3;
+    const widths = fold.panels || Array(panelCount).fill(1);
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    return { type: fold.type, panels: widths.map(width => width / total) };
+}
+
+/**
+ * Check if the 3D view shows a folded sheet: outside and inside, sliced into panels
+ * @returns {boolean}
+ */
+function isFolded() {
+    return currentFold !== null && currentImages.length === 2;
+}
+
+/**
+ * Create one face of a fold panel, showing its slice of a page
+ * @param {string} side - 'page-front' or 'page-back'
+ * @param {string} src - Page image URL
+ * @param {number} offset - Left edge of the slice as a fraction of the page width
+ * @param {number} width - Slice width as a fraction of the page width
+ * @param {string} label - Accessible description
+ * @returns {HTMLElement}
+ */
+function createFoldFace(side, src, offset, width, label) {
+    const face = document.createElement('div');
+    face.className = `page-3d fold-face ${side}`;
+    face.setAttribute('role', 'img');
+    face.setAttribute('aria-label', label);
+    face.style.backgroundImage = `url("${src}")`;
+    face.style.backgroundSize = `${100 / width}% 100%`;
+    face.style.backgroundPosition = `${width < 1 ? (offset / (1 - width)) * 100 : 0}% 0`;
+    return face;
+}
+
+/**
+ * Size the model like the sheet, within the default 3D box
+ * @param {string} src - Page image URL
+ */
+function size3DFold(src) {
+    brochure3D.style.width = '';
+    brochure3D.style.height = '';
+    const box = getComputedStyle(brochure3D);
+    const boxWidth = parseFloat(box.width);
+    const boxHeight = parseFloat(box.height);
+    
+    const image = new Image();
+    image.onload = () => {
+        // Skip unsized images and models replaced while loading
+        if (!image.naturalWidth || !image.naturalHeight || view3DFold.images !== currentImages) return;
+        const aspect = image.naturalWidth / image.naturalHeight;
+        // Open sheets may be up to twice as wide as a single page
+        const height = Math.min(boxHeight, (boxWidth * 2) / aspect);
+        brochure3D.style.width = `${Math.round(height * aspect)}px`;
+        brochure3D.style.height = `${Math.round(height)}px`;
+    };
+    image.src = src;
+}
+
+/**
+ * Build a folded sheet: one element per panel, each hinged on its neighbour towards the base panel
+ */
+function build3DFold() {
+    brochure3D.replaceChildren();
+    view3DLeaves.images = null;
+    
+    const [outside, inside] = currentImages;
+    const { panels } = currentFold;
+    const { base } = FOLD_MODELS[currentFold.type];
+    const offsets = panels.map((_, index) => panels.slice(0, index).reduce((sum, width) => sum + width, 0));
+    
+    view3DFold.panels = panels.map((width, index) => {
+        const panel = document.createElement('div');
+        panel.className = 'fold-panel';
+        panel.append(
+            createFoldFace('page-front', inside.data, offsets[index], width, `Page 2, panel ${index + 1}`),
+            // The outside is mirrored: the inside's left panel backs onto the outside's right panel
+            createFoldFace('page-back', outside.data, 1 - offsets[index] - width, width, `Page 1, panel ${panels.length - index}`)
+        );
+        return panel;
+    });
+    
+    view3DFold.panels.forEach((panel, index) => {
+        if (index === base) {
+            panel.classList.add('fold-base');
+            panel.style.left = `${offsets[index] * 100}%`;
+            panel.style.width = `${panels[index] * 100}%`;
+            brochure3D.appendChild(panel);
+            return;
+        }
+        // Widths of nested panels are relative to the neighbour they hang from
+        const neighbour = index > base ? index - 1 : index + 1;
+        panel.classList.add(index > base ? 'fold-right' : 'fold-left');
+        panel.style.width = `${(panels[index] / panels[neighbour]) * 100}%`;
+        view3DFold.panels[neighbour].appendChild(panel);
+    });
+    
+    view3DFold.images = currentImages;
+    size3DFold(inside.data);
+}
+
+/**
+ * Turn each panel according to how far the sheet is open
+ */
+function apply3DFold() {
+    const { base, folds } = FOLD_MODELS[currentFold.type];
+    const closed = 1 - view3DFold.open;
+    
+    view3DFold.panels.forEach((panel, index) => {
+        if (index === base) return;
+        const { side, layer } = folds[index];
+        // Right panels swing towards the viewer with a negative angle, left panels with a positive one
+        const angle = (index > base ? -side : side) * 180 * closed;
+        panel.style.transform = `translateZ(${side * layer * FOLD_3D_GAP_PX * closed}px) rotateY(${angle}deg)`;
+    });
+    
+    // Center the base panel while folded, the whole sheet when open
+    const { panels } = currentFold;
+    const baseCenter = panels.slice(0, base).reduce((sum, width) => sum + width, 0) + panels[base] / 2;
+    view3DOffsetPercent = (0.5 - baseCenter) * 100 * closed;
+    
+    foldAmount.value = Math.round(view3DFold.open * 100);
+    foldToggle.textContent = view3DFold.open < 1 ? 'Open' : 'Close';
+    update3DTransform();
+}
+
+/**
+ * Display a folded sheet in the 3D view
+ */
+function display3DFold() {
+    if (view3DFold.images !== currentImages) {
+        build3DFold();
+        view3DFold.open = 0;
+    }
+    
+    // Page 1 is the outside (folded), page 2 the inside (open); keep partial openings from the slider
+    const showInside = currentPage > 0;
+    if (showInside !== view3DFold.open >= 0.5) {
+        view3DFold.open = showInside ? 1 : 0;
+    }
+    
+    apply3DFold();
+    updatePageNavigation();
+}
+
+/**
+ * Open the folds part or all of the way
+ * @param {number} amount - 0 = folded, 1 = flat
+ */
+function setFoldOpen(amount) {
+    view3DFold.open = Math.max(0, Math.min(1, amount));
+    currentPage = view3DFold.open >= 0.5 ? 1 : 0;
+    apply3DFold();
+    updatePageNavigation();
+}
+
+/**
+ * Update 3D transform
+ */
+function update3DTransform() {
+    const transform = `
+        translateX(calc(${view3DState.translateX}px + ${view3DOffsetPercent}%))
+        translateY(${view3DState.translateY}px)
+        scale(${view3DState.scale})
+        rotateX(${view3DState.rotationX}deg)
+        rotateY(${view3DState.rotationY}deg)
+        rotateZ(${view3DState.rotationZ}deg)
+    `;
+    brochure3D.style.transform = transform;
+}
+
+/**
+ * Reset 3D view to default position
+ */
+function reset3DView() {
+    stop3DInertia();
+    view3DState.rotationX = -15;
+    view3DState.rotationY = 30;
+    view3DState.rotationZ = 0;
+    view3DState.translateX = 0;
+    view3DState.translateY = 0;
+    view3DState.scale = 1;
+    update3DTransform();
+}
+
+/**
+ * Start a drag from the current pointer positions
+ * One pointer rotates (or pans with Shift), two pointers pan and pinch-zoom.
+ */
+function start3DGesture() {
+    const points = [...view3DState.pointers.values()];
+    const center = getGestureCenter(points);
+    view3DState.startX = center.x;
+    view3DState.startY = center.y;
+    view3DState.startRotationX = view3DState.rotationX;
+    view3DState.startRotationY = view3DState.rotationY;
+    view3DState.startTranslateX = view3DState.translateX;
+    view3DState.startTranslateY = view3DState.translateY;
+    view3DState.startScale = view3DState.scale;
+    view3DState.startDistance = points.length > 1 ? getGestureDistance(points) : 0;
+    view3DState.velocityX = 0;
+    view3DState.velocityY = 0;
+    view3DState.lastMoveTime = performance.now();
+}
+
+/**
+ * Midpoint of the active pointers
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{x: number, y: number}}
+ */
+function getGestureCenter(points) {
+    const [a, b = a] = points;
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Distance between the first two active pointers
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number}
+ */
+function getGestureDistance(points) {
+    return Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+}
+
+/**
+ * Stop a running inertia animation
+ */
+function stop3DInertia() {
+    if (view3DState.inertiaFrame !== null) {
+        cancelAnimationFrame(view3DState.inertiaFrame);
+        view3DState.inertiaFrame = null;
+    }
+}
+
+/**
+ * Keep rotating after a swipe, slowing down until the model stops
+ */
+function start3DInertia() {
+    let lastTime = performance.now();
+    
+    const step = (time) => {
+        const elapsed = time - lastTime;
+        lastTime = time;
+        
+        view3DState.rotationY += view3DState.velocityY * elapsed;
+        view3DState.rotationX = Math.max(-90, Math.min(90, view3DState.rotationX + view3DState.velocityX * elapsed));
+        const friction = Math.pow(INERTIA_FRICTION, elapsed / 16);
+        view3DState.velocityX *= friction;
+        view3DState.velocityY *= friction;
+        update3DTransform();
+        
+        const speed = Math.hypot(view3DState.velocityX, view3DState.velocityY);
+        view3DState.inertiaFrame = speed > INERTIA_MIN_VELOCITY ? requestAnimationFrame(step) : null;
+    };
+    view3DState.inertiaFrame = requestAnimationFrame(step);
+}
+
+/**
+ * Handle 3D view pointer down (mouse, pen or finger)
+ */
+function handle3DPointerDown(e) {
+    stop3DInertia();
+    scene3D.setPointerCapture(e.pointerId);
+    if (view3DState.pointers.size === 0) {
+        view3DState.moved = false;
+    }
+    view3DState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    view3DState.isDragging = true;
+    start3DGesture();
+    scene3D.style.cursor = 'grabbing';
+    e.preventDefault();
+}
+
+/**
+ * Handle 3D view pointer move
+ */
+function handle3DPointerMove(e) {
+    if (!view3DState.pointers.has(e.pointerId)) return;
+    view3DState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    
+    const points = [...view3DState.pointers.values()];
+    const center = getGestureCenter(points);
+    const deltaX = center.x - view3DState.startX;
+    const deltaY = center.y - view3DState.startY;
+    if (Math.hypot(deltaX, deltaY) > TAP_SLOP_PX) {
+        view3DState.moved = true;
+    }
+    
+    if (points.length > 1) {
+        // Two fingers: pan with the midpoint, zoom with the spread
+        view3DState.translateX = view3DState.startTranslateX + deltaX;
+        view3DState.translateY = view3DState.startTranslateY + deltaY;
+        if (view3DState.startDistance > 0) {
+            const ratio = getGestureDistance(points) / view3DState.startDistance;
+            view3DState.scale = Math.max(0.3, Math.min(3, view3DState.startScale * ratio));
+        }
+    } else if (e.shiftKey) {
         // Pan mode
         view3DState.translateX = view3DState.startTranslateX + deltaX;
         view3DState.translateY = view3DState.startTranslateY + deltaY;
     } else {
         // Rotate mode
-        view3DState.rotationY = view3DState.startRotationY + deltaX * 0.5;
-        view3DState.rotationX = view3DState.startRotationX - deltaY * 0.5;
+        const previousX = view3DState.rotationX;
+        const previousY = view3DState.rotationY;
+        view3DState.rotationY = view3DState.startRotationY + deltaX * DRAG_ROTATION_DEG_PER_PX;
+        view3DState.rotationX = view3DState.startRotationX - deltaY * DRAG_ROTATION_DEG_PER_PX;
         
         // Clamp rotation X to prevent flipping
         view3DState.rotationX = Math.max(-90, Math.min(90, view3DState.rotationX));
+        
+        // Track the speed of the latest movement for inertia
+        const now = performance.now();
+        const elapsed = Math.max(1, now - view3DState.lastMoveTime);
+        view3DState.velocityX = (view3DState.rotationX - previousX) / elapsed;
+        view3DState.velocityY = (view3DState.rotationY - previousY) / elapsed;
+        view3DState.lastMoveTime = now;
     }
     
     update3DTransform();
 }
 
 /**
- * Handle 3D view mouse up
+ * Handle 3D view pointer up or cancel
  */
-function handle3DMouseUp() {
+function handle3DPointerUp(e) {
+    if (!view3DState.pointers.has(e.pointerId)) return;
+    view3DState.pointers.delete(e.pointerId);
+    
+    if (view3DState.pointers.size > 0) {
+        // A finger lifted during a pinch: continue with the remaining one without jumping
+        start3DGesture();
+        return;
+    }
+    
     view3DState.isDragging = false;
     scene3D.style.cursor = 'grab';
+    if (e.pointerType !== 'touch' || e.type === 'pointercancel') return;
+    
+    if (!view3DState.moved) {
+        // Double tap resets the view
+        const now = performance.now();
+        const nearLastTap = Math.hypot(e.clientX - view3DState.lastTapX, e.clientY - view3DState.lastTapY) < TAP_SLOP_PX * 3;
+        if (now - view3DState.lastTapTime < DOUBLE_TAP_MS && nearLastTap) {
+            view3DState.lastTapTime = 0;
+            reset3DView();
+        } else {
+            view3DState.lastTapTime = now;
+            view3DState.lastTapX = e.clientX;
+            view3DState.lastTapY = e.clientY;
+        }
+        return;
+    }
+    
+    // Swipes keep spinning unless the finger rested before lifting
+    if (performance.now() - view3DState.lastMoveTime < 100) {
+        start3DInertia();
+    }
 }
 
 /**
@@ -624,8 +1837,8 @@ function handle3DWheel(e) {
  * Toggle view mode between single and spread
  */
 function toggleViewMode() {
-    if (viewMode === '3d') {
-        // If in 3D mode, switch to single
+    if (viewMode === '3d' || viewMode === 'compare') {
+        // If in 3D or compare mode, switch to single
         viewMode = 'single';
     } else if (viewMode === 'single') {
         viewMode = 'spread';
@@ -644,35 +1857,328 @@ function toggle3DView() {
     } else {
         viewMode = '3d';
     }
-    updateViewDisplay();
+    updateViewDisplay();
+}
+
+/**
+ * Toggle compare view
+ */
+function toggleCompareView() {
+    if (viewMode === 'compare' || !previousPreview) {
+        viewMode = 'single';
+    } else {
+        viewMode = 'compare';
+    }
+    updateViewDisplay();
+}
+
+/**
+ * Update view display based on current mode
+ */
+function updateViewDisplay() {
+    // Hide all views
+    singlePageView.style.display = 'none';
+    spreadView.style.display = 'none';
+    view3D.style.display = 'none';
+    compareView.style.display = 'none';
+    
+    // Update icons
+    view3DToggle.classList.remove('active');
+    compareToggle.classList.remove('active');
+    
+    // Show appropriate view
+    if (viewMode === 'single') {
+        viewModeIcon.classList.add('single');
+        singlePageView.style.display = 'block';
+        displayCurrentPage();
+    } else if (viewMode === 'spread') {
+        viewModeIcon.classList.remove('single');
+        singlePageView.style.display = 'none';
+        spreadView.style.display = 'block';
+        displaySpread();
+    } else if (viewMode === '3d') {
+        view3D.style.display = 'block';
+        view3DToggle.classList.add('active');
+        display3DView();
+    } else if (viewMode === 'compare') {
+        compareView.style.display = 'block';
+        compareToggle.classList.add('active');
+        displayCompare();
+    }
+}
+
+/**
+ * Describe a variable value for the change list
+ * @param {Object} variable - Variable definition
+ * @param {string|undefined} value - Submitted value
+ * @returns {string}
+ */
+function describeValue(variable, value) {
+    if (value === undefined || value === '') return '(empty)';
+    if (variable.type === 'select') {
+        return variable.options.find(option => option.value === value)?.label || value;
+    }
+    if (variable.type === 'boolean') {
+        return value === 'true' ? 'Yes' : 'No';
+    }
+    return value;
+}
+
+/**
+ * Variables (and the proof output profile) that differ between two customizations
+ * @param {Object} before - Form data of the previous preview
+ * @param {Object} after - Form data of the current preview
+ * @returns {Array<{label: string, before: string, after: string}>}
+ */
+function getChangedVariables(before, after) {
+    const changes = currentProduct.variables
+        .filter(variable => (before[variable.name] ?? '') !== (after[variable.name] ?? ''))
+        .map(variable => {
+            const label = variable.label || variable.name;
+            // Uploaded images are referenced by asset id, which means nothing to the user
+            if (variable.type === 'image') {
+                return { label, before: before[variable.name] ? 'Uploaded image' : '(none)', after: after[variable.name] ? 'New uploaded image' : '(none)' };
+            }
+            return { label, before: describeValue(variable, before[variable.name]), after: describeValue(variable, after[variable.name]) };
+        });
+    
+    if ((before.outputProfile || '') !== (after.outputProfile || '')) {
+        const profileLabel = name => productsConfig.outputProfiles?.[name]?.label || name || 'Default';
+        changes.push({ label: 'Output', before: profileLabel(before.outputProfile), after: profileLabel(after.outputProfile) });
+    }
+    return changes;
+}
+
+/**
+ * List what changed between the previous and the current preview
+ */
+function renderChangeList() {
+    compareChangeList.replaceChildren();
+    const changes = getChangedVariables(previousPreview.data, currentPreviewData);
+    if (changes.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No variables changed';
+        compareChangeList.appendChild(item);
+        return;
+    }
+    
+    changes.forEach(change => {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = `${change.label}: `;
+        const before = document.createElement('del');
+        before.textContent = change.before;
+        const after = document.createElement('ins');
+        after.textContent = change.after;
+        item.append(label, before, ' → ', after);
+        compareChangeList.appendChild(item);
+    });
+}
+
+/**
+ * Load an image and wait until it can be drawn
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Image failed to load'));
+        image.src = src;
+    });
+}
+
+/**
+ * Draw the current page with the pixels that differ from the previous preview in red
+ * @param {string} beforeSrc - Previous page image
+ * @param {string} afterSrc - Current page image
+ * @returns {Promise<number>} Share of pixels that changed (0-1)
+ */
+async function drawDifference(beforeSrc, afterSrc) {
+    const [before, after] = await Promise.all([loadImage(beforeSrc), loadImage(afterSrc)]);
+    
+    // Compare at the current page's size, so a different page size shows up as a change
+    const scale = Math.min(1, DIFF_MAX_WIDTH / after.naturalWidth);
+    const width = Math.round(after.naturalWidth * scale);
+    const height = Math.round(after.naturalHeight * scale);
+    
+    const scratch = document.createElement('canvas');
+    scratch.width = width;
+    scratch.height = height;
+    const scratchContext = scratch.getContext('2d', { willReadFrequently: true });
+    scratchContext.drawImage(before, 0, 0, width, height);
+    const beforePixels = scratchContext.getImageData(0, 0, width, height).data;
+    scratchContext.drawImage(after, 0, 0, width, height);
+    const result = scratchContext.getImageData(0, 0, width, height);
+    const pixels = result.data;
+    
+    let changed = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+        const difference = Math.max(
+            Math.abs(pixels[i] - beforePixels[i]),
+            Math.abs(pixels[i + 1] - beforePixels[i + 1]),
+            Math.abs(pixels[i + 2] - beforePixels[i + 2])
+        );
+        if (difference > DIFF_THRESHOLD) {
+            changed++;
+            pixels[i] = 230;
+            pixels[i + 1] = 30;
+            pixels[i + 2] = 30;
+        } else {
+            // Fade unchanged pixels so the changes stand out
+            const luminance = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+            const faded = 255 - (255 - luminance) * 0.25;
+            pixels[i] = faded;
+            pixels[i + 1] = faded;
+            pixels[i + 2] = faded;
+        }
+        pixels[i + 3] = 255;
+    }
+    
+    compareDiffCanvas.width = width;
+    compareDiffCanvas.height = height;
+    compareDiffCanvas.getContext('2d').putImageData(result, 0, 0);
+    return changed / (width * height);
+}
+
+/**
+ * Move the slider's split between before (left) and after (right)
+ */
+function updateCompareSlider() {
+    const split = `${compareSliderInput.value}%`;
+    compareSliderAfter.style.clipPath = `inset(0 0 0 ${split})`;
+    compareDivider.style.left = split;
+}
+
+/**
+ * Switch between side by side, slider and difference
+ * @param {string} mode - 'side', 'slider' or 'diff'
+ */
+function setCompareMode(mode) {
+    compareMode = mode;
+    displayCompare();
+}
+
+/**
+ * Display the current page of the previous and the current preview
+ */
+async function displayCompare() {
+    if (!previousPreview || currentImages.length === 0) return;
+    
+    compareModeButtons.forEach(button => button.classList.toggle('active', button.dataset.compare === compareMode));
+    compareSide.style.display = compareMode === 'side' ? 'grid' : 'none';
+    compareSlider.style.display = compareMode === 'slider' ? 'block' : 'none';
+    compareDiff.style.display = compareMode === 'diff' ? 'block' : 'none';
+    renderChangeList();
+    updatePageNavigation();
+    
+    const page = currentPage;
+    const before = previousPreview.images[page];
+    const after = currentImages[page];
+    compareStatus.textContent = before ? '' : `The previous preview has no page ${page + 1}`;
+    
+    if (compareMode === 'side') {
+        compareBeforeImage.style.visibility = before ? 'visible' : 'hidden';
+        compareBeforeImage.src = before ? before.data : '';
+        compareAfterImage.src = after.data;
+    } else if (compareMode === 'slider') {
+        compareSliderBefore.src = before ? before.data : createBlankWhiteImage();
+        compareSliderAfter.src = after.data;
+        updateCompareSlider();
+    } else if (before) {
+        compareStatus.textContent = 'Comparing pixels…';
+        try {
+            const share = await drawDifference(before.data, after.data);
+            // Ignore results for a page or preview the user has already left
+            if (page !== currentPage || currentImages[page] !== after) return;
+            compareStatus.textContent = share === 0
+                ? 'No visible differences on this page'
+                : `${(share * 100).toFixed(share < 0.001 ? 2 : 1)}% of the page changed`;
+        } catch (error) {
+            console.error('Error comparing pages:', error);
+            compareStatus.textContent = 'Could not compare the pages';
+        }
+    } else {
+        compareDiffCanvas.width = 0;
+        compareDiffCanvas.height = 0;
+    }
+}
+
+/**
+ * Fetch a published page image and keep it in the browser as an object URL
+ * Page URLs expire on the server after 10 minutes, but a page stays on screen (and in the
+ * compare view as the previous preview) for as long as the user likes.
+ * @param {string} url - Page URL from a delivery=url preview
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string>} Object URL (see releasePageImages)
+ */
+async function fetchPageImage(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Preview page could not be loaded (${response.status})`);
+    }
+    return URL.createObjectURL(await response.blob());
+}
+
+/**
+ * Load page 1 of a delivery=url preview
+ * Page URLs are served from the server's storage, which the instances of a serverless deployment
+ * may not share. If the URL cannot be loaded, only that page is rendered again, inline.
+ * @param {Object} formData - Customization of the preview
+ * @param {string} url - Page URL from the preview response
+ * @param {AbortSignal} signal - Signal of the preview request
+ * @returns {Promise<string>} Object URL, or the data URL of the re-rendered page
+ */
+async function loadFirstPageImage(formData, url, signal) {
+    try {
+        return await fetchPageImage(url, signal);
+    } catch (error) {
+        if (signal.aborted) throw error;
+        console.warn('Preview page URL could not be loaded, rendering page 1 on its own');
+        const response = await fetch('/api/preview/pages/1', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(formData),
+            signal
+        });
+        if (!response.ok) {
+            throw await responseError(response, 'Failed to generate preview');
+        }
+        const data = await response.json();
+        return data.image.data;
+    }
 }
 
 /**
- * Update view display based on current mode
+ * Revoke the object URLs of pages that are neither in the current nor the previous preview
+ * @param {Array<{data: string}>} images - Pages that may have been dropped
  */
-function updateViewDisplay() {
-    // Hide all views
-    singlePageView.style.display = 'none';
-    spreadView.style.display = 'none';
-    view3D.style.display = 'none';
-    
-    // Update icons
-    view3DToggle.classList.remove('active');
-    
-    // Show appropriate view
-    if (viewMode === 'single') {
-        viewModeIcon.classList.add('single');
-        singlePageView.style.display = 'block';
-        displayCurrentPage();
-    } else if (viewMode === 'spread') {
-        viewModeIcon.classList.remove('single');
-        singlePageView.style.display = 'none';
-        spreadView.style.display = 'block';
-        displaySpread();
-    } else if (viewMode === '3d') {
-        view3D.style.display = 'block';
-        view3DToggle.classList.add('active');
-        display3DView();
+function releasePageImages(images) {
+    const kept = new Set([...currentImages, ...(previousPreview?.images || [])].map(image => image.data));
+    images.forEach(image => {
+        if (image.data.startsWith('blob:') && !kept.has(image.data)) {
+            URL.revokeObjectURL(image.data);
+        }
+    });
+}
+
+/**
+ * Keep the preview being replaced for the compare view
+ * Only previews of the same product are compared; re-rendering the same values keeps the old one.
+ * @param {Object} formData - Customization of the new preview
+ */
+function rememberPreviousPreview(formData) {
+    if (currentPreviewData?.productId !== formData.productId) {
+        previousPreview = null;
+    } else if (JSON.stringify(currentPreviewData) !== JSON.stringify(formData)) {
+        previousPreview = { images: currentImages, data: currentPreviewData };
+    }
+    compareToggle.disabled = !previousPreview;
+    if (!previousPreview && viewMode === 'compare') {
+        viewMode = 'single';
     }
 }
 
@@ -700,60 +2206,233 @@ function initTheme() {
  * Generate preview
  */
 async function generatePreview() {
+    clearTimeout(autoRefreshTimer);
+    previewController?.abort();
+    const controller = new AbortController();
+    previewController = controller;
+    const sequence = ++previewSequence;
+    const isStale = () => sequence !== previewSequence;
+    let stopWatchingQueue = null;
+    
     try {
         showLoading();
+        clearFieldErrors();
+        stopWatchingQueue = watchQueuePosition(isStale);
         
         const formData = getFormData();
+        requestedPreviewData = formData;
+        const data = await requestPreview(formData, 'url', controller.signal);
+        const images = data.images.map(image => ({ name: image.name, data: image.url }));
         
-        const response = await fetch('/api/preview', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(formData)
-        });
-        
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to generate preview');
-        }
-        
-        const data = await response.json();
-        
-        if (!data.success || !data.images || data.images.length === 0) {
-            throw new Error('No preview images received');
+        // Show the preview as soon as page 1 has loaded; later pages keep loading meanwhile
+        images[0].data = await loadFirstPageImage(formData, images[0].data, controller.signal);
+        if (isStale()) {
+            releasePageImages(images);
+            return;
         }
+        // A newer preview aborts these, so late pages never land in the preview that replaced this one
+        images.slice(1).forEach(image => {
+            fetchPageImage(image.data, controller.signal)
+                .then(objectUrl => {
+                    image.data = objectUrl;
+                    // Revoked again right away if this preview was replaced meanwhile
+                    releasePageImages([image]);
+                })
+                .catch(() => {});
+        });
         
-        currentImages = data.images;
+        console.log(`Preview ${data.cache === 'hit' ? 'served from cache' : 'rendered'}: ${data.pageCount} page(s)`);
+        const replacedImages = [...currentImages, ...(previousPreview?.images || [])];
+        rememberPreviousPreview(formData);
+        currentImages = images;
+        releasePageImages(replacedImages);
         currentPage = 0;
+        currentFold = getFoldLayout(currentProduct, formData.pageSize);
+        currentPreviewData = formData;
+        currentProofResolution = productsConfig.outputProfiles?.[formData.outputProfile || currentProduct.outputProfiles.proof[0]]?.resolution || 150;
         
         showPreview();
-        
-        if (viewMode === 'single') {
-            displayCurrentPage();
-        } else if (viewMode === 'spread') {
-            displaySpread();
-        } else if (viewMode === '3d') {
-            display3DView();
-        }
+        updateViewDisplay();
         
     } catch (error) {
+        // A newer preview superseded this one and owns the loading state
+        if (isStale()) return;
         console.error('Error generating preview:', error);
         showError(error.message || 'Failed to generate preview. Please try again.');
+    } finally {
+        stopWatchingQueue?.();
+    }
+}
+
+/**
+ * Show the preview's place in the render queue while its request waits
+ * The server reports the position of this client's next waiting render.
+ * @param {Function} isStale - True once a newer preview took over the loading message
+ * @returns {Function} Stops watching and restores the loading message
+ */
+function watchQueuePosition(isStale) {
+    let stopped = false;
+    const timer = setInterval(async () => {
+        try {
+            const response = await fetch('/api/queue');
+            if (!response.ok) return;
+            const { position } = await response.json();
+            if (stopped || isStale()) return;
+            loadingMessage.textContent = position
+                ? `Waiting for a free render slot (${position} in line)...`
+                : LOADING_MESSAGE;
+        } catch (error) {
+            // The position is informational; the preview request itself reports failures
+        }
+    }, QUEUE_POLL_INTERVAL_MS);
+    
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+        if (!isStale()) loadingMessage.textContent = LOADING_MESSAGE;
+    };
+}
+
+/**
+ * Request a preview render
+ * @param {Object} formData - Customization from getFormData
+ * @param {string} delivery - 'url' for short-lived page URLs, 'inline' for data URLs
+ * @param {AbortSignal} signal - Aborts the request (the server then stops waiting for the render)
+ * @returns {Promise<Object>} Response data with at least one page
+ */
+async function requestPreview(formData, delivery, signal) {
+    const response = await fetch(`/api/preview?delivery=${delivery}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(formData),
+        signal
+    });
+    
+    if (!response.ok) {
+        throw await responseError(response, 'Failed to generate preview');
     }
+    
+    const data = await response.json();
+    
+    if (!data.success || !data.images || data.images.length === 0) {
+        throw new Error('No preview images received');
+    }
+    return data;
+}
+
+/**
+ * Show a job progress bar
+ * @param {HTMLElement} progress - .job-progress container
+ * @param {HTMLElement} bar - .job-progress-bar inside it
+ * @param {number|null} percent - Progress 0-100, or null when unknown (indeterminate)
+ */
+function setJobProgress(progress, bar, percent) {
+    progress.style.display = 'block';
+    if (typeof percent === 'number') {
+        progress.classList.remove('indeterminate');
+        bar.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+    } else {
+        progress.classList.add('indeterminate');
+        bar.style.width = '';
+    }
+}
+
+/**
+ * Hide a job progress bar and reset it
+ */
+function hideJobProgress(progress, bar) {
+    progress.style.display = 'none';
+    progress.classList.remove('indeterminate');
+    bar.style.width = '0%';
+}
+
+/**
+ * Update the PDF job progress bar
+ * @param {number|null} percent - Progress 0-100, or null when unknown (indeterminate)
+ */
+function updatePdfProgress(percent) {
+    setJobProgress(pdfProgress, pdfProgressBar, percent);
+}
+
+/**
+ * Hide the PDF job progress bar
+ */
+function hidePdfProgress() {
+    hideJobProgress(pdfProgress, pdfProgressBar);
+}
+
+/**
+ * Turn a failed job's statusInfo (text, or the backend's structured details) into a message
+ * @param {*} statusInfo
+ * @returns {string} Empty when there is nothing to show
+ */
+function formatStatusInfo(statusInfo) {
+    if (statusInfo === null || statusInfo === undefined) return '';
+    if (Array.isArray(statusInfo)) return statusInfo.map(formatStatusInfo).filter(Boolean).join('; ');
+    if (typeof statusInfo !== 'object') return String(statusInfo);
+    
+    const message = statusInfo.Message ?? statusInfo.message ?? statusInfo.Description ?? statusInfo.description;
+    return message !== undefined ? formatStatusInfo(message) : JSON.stringify(statusInfo);
+}
+
+/**
+ * Poll a submitted PDF job until it completes or fails
+ * Busy answers (rate limited, backend unavailable) are retried with a growing delay.
+ * @param {string} jobId - Job id returned by POST /api/jobs
+ */
+async function waitForPdfJob(jobId) {
+    const startedAt = Date.now();
+    let pollDelay = PDF_JOB_POLL_INTERVAL_MS;
+    
+    while (Date.now() - startedAt < PDF_JOB_MAX_WAIT_MS) {
+        await new Promise(resolve => setTimeout(resolve, pollDelay));
+        
+        const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+        if (PDF_JOB_RETRY_STATUSES.includes(response.status)) {
+            const retryAfterMs = Number(response.headers.get('Retry-After')) * 1000 || 0;
+            pollDelay = Math.min(Math.max(pollDelay * 2, retryAfterMs), PDF_JOB_MAX_RETRY_DELAY_MS);
+            downloadPdfBtn.innerHTML = '<span class="btn-icon">⏳</span> Server busy, still waiting...';
+            continue;
+        }
+        pollDelay = PDF_JOB_POLL_INTERVAL_MS;
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to check PDF status');
+        }
+        
+        const job = await response.json();
+        if (job.status === 'completed') {
+            updatePdfProgress(100);
+            return;
+        }
+        if (job.status === 'failed') {
+            throw new Error(formatStatusInfo(job.statusInfo) || 'PDF generation failed');
+        }
+        
+        updatePdfProgress(job.progress);
+        const progressText = typeof job.progress === 'number' ? ` ${job.progress}%` : '';
+        downloadPdfBtn.innerHTML = `<span class="btn-icon">⏳</span> Generating PDF...${progressText}`;
+    }
+    
+    throw new Error('PDF generation is taking too long. Please try again later.');
 }
 
 /**
  * Download PDF
+ * Submits an async job, polls its status, then downloads the output
  */
 async function downloadPdf() {
     try {
         downloadPdfBtn.disabled = true;
         downloadPdfBtn.innerHTML = '<span class="btn-icon">⏳</span> Generating PDF...';
+        updatePdfProgress(null);
+        clearFieldErrors();
         
-        const formData = getFormData();
+        const formData = getFormData('print');
         
-        const response = await fetch('/api/download-pdf', {
+        const submitResponse = await fetch('/api/jobs', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -761,24 +2440,26 @@ async function downloadPdf() {
             body: JSON.stringify(formData)
         });
         
+        if (!submitResponse.ok) {
+            throw await responseError(submitResponse, 'Failed to generate PDF');
+        }
+        
+        const { jobId } = await submitResponse.json();
+        await waitForPdfJob(jobId);
+        
+        const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/output`);
+        
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to generate PDF');
+            throw new Error(errorData.error || 'Failed to download PDF');
         }
         
         // Get the PDF blob
         const blob = await response.blob();
         
-        // Create download link
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `XMPie_Brochure_${Date.now()}.pdf`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
+        saveBlob(blob, `XMPie_Brochure_${Date.now()}.pdf`);
         
+        hidePdfProgress();
         downloadPdfBtn.innerHTML = '<span class="btn-icon">✓</span> PDF Downloaded!';
         
         setTimeout(() => {
@@ -788,6 +2469,7 @@ async function downloadPdf() {
         
     } catch (error) {
         console.error('Error downloading PDF:', error);
+        hidePdfProgress();
         alert(error.message || 'Failed to download PDF. Please try again.');
         downloadPdfBtn.innerHTML = '<span class="btn-icon">📥</span> Download Print PDF';
         downloadPdfBtn.disabled = false;
@@ -795,44 +2477,378 @@ async function downloadPdf() {
 }
 
 /**
- * Auto-refresh preview on form change
+ * Save a downloaded blob as a file
  */
-function setupAutoRefresh() {
-    let debounceTimer;
-    
-    // Query all form inputs
-    formInputs = form.querySelectorAll('input, select');
-    
-    // Add change listeners to all inputs
-    formInputs.forEach(input => {
-        input.addEventListener('change', () => {
-            // Only auto-refresh if we already have images loaded
-            if (currentImages.length > 0) {
-                clearTimeout(debounceTimer);
-                debounceTimer = setTimeout(() => {
-                    generatePreview();
-                }, 500);
-            }
+function saveBlob(blob, fileName) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+// =============================================================================
+// SHARED DESIGNS
+// =============================================================================
+
+/**
+ * Save the current customization and show a shareable link to it
+ */
+async function shareDesign() {
+    try {
+        shareDesignBtn.disabled = true;
+        clearFieldErrors();
+        
+        const response = await fetch('/api/designs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(getFormData())
+        });
+        
+        if (!response.ok) {
+            throw await responseError(response, 'Failed to create share link');
+        }
+        
+        const { designId } = await response.json();
+        const url = new URL(window.location.pathname, window.location.origin);
+        url.searchParams.set('design', designId);
+        
+        shareLinkInput.value = url.toString();
+        shareLink.style.display = 'flex';
+        shareLinkInput.select();
+        
+        try {
+            await navigator.clipboard.writeText(url.toString());
+            shareLinkStatus.textContent = 'Copied!';
+        } catch (error) {
+            // Clipboard access can be denied; the link is still selected for manual copying
+            shareLinkStatus.textContent = '';
+        }
+        
+    } catch (error) {
+        console.error('Error sharing design:', error);
+        alert(error.message || 'Failed to create share link. Please try again.');
+    } finally {
+        shareDesignBtn.disabled = false;
+    }
+}
+
+/**
+ * Restore a shared design from its id and preview it
+ * @param {string} designId - Id from the ?design= query parameter
+ * @returns {Promise<boolean>} false if the design could not be loaded
+ */
+async function loadSharedDesign(designId) {
+    try {
+        const response = await fetch(`/api/designs/${encodeURIComponent(designId)}`);
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Failed to load shared design');
+        }
+        
+        const { design } = await response.json();
+        if (!productsConfig.products.some(p => p.id === design.productId)) {
+            throw new Error('The template for this design is no longer available');
+        }
+        
+        selectProduct(design.productId, design.values);
+        return true;
+        
+    } catch (error) {
+        console.error('Error loading shared design:', error);
+        alert(error.message || 'Failed to load shared design');
+        return false;
+    }
+}
+
+// =============================================================================
+// BATCH PERSONALIZATION
+// =============================================================================
+
+/**
+ * Reset the batch section (on product change the old mapping no longer applies)
+ */
+function resetBatch() {
+    batchFile.value = '';
+    batchMapping.style.display = 'none';
+    batchMappingRows.innerHTML = '';
+    batchStatus.textContent = '';
+    batchErrors.innerHTML = '';
+    hideJobProgress(batchProgress, batchProgressBar);
+}
+
+/**
+ * Multipart body with the current product and the selected CSV file
+ */
+function batchRequestBody() {
+    const body = new FormData();
+    body.append('productId', currentProduct.id);
+    body.append('file', batchFile.files[0]);
+    return body;
+}
+
+/**
+ * List row-level (or mapping) errors returned by the server
+ * @param {Array<{row?: number, field?: string, message: string}>} errors
+ */
+function showBatchErrors(errors) {
+    batchErrors.innerHTML = '';
+    errors.forEach(({ row, field, message }) => {
+        const variable = currentProduct.variables.find(v => v.name === field);
+        const where = [];
+        if (row) where.push(`Row ${row}`);
+        if (field) where.push(variable ? variable.label : field);
+        const item = document.createElement('li');
+        item.textContent = `${where.join(', ')}: ${message}`;
+        batchErrors.appendChild(item);
+    });
+}
+
+/**
+ * Build the column-mapping table for a previewed CSV
+ * @param {Object} preview - Response from POST /api/batches/preview
+ */
+function renderBatchMapping(preview) {
+    batchMappingRows.innerHTML = '';
+    
+    currentProduct.variables.forEach(variable => {
+        // Images cannot come from a CSV; they keep their default
+        if (variable.type === 'image') return;
+        
+        const select = document.createElement('select');
+        select.className = 'form-control';
+        select.dataset.variable = variable.name;
+        
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Use default';
+        select.appendChild(defaultOption);
+        
+        preview.columns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = column;
+            select.appendChild(option);
         });
+        select.value = preview.suggestedMapping[variable.name] || '';
+        
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('td');
+        labelCell.textContent = variable.label;
+        const selectCell = document.createElement('td');
+        selectCell.appendChild(select);
+        row.append(labelCell, selectCell);
+        batchMappingRows.appendChild(row);
+    });
+    
+    batchSummary.textContent = `${preview.rowCount} row(s) found (limit ${preview.maxRows}). Choose a column for each field:`;
+    batchMapping.style.display = 'block';
+}
+
+/**
+ * Read the selected CSV and ask the server for its columns and a suggested mapping
+ */
+async function loadBatchCsv() {
+    batchMapping.style.display = 'none';
+    batchStatus.textContent = '';
+    batchErrors.innerHTML = '';
+    if (!currentProduct || batchFile.files.length === 0) return;
+    
+    try {
+        batchStatus.textContent = 'Reading CSV...';
+        const response = await fetch('/api/batches/preview', {
+            method: 'POST',
+            body: batchRequestBody()
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Failed to read CSV');
+        }
+        
+        renderBatchMapping(await response.json());
+        batchStatus.textContent = '';
+    } catch (error) {
+        console.error('Error reading CSV:', error);
+        batchStatus.textContent = error.message;
+    }
+}
+
+/**
+ * Poll a batch until every row has been processed
+ * Busy answers are retried with a growing delay, as for single PDF jobs.
+ * @param {string} batchId - Batch id returned by POST /api/batches
+ * @returns {Promise<Object>} Final batch status
+ */
+async function waitForBatch(batchId) {
+    const startedAt = Date.now();
+    let pollDelay = PDF_JOB_POLL_INTERVAL_MS;
+    
+    while (Date.now() - startedAt < PDF_JOB_MAX_WAIT_MS) {
+        await new Promise(resolve => setTimeout(resolve, pollDelay));
+        
+        const response = await fetch(`/api/batches/${encodeURIComponent(batchId)}`);
+        if (PDF_JOB_RETRY_STATUSES.includes(response.status)) {
+            const retryAfterMs = Number(response.headers.get('Retry-After')) * 1000 || 0;
+            pollDelay = Math.min(Math.max(pollDelay * 2, retryAfterMs), PDF_JOB_MAX_RETRY_DELAY_MS);
+            batchStatus.textContent = 'Server busy, still waiting...';
+            continue;
+        }
+        pollDelay = PDF_JOB_POLL_INTERVAL_MS;
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to check batch status');
+        }
+        
+        const batch = await response.json();
+        setJobProgress(batchProgress, batchProgressBar, batch.progress);
+        batchStatus.textContent = `Generating PDFs... ${batch.completed + batch.failed} of ${batch.total}`;
+        
+        if (batch.status !== 'processing') {
+            return batch;
+        }
+    }
+    
+    throw new Error('Batch is taking too long. Please try again later.');
+}
+
+/**
+ * Submit the batch with the chosen mapping, wait for it, then download the output
+ */
+async function generateBatch() {
+    const mapping = {};
+    batchMappingRows.querySelectorAll('select').forEach(select => {
+        if (select.value) mapping[select.dataset.variable] = select.value;
     });
+    
+    try {
+        batchGenerateBtn.disabled = true;
+        batchErrors.innerHTML = '';
+        batchStatus.textContent = 'Checking and submitting rows...';
+        setJobProgress(batchProgress, batchProgressBar, null);
+        
+        const body = batchRequestBody();
+        body.append('mapping', JSON.stringify(mapping));
+        body.append('output', batchOutput.value);
+        if (getOutputProfile('print')) {
+            body.append('outputProfile', getOutputProfile('print'));
+        }
+        
+        const submitResponse = await fetch('/api/batches', {
+            method: 'POST',
+            body
+        });
+        
+        if (!submitResponse.ok) {
+            const errorData = await submitResponse.json().catch(() => ({}));
+            showBatchErrors(errorData.rows || errorData.fields || []);
+            throw new Error(errorData.error || 'Failed to start batch');
+        }
+        
+        const { batchId } = await submitResponse.json();
+        const batch = await waitForBatch(batchId);
+        
+        if (batch.failed > 0) {
+            showBatchErrors(batch.failures);
+        }
+        if (batch.status === 'failed') {
+            throw new Error(batch.error || 'No PDFs could be generated');
+        }
+        
+        const response = await fetch(`/api/batches/${encodeURIComponent(batchId)}/output`);
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || 'Failed to download batch');
+        }
+        
+        const extension = batchOutput.value === 'merged' ? 'pdf' : 'zip';
+        saveBlob(await response.blob(), `XMPie_Batch_${Date.now()}.${extension}`);
+        
+        hideJobProgress(batchProgress, batchProgressBar);
+        batchStatus.textContent = `Downloaded ${batch.completed} of ${batch.total} PDF(s).`;
+        
+    } catch (error) {
+        console.error('Error generating batch:', error);
+        hideJobProgress(batchProgress, batchProgressBar);
+        batchStatus.textContent = error.message || 'Failed to generate batch. Please try again.';
+    } finally {
+        batchGenerateBtn.disabled = false;
+    }
+}
+
+/**
+ * Auto-refresh preview on form change
+ * Delegated from the form, so regenerated fields need no listeners of their own. Listens to
+ * `input` as well as `change`: text and number fields only fire `change` when they lose focus,
+ * and color pickers while they are dragged fire `input` only. File inputs refresh via their
+ * hidden value input once uploaded (which fires `change`); the PDF output profile does not
+ * affect the preview.
+ */
+function handleFormChange(event) {
+    if (!event.target.closest('#formFields')) return;
+    if (!event.target.matches('input:not([type="file"]), select:not([data-output-mode="print"])')) return;
+    
+    // Only auto-refresh if we already have images loaded
+    if (currentImages.length > 0) {
+        clearTimeout(autoRefreshTimer);
+        autoRefreshTimer = setTimeout(() => {
+            // The change event that follows typing usually comes after the preview it started
+            if (JSON.stringify(getFormData()) === JSON.stringify(requestedPreviewData)) return;
+            generatePreview();
+        }, event.type === 'input' ? INPUT_REFRESH_DELAY_MS : AUTO_REFRESH_DELAY_MS);
+    }
 }
 
 // =============================================================================
 // EVENT LISTENERS
 // =============================================================================
 refreshPreviewBtn.addEventListener('click', generatePreview);
+form.addEventListener('change', handleFormChange);
+form.addEventListener('input', handleFormChange);
 downloadPdfBtn.addEventListener('click', downloadPdf);
+shareDesignBtn.addEventListener('click', shareDesign);
+shareLinkInput.addEventListener('focus', () => shareLinkInput.select());
 viewModeToggle.addEventListener('click', toggleViewMode);
+compareToggle.addEventListener('click', toggleCompareView);
 view3DToggle.addEventListener('click', toggle3DView);
 themeToggle.addEventListener('click', toggleTheme);
 retryBtn.addEventListener('click', generatePreview);
+batchFile.addEventListener('change', loadBatchCsv);
+batchGenerateBtn.addEventListener('click', generateBatch);
 
 // 3D View Event Listeners
-scene3D.addEventListener('mousedown', handle3DMouseDown);
-document.addEventListener('mousemove', handle3DMouseMove);
-document.addEventListener('mouseup', handle3DMouseUp);
+scene3D.addEventListener('pointerdown', handle3DPointerDown);
+scene3D.addEventListener('pointermove', handle3DPointerMove);
+scene3D.addEventListener('pointerup', handle3DPointerUp);
+scene3D.addEventListener('pointercancel', handle3DPointerUp);
 scene3D.addEventListener('wheel', handle3DWheel, { passive: false });
 reset3DViewBtn.addEventListener('click', reset3DView);
+zoomButtons.forEach(button => {
+    button.addEventListener('click', () => zoomInspector(button.dataset.zoom === 'fit' ? 'fit' : Number(button.dataset.zoom)));
+});
+loupeToggle.addEventListener('click', toggleLoupe);
+compareModeButtons.forEach(button => {
+    button.addEventListener('click', () => setCompareMode(button.dataset.compare));
+});
+compareSliderInput.addEventListener('input', updateCompareSlider);
+pageInspector.addEventListener('wheel', handleInspectorWheel, { passive: false });
+pageInspector.addEventListener('pointerdown', handleInspectorPointerDown);
+pageInspector.addEventListener('pointermove', handleInspectorPointerMove);
+pageInspector.addEventListener('pointerup', handleInspectorPointerUp);
+pageInspector.addEventListener('pointercancel', handleInspectorPointerUp);
+pageInspector.addEventListener('pointerleave', () => {
+    if (inspectorState.loupe) updateLoupe(null);
+});
+window.addEventListener('resize', () => {
+    if (viewMode === 'single') layoutInspector();
+});
+foldToggle.addEventListener('click', () => setFoldOpen(view3DFold.open < 1 ? 1 : 0));
+foldAmount.addEventListener('input', () => setFoldOpen(foldAmount.value / 100));
 
 // Carousel navigation
 carouselPrev.addEventListener('click', () => scrollCarousel('prev'));
@@ -849,30 +2865,19 @@ if (localStorage.getItem('carouselCollapsed') === 'true') {
     productSelector.classList.add('collapsed');
 }
 
-prevPageBtn.addEventListener('click', () => {
-    if (currentPage > 0) {
-        currentPage--;
-        displayCurrentPage();
-    }
-});
-
-nextPageBtn.addEventListener('click', () => {
-    if (currentPage < currentImages.length - 1) {
-        currentPage++;
-        displayCurrentPage();
-    }
-});
+prevPageBtn.addEventListener('click', showPreviousPage);
+nextPageBtn.addEventListener('click', showNextPage);
 
-// Keyboard navigation
+// Keyboard navigation (all view modes)
 document.addEventListener('keydown', (e) => {
-    if (viewMode === 'single' && currentImages.length > 0) {
-        if (e.key === 'ArrowLeft' && currentPage > 0) {
-            currentPage--;
-            displayCurrentPage();
-        } else if (e.key === 'ArrowRight' && currentPage < currentImages.length - 1) {
-            currentPage++;
-            displayCurrentPage();
-        }
+    if (currentImages.length === 0 || previewContainer.style.display === 'none') return;
+    // Arrow keys inside form fields move the caret or change the value
+    if (e.target.closest('input, select, textarea, [contenteditable]')) return;
+    
+    if (e.key === 'ArrowLeft') {
+        showPreviousPage();
+    } else if (e.key === 'ArrowRight') {
+        showNextPage();
     }
 });
 
@@ -0,0 +1,160 @@
+/**
+ * QLingo Expression Builder
+ * Turns validated customization values into QLingo literals for PlanObjectExpression.
+ * User input is always emitted as an escaped literal, never as raw QLingo.
+ */
+
+const { formatDateValue } = require('./variableSchema');
+
+// Longest expression we will send for a single customization (after escaping)
+const MAX_EXPRESSION_LENGTH = 2000;
+
+// Control characters other than tab/newline/carriage return have no place in a plan value
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+const STRING_ESCAPES = {
+  '\\': '\\\\',
+  '"': '\\"',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t'
+};
+
+/**
+ * Build a QLingo string literal
+ * Backslashes, double quotes and line breaks are escaped; other control characters are dropped.
+ * @param {*} value
+ * @returns {string} e.g. "O\"Brien"
+ */
+function stringLiteral(value) {
+  const text = String(value ?? '')
+    .replace(CONTROL_CHARS, '')
+    .replace(/[\\"\n\r\t]/g, char => STRING_ESCAPES[char]);
+  return `"${text}"`;
+}
+
+/**
+ * Build a QLingo number literal
+ * @param {string|number} value
+ * @returns {string} e.g. 42 or -3.5
+ */
+function numberLiteral(value) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isFinite(number)) {
+    throw new Error(`Not a number: ${value}`);
+  }
+  const literal = String(number);
+  // Exponent notation (1e+21, 1e-7) is not a QLingo number literal
+  if (/e/i.test(literal)) {
+    throw new Error(`Number out of range for QLingo: ${value}`);
+  }
+  return literal;
+}
+
+/**
+ * Build a QLingo boolean literal
+ * @param {string|boolean} value - true/false or 'true'/'false'
+ * @returns {string} true or false
+ */
+function booleanLiteral(value) {
+  if (value === true || value === 'true') return 'true';
+  if (value === false || value === 'false') return 'false';
+  throw new Error(`Not a boolean: ${value}`);
+}
+
+/**
+ * Build a QLingo date literal from an already formatted date string
+ * @param {string} formattedDate - e.g. 25/11/2025
+ * @returns {string} e.g. #25/11/2025#
+ */
+function dateLiteral(formattedDate) {
+  const text = String(formattedDate);
+  if (text === '' || /[#"\\\u0000-\u001F\u007F]/.test(text)) {
+    throw new Error(`Invalid date literal: ${formattedDate}`);
+  }
+  return `#${text}#`;
+}
+
+/**
+ * Build the PlanObjectExpression for a validated variable value
+ *
+ * Variables with "expressionMode": "raw" pass their value through verbatim.
+ * That is only allowed on products marked "trusted": true, and only for select
+ * variables, so the expression always comes from the admin-defined options.
+ *
+ * @param {Object} product - Product configuration
+ * @param {Object} variable - Variable definition
+ * @param {string} value - Validated value ('' when empty)
+ * @returns {string} QLingo expression
+ */
+function buildExpression(product, variable, value) {
+  let expression;
+
+  if (variable.expressionMode === 'raw') {
+    if (product.trusted !== true || variable.type !== 'select') {
+      throw new Error(`Raw expressions require a select variable on a trusted product: ${variable.name}`);
+    }
+    expression = String(value);
+  } else if (value === '' || value === undefined || value === null) {
+    expression = stringLiteral('');
+  } else {
+    switch (variable.type) {
+      case 'number':
+        expression = numberLiteral(value);
+        break;
+      case 'boolean':
+        expression = booleanLiteral(value);
+        break;
+      case 'date':
+        expression = dateLiteral(formatDateValue(variable, value));
+        break;
+      default:
+        expression = stringLiteral(value);
+    }
+  }
+
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    const error = new Error(`Expression for ${variable.name} exceeds ${MAX_EXPRESSION_LENGTH} characters`);
+    error.code = 'expression_too_long';
+    throw error;
+  }
+  return expression;
+}
+
+/**
+ * Check that validated values fit in their plan object expressions
+ * Escaping can make a value that passed its maxLength too long to send, which is the
+ * submitter's problem (a field error), unlike a misconfigured variable, which still throws
+ * from buildExpression when the job ticket is built.
+ * @param {Object} product - Product configuration
+ * @param {Object} values - Validated form values
+ * @returns {Array<{field: string, code: string, message: string}>} Field errors
+ */
+function validateExpressions(product, values) {
+  const errors = [];
+  product.variables.forEach(variable => {
+    if (!variable.planObjectName || !variable.planObjectType) return;
+    const value = values[variable.name] !== undefined ? values[variable.name] : variable.defaultValue;
+    try {
+      buildExpression(product, variable, value);
+    } catch (error) {
+      if (error.code !== 'expression_too_long') return;
+      errors.push({
+        field: variable.name,
+        code: 'too_long',
+        message: `Too long for the template once special characters are encoded (at most ${MAX_EXPRESSION_LENGTH} characters)`
+      });
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  stringLiteral,
+  numberLiteral,
+  booleanLiteral,
+  dateLiteral,
+  buildExpression,
+  validateExpressions,
+  MAX_EXPRESSION_LENGTH
+};
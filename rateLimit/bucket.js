@@ -0,0 +1,38 @@
+/**
+ * Token Bucket
+ * A bucket holds up to `limit` tokens and every request takes one. Tokens flow back at `limit`
+ * per `windowMs`, so a client can burst up to the limit and then keeps a steady `limit`
+ * requests per window. A bucket that has filled up again is the same as a new one, so stores
+ * may forget it. The Redis store runs the same arithmetic in Lua.
+ */
+
+/**
+ * Take a token from a bucket
+ * @param {{tokens: number, updatedAt: number}|null} bucket - Stored state, or null for a full bucket
+ * @param {{limit: number, windowMs: number}} policy
+ * @param {number} now - Current time in ms
+ * @returns {{bucket: {tokens: number, updatedAt: number}, allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number}}
+ *   The state to store, whether the request may go ahead, the whole tokens left, the time
+ *   until the bucket is full again and, when refused, the time until the next token
+ */
+function takeToken(bucket, { limit, windowMs }, now) {
+  const rate = limit / windowMs; // Tokens per ms
+  let tokens = bucket
+    ? Math.min(limit, bucket.tokens + Math.max(0, now - bucket.updatedAt) * rate)
+    : limit;
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((limit - tokens) / rate),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+  };
+}
+
+module.exports = {
+  takeToken
+};
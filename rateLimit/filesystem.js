@@ -0,0 +1,83 @@
+/**
+ * Filesystem Rate Limit Store
+ * Keeps each bucket in a JSON file named by the hash of its key, so buckets survive restarts
+ * and are shared by the processes of one host that use the same directory. Updates to a bucket
+ * run one after another within a process; processes taking a token from the same bucket at the
+ * same instant can each see the old count.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { takeToken } = require('./bucket');
+
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // Remove files of full buckets every 5 minutes
+
+/**
+ * Create a filesystem store
+ * Synchronous so the store is in place before the first request.
+ * @param {Object} config
+ * @param {string} config.dir - Directory for the bucket files (created if missing)
+ * @returns {Object} Rate limit store; throws if the directory is not writable
+ */
+function createFilesystemRateLimitStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.accessSync(dir, fs.constants.W_OK);
+
+  const pending = new Map(); // key -> last queued update of that bucket
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  async function readBucket(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      return null; // Missing (full) or unreadable: start over with a full bucket
+    }
+  }
+
+  async function update(key, policy) {
+    const file = fileFor(key);
+    const now = Date.now();
+    const { bucket, ...result } = takeToken(await readBucket(file), policy, now);
+
+    // Write, then rename over the old file, so other processes never read a partial file
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ ...bucket, fullAt: now + result.resetMs }));
+    await fs.promises.rename(tempFile, file);
+    return result;
+  }
+
+  setInterval(async () => {
+    const now = Date.now();
+    try {
+      for (const name of await fs.promises.readdir(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const bucket = await readBucket(path.join(dir, name));
+        if (!bucket || now >= bucket.fullAt) {
+          await fs.promises.rm(path.join(dir, name), { force: true });
+        }
+      }
+    } catch (error) {
+      console.warn('Rate limit store: cleanup failed:', error.message);
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return {
+    name: 'filesystem',
+    shared: true,
+
+    take(key, policy) {
+      const previous = pending.get(key) || Promise.resolve();
+      const next = previous.catch(() => {}).then(() => update(key, policy));
+      pending.set(key, next);
+      next.catch(() => {}).finally(() => {
+        if (pending.get(key) === next) pending.delete(key);
+      });
+      return next;
+    }
+  };
+}
+
+module.exports = {
+  createFilesystemRateLimitStore
+};
@@ -0,0 +1,123 @@
+/**
+ * Rate Limiting
+ * Express middleware that limits requests per client with token buckets (see bucket.js).
+ * Routes are grouped into policies with limits of their own, and every client has a separate
+ * bucket per policy, so browsing the catalog does not use up the budget for rendering PDFs.
+ *
+ * Buckets are kept in a store with this interface:
+ *
+ *   take(key, { limit, windowMs }) -> { allowed, remaining, resetMs, retryAfterMs }
+ *
+ *   memory      In-process Map; every process and serverless instance counts on its own
+ *   filesystem  Files under STORAGE_DIR/rate-limits; shared by the processes of one host
+ *   redis       Redis over its REST protocol; shared by every instance
+ *
+ * RATE_LIMIT_STORE selects the store. When it is unset, Redis is used if a REST URL is
+ * configured (RATE_LIMIT_REDIS_URL, or KV_REST_API_URL as set by Vercel KV), otherwise memory.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * headers (IETF draft "RateLimit header fields for HTTP"), and Retry-After when refused.
+ */
+
+const path = require('path');
+const { createMemoryRateLimitStore } = require('./memory');
+const { createFilesystemRateLimitStore } = require('./filesystem');
+const { createRedisRateLimitStore } = require('./redis');
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', '.data', 'storage');
+
+const STORES = {
+  memory: () => createMemoryRateLimitStore(),
+  filesystem: (env) => createFilesystemRateLimitStore({
+    dir: path.resolve(env.STORAGE_DIR || DEFAULT_STORAGE_DIR, 'rate-limits')
+  }),
+  redis: (env) => {
+    const url = env.RATE_LIMIT_REDIS_URL || env.KV_REST_API_URL;
+    const token = env.RATE_LIMIT_REDIS_TOKEN || env.KV_REST_API_TOKEN;
+    if (!url || !token) {
+      throw new Error('RATE_LIMIT_STORE=redis requires RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN');
+    }
+    return createRedisRateLimitStore({ url, token });
+  }
+};
+
+/**
+ * Create the rate limit store selected by the environment
+ * An explicitly chosen store must work; falling back would hide the misconfiguration.
+ * @param {Object} [env=process.env]
+ * @returns {Object} Rate limit store: { name, shared, take }
+ */
+function createRateLimitStore(env = process.env) {
+  const name = env.RATE_LIMIT_STORE || (env.RATE_LIMIT_REDIS_URL || env.KV_REST_API_URL ? 'redis' : 'memory');
+  if (!STORES[name]) {
+    throw new Error(`RATE_LIMIT_STORE must be one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return STORES[name](env);
+}
+
+/**
+ * Check if a request matches a route pattern
+ * @param {string} route - "METHOD /path", "METHOD /prefix/*" or "* /path"
+ */
+function matchesRoute(route, req) {
+  const [method, pattern] = route.split(' ');
+  if (method !== '*' && method !== req.method) return false;
+  return pattern.endsWith('*') ? req.path.startsWith(pattern.slice(0, -1)) : req.path === pattern;
+}
+
+/**
+ * Create the rate limiting middleware
+ * @param {Object} config
+ * @param {Array<{name: string, limit: number, windowMs: number, routes?: string[]}>} config.policies -
+ *   A request uses the first policy with a matching route, otherwise the policy without routes
+ * @param {string[]} [config.exempt=[]] - Routes that are never limited
+ * @param {Object} config.store - See createRateLimitStore
+ * @param {Function} config.getClientId - (req) -> client the buckets belong to
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ policies, exempt = [], store, getClientId }) {
+  const defaultPolicy = policies.find(policy => !policy.routes);
+
+  return async function rateLimiter(req, res, next) {
+    if (exempt.some(route => matchesRoute(route, req))) {
+      return next();
+    }
+    const policy = policies.find(entry => entry.routes?.some(route => matchesRoute(route, req))) || defaultPolicy;
+    if (!policy) {
+      return next();
+    }
+
+    const clientId = getClientId(req);
+    let result;
+    try {
+      result = await store.take(`${policy.name}:${clientId}`, policy);
+    } catch (error) {
+      // An unreachable store must not take the whole API down with it
+      console.error(`Rate limit store (${store.name}) failed, request allowed:`, error.message);
+      return next();
+    }
+
+    res.setHeader('RateLimit-Limit', policy.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', Math.ceil(result.resetMs / 1000));
+    res.setHeader('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+
+    if (!result.allowed) {
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      console.warn(`Rate limit (${policy.name}) exceeded for IP: ${clientId}`);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: 'Please wait before making more requests',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimitStore,
+  createRateLimiter
+};
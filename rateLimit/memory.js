@@ -0,0 +1,40 @@
+/**
+ * Memory Rate Limit Store
+ * Keeps buckets in a Map. Each process (and each serverless instance) counts on its own, and
+ * nothing survives a restart.
+ */
+
+const { takeToken } = require('./bucket');
+
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // Forget full buckets every 5 minutes
+
+/**
+ * Create a memory store
+ * @returns {Object} Rate limit store
+ */
+function createMemoryRateLimitStore() {
+  const buckets = new Map(); // key -> { tokens, updatedAt, fullAt }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (now >= bucket.fullAt) buckets.delete(key);
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    async take(key, policy) {
+      const now = Date.now();
+      const { bucket, ...result } = takeToken(buckets.get(key) || null, policy, now);
+      buckets.set(key, { ...bucket, fullAt: now + result.resetMs });
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryRateLimitStore
+};
@@ -0,0 +1,43 @@
+/**
+ * Rate Limit Policies
+ * Limits in requests per minute per client; each policy has its own bucket per client.
+ */
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
+
+// Page images belong to a preview request that was already counted, and the queue
+// position is polled while that request waits
+const RATE_LIMIT_EXEMPT_ROUTES = ['GET /api/preview/images/*', 'GET /api/queue'];
+
+/**
+ * Create the policies, with limits from the environment
+ * @param {Object} [env=process.env]
+ * @returns {Array<{name: string, limit: number, windowMs: number, routes?: string[]}>} See createRateLimiter
+ */
+function createRateLimitPolicies(env = process.env) {
+  return [
+    // PDFs and batches keep uProduce busy the longest
+    {
+      name: 'pdf',
+      limit: parseInt(env.RATE_LIMIT_PDF, 10) || 5,
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      routes: ['POST /api/download-pdf', 'POST /api/jobs', 'POST /api/batches']
+    },
+    {
+      name: 'render',
+      limit: parseInt(env.RATE_LIMIT_RENDER, 10) || 30,
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      routes: ['POST /api/preview', 'POST /api/preview/pages/*', 'POST /api/uploads']
+    },
+    {
+      name: 'default',
+      limit: parseInt(env.RATE_LIMIT_DEFAULT, 10) || 120,
+      windowMs: RATE_LIMIT_WINDOW_MS
+    }
+  ];
+}
+
+module.exports = {
+  RATE_LIMIT_EXEMPT_ROUTES,
+  createRateLimitPolicies
+};
@@ -0,0 +1,71 @@
+/**
+ * Redis Rate Limit Store
+ * Keeps buckets in Redis, so every instance, serverless ones included, shares them. Commands
+ * go over the Upstash-compatible REST protocol (Upstash, Vercel KV, or serverless-redis-http in
+ * front of any Redis), so no Redis client library or open connection is needed. A Lua script
+ * updates the bucket, which Redis runs atomically; it mirrors takeToken() in bucket.js.
+ */
+
+const axios = require('axios');
+
+const REDIS_TIMEOUT_MS = 2000; // Requests wait on this, so give up quickly
+const KEY_PREFIX = 'ratelimit:';
+
+// KEYS[1] = bucket; ARGV = limit, windowMs, now
+// Returns { allowed (0/1), remaining, resetMs, retryAfterMs }
+const TAKE_TOKEN_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local rate = limit / tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = limit
+if state[1] then
+  tokens = math.min(limit, tonumber(state[1]) + math.max(0, now - tonumber(state[2])) * rate)
+end
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfterMs = math.ceil((1 - tokens) / rate)
+end
+local resetMs = math.ceil((limit - tokens) / rate)
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.max(resetMs, 1))
+return { allowed, math.floor(tokens), resetMs, retryAfterMs }
+`;
+
+/**
+ * Create a Redis store
+ * @param {Object} config
+ * @param {string} config.url - REST endpoint (e.g. https://<name>.upstash.io)
+ * @param {string} config.token - REST token
+ * @returns {Object} Rate limit store
+ */
+function createRedisRateLimitStore({ url, token }) {
+  const client = axios.create({
+    baseURL: url,
+    timeout: REDIS_TIMEOUT_MS,
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    async take(key, { limit, windowMs }) {
+      const command = ['EVAL', TAKE_TOKEN_SCRIPT, '1', `${KEY_PREFIX}${key}`, limit, windowMs, Date.now()];
+      const response = await client.post('/', command);
+      if (response.data.error) {
+        throw new Error(response.data.error);
+      }
+      const [allowed, remaining, resetMs, retryAfterMs] = response.data.result;
+      return { allowed: allowed === 1, remaining, resetMs, retryAfterMs };
+    }
+  };
+}
+
+module.exports = {
+  createRedisRateLimitStore
+};
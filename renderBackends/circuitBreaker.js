@@ -0,0 +1,111 @@
+/**
+ * Circuit Breaker
+ * Stops calling an endpoint that keeps failing, so requests fail fast instead of piling up
+ * behind a backend that is down:
+ *
+ *   CLOSED     Calls go through; failureThreshold consecutive failures open the breaker
+ *   OPEN       Calls are refused until resetTimeout has passed since the last failure
+ *   HALF_OPEN  Exactly one call (the probe) goes through; its success closes the breaker,
+ *              its failure opens it again. Other calls are refused while the probe runs.
+ */
+
+/**
+ * Create a circuit breaker
+ * @param {string} name - Shown in logs and state change events
+ * @param {Object} [options]
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the breaker
+ * @param {number} [options.resetTimeout=30000] - Time in ms before an open breaker lets a probe through
+ * @param {Function} [options.onStateChange] - Called with { breaker, from, to, at, failureCount }
+ * @returns {Object} Circuit breaker
+ */
+function createCircuitBreaker(name, { failureThreshold = 5, resetTimeout = 30000, onStateChange = () => {} } = {}) {
+  let state = 'CLOSED';
+  let failureCount = 0;
+  let lastFailureTime = 0;
+  let stateChangedAt = Date.now();
+  let probeInFlight = false;
+
+  function setState(to) {
+    if (to === state) return;
+    const from = state;
+    state = to;
+    stateChangedAt = Date.now();
+    onStateChange({ breaker: name, from, to, at: stateChangedAt, failureCount });
+  }
+
+  // An open breaker turns HALF_OPEN once the reset timeout has passed
+  function refresh() {
+    if (state === 'OPEN' && Date.now() - lastFailureTime > resetTimeout) {
+      setState('HALF_OPEN');
+    }
+  }
+
+  return {
+    name,
+
+    /**
+     * Ask to make a call
+     * @returns {{probe: boolean}|null} Permit to pass to record(), or null when the call must fail fast
+     */
+    acquire() {
+      refresh();
+      if (state === 'CLOSED') return { probe: false };
+      if (state === 'HALF_OPEN' && !probeInFlight) {
+        probeInFlight = true;
+        return { probe: true };
+      }
+      return null;
+    },
+
+    /**
+     * Record how a permitted call went
+     * @param {{probe: boolean}} permit - From acquire()
+     * @param {string} outcome - 'success', 'failure', or 'neutral' for calls that tell nothing
+     *   about the endpoint's health (e.g. canceled by the caller, or rejected as a bad request).
+     *   A neutral probe leaves the breaker HALF_OPEN for the next call to probe again.
+     */
+    record(permit, outcome) {
+      if (permit.probe) probeInFlight = false;
+      if (outcome === 'success') {
+        failureCount = 0;
+        setState('CLOSED');
+      } else if (outcome === 'failure') {
+        failureCount++;
+        lastFailureTime = Date.now();
+        if (state === 'HALF_OPEN' || failureCount >= failureThreshold) {
+          setState('OPEN');
+        }
+      }
+    },
+
+    /**
+     * Check if a call would currently be let through, without asking to make one
+     * @returns {boolean}
+     */
+    isAvailable() {
+      refresh();
+      return state === 'CLOSED' || (state === 'HALF_OPEN' && !probeInFlight);
+    },
+
+    /**
+     * Current state for monitoring
+     * @returns {{name: string, state: string, failureCount: number, failureThreshold: number, resetTimeout: number, lastFailureAt: string|null, since: string}}
+     */
+    getStatus() {
+      refresh();
+      return {
+        name,
+        state,
+        failureCount,
+        failureThreshold,
+        resetTimeout,
+        lastFailureAt: lastFailureTime ? new Date(lastFailureTime).toISOString() : null,
+        since: new Date(stateChangedAt).toISOString()
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
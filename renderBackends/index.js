@@ -0,0 +1,80 @@
+/**
+ * Render Backends
+ * Every call that renders documents goes through a backend with this interface:
+ *
+ *   submitImmediateJob(ticket, { signal }) -> { jobId, status, statusInfo }
+ *   submitJob(ticket)          -> { jobId }
+ *   getJobStatus(jobId)        -> { status, progress, statusInfo }
+ *   downloadOutput(jobId, { signal }) -> Buffer (output ZIP)
+ *   uploadAsset(campaignId, { fileName, buffer, mimeType }) -> { assetId }
+ *   deleteAsset(campaignId, assetId)
+ *
+ * Statuses use uProduce's vocabulary ('Completed', 'Failed', 'InProgress', ...).
+ * The optional AbortSignal stops waiting for the backend; the call then rejects with an error
+ * whose code is 'ERR_CANCELED' (as axios does).
+ * Select a backend with RENDER_BACKEND=uproduce (default) or RENDER_BACKEND=mock.
+ * createResilientBackend (resilient.js) wraps either one with retries and circuit breakers.
+ */
+
+const { REQUIRED_ENV_VARS: UPRODUCE_ENV_VARS, createUproduceBackend } = require('./uproduce');
+const { createMockBackend } = require('./mock');
+const { createResilientBackend } = require('./resilient');
+
+const BACKENDS = {
+  uproduce: {
+    requiredEnvVars: UPRODUCE_ENV_VARS,
+    create: (env) => createUproduceBackend({
+      apiUrl: env.UPRODUCE_API_URL,
+      username: env.UPRODUCE_USERNAME,
+      password: env.UPRODUCE_PASSWORD
+    })
+  },
+  mock: {
+    requiredEnvVars: [],
+    create: (env) => createMockBackend({
+      pageCount: parseInt(env.MOCK_PAGE_COUNT, 10) || undefined,
+      latencyMs: env.MOCK_LATENCY_MS !== undefined ? parseInt(env.MOCK_LATENCY_MS, 10) : undefined,
+      jobDurationMs: env.MOCK_JOB_DURATION_MS !== undefined ? parseInt(env.MOCK_JOB_DURATION_MS, 10) : undefined,
+      failureRate: parseFloat(env.MOCK_FAILURE_RATE) || undefined
+    })
+  }
+};
+
+/**
+ * Normalize a backend name from configuration
+ * @param {string} [name]
+ * @returns {string}
+ */
+function resolveBackendName(name) {
+  return (name || 'uproduce').trim().toLowerCase();
+}
+
+/**
+ * Environment variables a backend needs before it can be created
+ * @param {string} name - Backend name
+ * @returns {string[]}
+ */
+function getRequiredEnvVars(name) {
+  const backend = BACKENDS[resolveBackendName(name)];
+  return backend ? backend.requiredEnvVars : [];
+}
+
+/**
+ * Create the render backend selected by name
+ * @param {string} name - Backend name ('uproduce' or 'mock')
+ * @param {Object} [env=process.env] - Environment to read backend settings from
+ * @returns {Object} Render backend
+ */
+function createRenderBackend(name, env = process.env) {
+  const backend = BACKENDS[resolveBackendName(name)];
+  if (!backend) {
+    throw new Error(`Unknown render backend: ${name} (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return backend.create(env);
+}
+
+module.exports = {
+  createRenderBackend,
+  createResilientBackend,
+  getRequiredEnvVars
+};
@@ -0,0 +1,186 @@
+/**
+ * Mock Render Backend
+ * Renders placeholder output locally so the customizer can be run, demoed and
+ * tested without uProduce credentials. Output ZIPs mirror uProduce's layout
+ * (one JPG or PNG per page for Proof jobs, a single PDF for Print jobs).
+ */
+
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const { renderPageImage, buildPdf } = require('./mockAssets');
+
+const MOCK_JOB_TTL_MS = 60 * 60 * 1000; // Forget jobs after 1 hour
+
+/**
+ * Build an error shaped like an axios HTTP error so callers handle both backends alike
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.response = { status, data: message };
+  return error;
+}
+
+/**
+ * Build an error shaped like an axios cancellation
+ */
+function canceledError() {
+  const error = new Error('canceled');
+  error.name = 'CanceledError';
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(canceledError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(canceledError());
+    }, { once: true });
+  });
+}
+
+/**
+ * Turn a job ticket into the text printed on each placeholder page
+ * @param {Object} jobTicket - uProduce job ticket
+ * @param {number} pageCount - Number of pages to generate
+ * @returns {Array<{title: string, lines: string[]}>}
+ */
+function describePages(jobTicket, pageCount) {
+  const customizations = jobTicket.Plan?.Customizations || [];
+  const lines = [
+    `Mock ${jobTicket.Job?.JobType || 'Proof'} job`,
+    `Campaign ${jobTicket.Job?.Context?.CampaignId} / Plan ${jobTicket.Plan?.Id} / Document ${jobTicket.Document?.Id}`,
+    '',
+    ...customizations.map(c => `${c.PlanObjectName}: ${c.PlanObjectExpression}`)
+  ];
+
+  return Array.from({ length: pageCount }, (_, index) => ({
+    title: index === 0 ? 'Mock render' : `Mock render - page ${index + 1}`,
+    lines
+  }));
+}
+
+/**
+ * Create a mock render backend
+ * @param {Object} [config]
+ * @param {number} [config.pageCount=2] - Pages generated per job
+ * @param {number} [config.latencyMs=300] - Simulated delay for immediate jobs
+ * @param {number} [config.jobDurationMs=6000] - Simulated processing time for queued jobs
+ * @param {number} [config.failureRate=0] - Share of job submissions and downloads (0-1) that
+ *   fail with 503, to try out retries and circuit breakers
+ * @returns {Object} Render backend
+ */
+function createMockBackend({ pageCount = 2, latencyMs = 300, jobDurationMs = 6000, failureRate = 0 } = {}) {
+  const jobs = new Map();
+  const assets = new Map();
+
+  function maybeFail() {
+    if (Math.random() < failureRate) throw httpError(503, 'Mock backend unavailable');
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [jobId, job] of jobs) {
+      if (now - job.createdAt > MOCK_JOB_TTL_MS) {
+        jobs.delete(jobId);
+      }
+    }
+  }, MOCK_JOB_TTL_MS).unref();
+
+  function registerJob(jobTicket, durationMs) {
+    const jobId = `MOCK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    jobs.set(jobId, { ticket: jobTicket, createdAt: Date.now(), durationMs });
+    return jobId;
+  }
+
+  function jobProgress(job) {
+    if (job.durationMs === 0) return 100;
+    return Math.min(100, Math.floor(((Date.now() - job.createdAt) / job.durationMs) * 100));
+  }
+
+  function buildOutput(jobTicket) {
+    const zip = new AdmZip();
+    const pages = describePages(jobTicket, pageCount);
+    const seed = `${jobTicket.Job?.Context?.CampaignId}-${jobTicket.Document?.Id}`;
+
+    if (jobTicket.Output?.Format === 'PDF') {
+      zip.addFile('MockOutput.pdf', buildPdf(pages));
+    } else {
+      const format = jobTicket.Output?.Format === 'PNG' ? 'PNG' : 'JPG';
+      // Page images keep their page numbers when only part of the document is rendered
+      const range = jobTicket.Output?.PageRange;
+      pages.forEach((page, index) => {
+        if (range && !range.All && (index + 1 < range.From || index + 1 > range.To)) return;
+        zip.addFile(`MockOutput_p${index + 1}.${format.toLowerCase()}`, renderPageImage({
+          ...page,
+          pageNumber: index + 1,
+          pageCount,
+          resolution: jobTicket.Output?.Resolution,
+          seed,
+          format
+        }));
+      });
+    }
+
+    return zip.toBuffer();
+  }
+
+  return {
+    name: 'mock',
+    description: `mock renderer (${pageCount} page(s), no uProduce connection)`,
+
+    async submitImmediateJob(jobTicket, { signal } = {}) {
+      await delay(latencyMs, signal);
+      maybeFail();
+      const jobId = registerJob(jobTicket, 0);
+      return { jobId, status: 'Completed', statusInfo: null };
+    },
+
+    async submitJob(jobTicket) {
+      maybeFail();
+      return { jobId: registerJob(jobTicket, jobDurationMs) };
+    },
+
+    async getJobStatus(jobId) {
+      const job = jobs.get(jobId);
+      if (!job) throw httpError(404, `Mock job not found: ${jobId}`);
+      const progress = jobProgress(job);
+      return {
+        status: progress >= 100 ? 'Completed' : 'InProgress',
+        progress,
+        statusInfo: null
+      };
+    },
+
+    async downloadOutput(jobId, { signal } = {}) {
+      if (signal?.aborted) throw canceledError();
+      maybeFail();
+      const job = jobs.get(jobId);
+      if (!job) throw httpError(404, `Mock job not found: ${jobId}`);
+      if (jobProgress(job) < 100) throw httpError(404, `Mock job output not ready: ${jobId}`);
+      return buildOutput(job.ticket);
+    },
+
+    async uploadAsset(campaignId, { fileName, buffer }) {
+      const assetId = `MOCK-ASSET-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+      assets.set(assetId, { campaignId, fileName, size: buffer.length });
+      return { assetId };
+    },
+
+    async deleteAsset(campaignId, assetId) {
+      assets.delete(assetId);
+    }
+  };
+}
+
+module.exports = {
+  createMockBackend
+};
@@ -0,0 +1,288 @@
+/**
+ * Mock Render Assets
+ * Draws placeholder JPG/PNG pages and builds minimal PDFs for the mock render backend.
+ * Everything is generated in-process so the app can run without uProduce.
+ */
+
+const jpeg = require('jpeg-js');
+const zlib = require('zlib');
+
+// 5x7 bitmap font: one byte per row, bit 4 is the leftmost pixel
+const FONT_5X7 = {
+  'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+  'D': [0x1E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1E],
+  'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+  'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+  'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+  'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+  'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+  'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+  'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+  'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+  '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+  '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+  '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+  '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+  '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+  ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+  ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+  '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+  '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+  '=': [0x00, 0x00, 0x1F, 0x00, 0x1F, 0x00, 0x00],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A],
+  '"': [0x0A, 0x0A, 0x00, 0x00, 0x00, 0x00, 0x00],
+  '\'': [0x04, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  '_': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1F],
+  '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+  '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+  '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+  '@': [0x0E, 0x11, 0x17, 0x15, 0x17, 0x10, 0x0E]
+};
+
+// A4 portrait, in inches
+const PAGE_WIDTH_IN = 8.27;
+const PAGE_HEIGHT_IN = 11.69;
+const MAX_PAGE_DPI = 100; // Keep placeholder images small regardless of requested resolution
+const JPEG_QUALITY = 80;
+
+/**
+ * Derive a stable accent color from a string so each template looks different
+ * @param {string} seed
+ * @returns {number[]} RGB triple
+ */
+function accentColor(seed) {
+  let hash = 0;
+  for (const char of seed) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  const hue = hash % 360;
+  // HSL(hue, 55%, 45%) to RGB
+  const s = 0.55;
+  const l = 0.45;
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs((hue / 60) % 2 - 1));
+  const m = l - c / 2;
+  const [r, g, b] = hue < 60 ? [c, x, 0] : hue < 120 ? [x, c, 0] : hue < 180 ? [0, c, x]
+    : hue < 240 ? [0, x, c] : hue < 300 ? [x, 0, c] : [c, 0, x];
+  return [r, g, b].map(v => Math.round((v + m) * 255));
+}
+
+/**
+ * Minimal RGBA raster with rectangle and bitmap text drawing
+ */
+function createRaster(width, height) {
+  const data = Buffer.alloc(width * height * 4, 255);
+
+  function fillRect(x, y, w, h, [r, g, b]) {
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(width, Math.floor(x + w));
+    const y1 = Math.min(height, Math.floor(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const i = (py * width + px) * 4;
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+      }
+    }
+  }
+
+  function drawText(text, x, y, scale, color) {
+    let cursor = x;
+    for (const char of String(text).toUpperCase()) {
+      const glyph = FONT_5X7[char] || FONT_5X7['?'];
+      glyph.forEach((row, rowIndex) => {
+        for (let col = 0; col < 5; col++) {
+          if (row & (0x10 >> col)) {
+            fillRect(cursor + col * scale, y + rowIndex * scale, scale, scale, color);
+          }
+        }
+      });
+      cursor += 6 * scale;
+      if (cursor > width) break;
+    }
+  }
+
+  return { width, height, data, fillRect, drawText };
+}
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode an RGBA raster as an 8-bit RGB PNG (no filtering)
+ */
+function encodePng({ width, height, data }) {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typeAndBody = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndBody));
+    return Buffer.concat([length, typeAndBody, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit, truecolor, deflate, no filter, no interlace
+
+  // Each scanline starts with filter type 0, followed by RGB triplets
+  const scanlines = Buffer.alloc(height * (1 + width * 3));
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (1 + width * 3);
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      data.copy(scanlines, rowStart + 1 + x * 3, source, source + 3);
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(scanlines)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Render a placeholder page as a JPG or PNG
+ * @param {Object} page
+ * @param {string} page.title - Heading printed in the header band
+ * @param {string[]} page.lines - Body text lines
+ * @param {number} page.pageNumber - 1-based page number
+ * @param {number} page.pageCount - Total pages in the job
+ * @param {number} [page.resolution=150] - Requested output resolution in DPI
+ * @param {string} [page.seed] - Seed for the accent color
+ * @param {string} [page.format='JPG'] - 'JPG' or 'PNG'
+ * @returns {Buffer} Image file contents
+ */
+function renderPageImage({ title, lines, pageNumber, pageCount, resolution = 150, seed = title, format = 'JPG' }) {
+  const dpi = Math.min(resolution, MAX_PAGE_DPI);
+  const raster = createRaster(Math.round(PAGE_WIDTH_IN * dpi), Math.round(PAGE_HEIGHT_IN * dpi));
+  const accent = accentColor(seed);
+  const scale = Math.max(1, Math.round(dpi / 40));
+  const margin = Math.round(dpi * 0.5);
+  const lineHeight = 10 * scale;
+  const dark = [40, 40, 40];
+  const white = [255, 255, 255];
+
+  // Header band, footer rule and a page frame
+  raster.fillRect(0, 0, raster.width, dpi * 1.5, accent);
+  raster.drawText(title, margin, dpi * 0.5, scale * 2, white);
+  raster.fillRect(margin, raster.height - dpi, raster.width - margin * 2, scale, accent);
+  raster.drawText(`PAGE ${pageNumber} OF ${pageCount}`, margin, raster.height - dpi + lineHeight, scale, dark);
+
+  lines.forEach((line, index) => {
+    raster.drawText(line, margin, dpi * 2 + index * lineHeight * 1.5, scale, dark);
+  });
+
+  if (format === 'PNG') {
+    return encodePng(raster);
+  }
+  return jpeg.encode({ data: raster.data, width: raster.width, height: raster.height }, JPEG_QUALITY).data;
+}
+
+/**
+ * Escape a string for use inside a PDF literal string
+ * Characters outside printable ASCII are replaced with '?'
+ */
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Build a minimal multi-page PDF with one block of text per page
+ * @param {Array<{title: string, lines: string[]}>} pages
+ * @returns {Buffer} PDF file contents
+ */
+function buildPdf(pages) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null); // Filled in once the page tree exists
+  const pagesId = addObject(null);
+  const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  // A4 in points
+  const pageIds = pages.map(({ title, lines }, index) => {
+    const content = [
+      'BT', '/F1 20 Tf', '50 780 Td', `(${escapePdfText(title)}) Tj`, 'ET',
+      'BT', '/F1 11 Tf', '50 740 Td', '16 TL',
+      ...lines.map(line => `(${escapePdfText(line)}) '`),
+      'ET',
+      'BT', '/F1 9 Tf', '50 40 Td', `(Page ${index + 1} of ${pages.length}) Tj`, 'ET'
+    ].join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 595 842] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderPageImage,
+  buildPdf
+};
@@ -0,0 +1,191 @@
+/**
+ * Resilient Render Backend
+ * Wraps a render backend (same interface, see index.js) with retries and circuit breakers:
+ *
+ * - Each failure is classified (see classifyError). Transient failures are retried with
+ *   exponential backoff and full jitter; calls that may already have run on the backend (a
+ *   job submission that timed out or got a 500) are not repeated.
+ * - Job submission, status checks, output downloads and asset uploads have a circuit breaker
+ *   each, so a failing download endpoint does not block previews from being submitted.
+ *   Client errors (4xx) and canceled calls do not count against a breaker.
+ * - Breaker state changes are emitted as 'stateChange' events on `events`.
+ *
+ * A call refused by an open breaker rejects with an error whose code is 'CIRCUIT_OPEN'.
+ */
+
+const { EventEmitter } = require('events');
+const { createCircuitBreaker } = require('./circuitBreaker');
+
+// Breaker per method, and whether repeating the call is harmless
+const METHODS = {
+  submitImmediateJob: { breaker: 'submit', idempotent: false },
+  submitJob: { breaker: 'submit', idempotent: false },
+  getJobStatus: { breaker: 'status', idempotent: true },
+  downloadOutput: { breaker: 'download', idempotent: true },
+  uploadAsset: { breaker: 'assets', idempotent: false },
+  deleteAsset: { breaker: 'assets', idempotent: true }
+};
+
+// The request never reached the backend, so it is safe to send again
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ETIMEDOUT'];
+// The connection broke while the backend may have been working on the request
+const CONNECTION_LOST_CODES = ['ECONNRESET', 'EPIPE', 'ERR_NETWORK'];
+// Statuses where the backend says it did not process the request
+const NOT_PROCESSED_STATUSES = [429, 503];
+
+/**
+ * Classify a failed backend call
+ *   canceled   The caller aborted; says nothing about the backend
+ *   client     The backend rejected the request (4xx); it is healthy, retrying won't help
+ *   transient  Worth another try: not processed, or processed and safe to repeat
+ *   failure    The backend failed and the call is not retried (e.g. a timeout, which would
+ *              use up the caller's time budget, or a 5xx for a submission)
+ * @param {Error} error - Error from the backend (axios-shaped)
+ * @param {{idempotent: boolean}} method - Whether repeating the call is harmless
+ * @returns {string} 'canceled', 'client', 'transient' or 'failure'
+ */
+function classifyError(error, { idempotent }) {
+  if (error.code === 'ERR_CANCELED') return 'canceled';
+
+  const status = error.response?.status;
+  if (status) {
+    if (NOT_PROCESSED_STATUSES.includes(status)) return 'transient';
+    if (status >= 500 || status === 408) return idempotent ? 'transient' : 'failure';
+    return 'client';
+  }
+
+  if (CONNECT_ERROR_CODES.includes(error.code)) return 'transient';
+  if (CONNECTION_LOST_CODES.includes(error.code)) return idempotent ? 'transient' : 'failure';
+  return 'failure'; // Timeouts (ECONNABORTED) and anything unexpected
+}
+
+/**
+ * Build the error for a call refused by an open breaker
+ */
+function circuitOpenError(breakerName) {
+  const error = new Error(`Circuit breaker ${breakerName} is open`);
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @returns {Promise<void>} Rejects like an axios cancellation when aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancel = () => {
+      clearTimeout(timer);
+      const error = new Error('canceled');
+      error.code = 'ERR_CANCELED';
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', cancel);
+      resolve();
+    }, ms);
+    if (signal?.aborted) return cancel();
+    signal?.addEventListener('abort', cancel, { once: true });
+  });
+}
+
+/**
+ * Wrap a render backend with retries and circuit breakers
+ * @param {Object} backend - Render backend
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=250] - Backoff before the first retry (before jitter)
+ * @param {number} [options.maxDelayMs=4000] - Longest backoff, also for Retry-After
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open a breaker
+ * @param {number} [options.resetTimeout=30000] - Time in ms before an open breaker lets a probe through
+ * @returns {Object} Render backend, plus events, isAvailable() and getBreakers()
+ */
+function createResilientBackend(backend, {
+  maxRetries = 2,
+  baseDelayMs = 250,
+  maxDelayMs = 4000,
+  failureThreshold = 5,
+  resetTimeout = 30000
+} = {}) {
+  const events = new EventEmitter();
+  const breakers = {};
+  new Set(Object.values(METHODS).map(method => method.breaker)).forEach(name => {
+    breakers[name] = createCircuitBreaker(name, {
+      failureThreshold,
+      resetTimeout,
+      onStateChange: change => events.emit('stateChange', change)
+    });
+  });
+
+  /**
+   * Backoff before a retry: full jitter over an exponentially growing window, or the
+   * backend's Retry-After when it asks for a wait we are willing to make
+   */
+  function retryDelay(error, attempt) {
+    const retryAfterMs = Number(error.response?.headers?.['retry-after']) * 1000;
+    if (retryAfterMs > 0 && retryAfterMs <= maxDelayMs) return retryAfterMs;
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+  }
+
+  async function call(methodName, args, signal) {
+    const method = METHODS[methodName];
+    const breaker = breakers[method.breaker];
+
+    for (let attempt = 0; ; attempt++) {
+      const permit = breaker.acquire();
+      if (!permit) throw circuitOpenError(breaker.name);
+
+      try {
+        const result = await backend[methodName](...args);
+        breaker.record(permit, 'success');
+        return result;
+      } catch (error) {
+        const kind = classifyError(error, method);
+        // A rejected request proves the backend answers, but not that it works: it must
+        // neither reset the failure count nor close the breaker after a probe
+        breaker.record(permit, kind === 'canceled' || kind === 'client' ? 'neutral' : 'failure');
+        // No point waiting for a retry the (now open) breaker would refuse
+        if (kind !== 'transient' || attempt >= maxRetries || !breaker.isAvailable()) throw error;
+
+        const waitMs = retryDelay(error, attempt);
+        console.warn(`${methodName} failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1} of ${maxRetries} in ${waitMs} ms`);
+        await sleep(waitMs, signal);
+      }
+    }
+  }
+
+  return {
+    name: backend.name,
+    description: backend.description,
+    events,
+
+    submitImmediateJob: (jobTicket, options = {}) => call('submitImmediateJob', [jobTicket, options], options.signal),
+    submitJob: (jobTicket) => call('submitJob', [jobTicket]),
+    getJobStatus: (jobId) => call('getJobStatus', [jobId]),
+    downloadOutput: (jobId, options = {}) => call('downloadOutput', [jobId, options], options.signal),
+    uploadAsset: (campaignId, upload) => call('uploadAsset', [campaignId, upload]),
+    deleteAsset: (campaignId, assetId) => call('deleteAsset', [campaignId, assetId]),
+
+    /**
+     * Check if a breaker would let a call through (to fail fast before preparing a job)
+     * @param {string} breakerName - 'submit', 'status', 'download' or 'assets'
+     * @returns {boolean}
+     */
+    isAvailable(breakerName) {
+      return breakers[breakerName].isAvailable();
+    },
+
+    /**
+     * State of every breaker
+     * @returns {Object[]} See getStatus() in circuitBreaker.js
+     */
+    getBreakers() {
+      return Object.values(breakers).map(breaker => breaker.getStatus());
+    }
+  };
+}
+
+module.exports = {
+  classifyError,
+  createResilientBackend
+};
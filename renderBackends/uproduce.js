@@ -0,0 +1,119 @@
+/**
+ * uProduce Render Backend
+ * Submits job tickets to a live XMPie uProduce server via its REST API.
+ */
+
+const axios = require('axios');
+
+// Pre-configured axios timeout for all uProduce API calls
+const UPRODUCE_TIMEOUT_MS = 55000; // 55s (under Vercel's 60s function limit)
+
+// Environment variables this backend cannot run without
+const REQUIRED_ENV_VARS = ['UPRODUCE_API_URL', 'UPRODUCE_USERNAME', 'UPRODUCE_PASSWORD'];
+
+/**
+ * Create a uProduce render backend
+ * Errors from axios are passed through untouched so callers can inspect
+ * error.code (e.g. ECONNABORTED) and error.response.
+ * @param {Object} config
+ * @param {string} config.apiUrl - uProduce REST API base URL
+ * @param {string} config.username - uProduce API user
+ * @param {string} config.password - uProduce API password
+ * @returns {Object} Render backend
+ */
+function createUproduceBackend({ apiUrl, username, password }) {
+  const client = axios.create({
+    baseURL: apiUrl,
+    timeout: UPRODUCE_TIMEOUT_MS,
+    auth: { username, password }
+  });
+
+  return {
+    name: 'uproduce',
+    description: `uProduce API at ${apiUrl}`,
+
+    /**
+     * Submit a job and wait for uProduce to finish it
+     * @param {Object} jobTicket - uProduce job ticket
+     * @param {{signal?: AbortSignal}} [options] - signal stops waiting (uProduce still runs the job)
+     * @returns {Promise<{jobId: string, status: string, statusInfo: *}>}
+     */
+    async submitImmediateJob(jobTicket, { signal } = {}) {
+      const response = await client.post('/v1/jobs/immediate', jobTicket, {
+        headers: { 'Content-Type': 'application/json' },
+        signal
+      });
+      const jobData = response.data;
+      return { jobId: jobData.FriendlyId, status: jobData.Status, statusInfo: jobData.StatusInfo };
+    },
+
+    /**
+     * Submit a job to the uProduce queue without waiting for it
+     * @param {Object} jobTicket - uProduce job ticket
+     * @returns {Promise<{jobId: string}>}
+     */
+    async submitJob(jobTicket) {
+      const response = await client.post('/v1/jobs', jobTicket, {
+        headers: { 'Content-Type': 'application/json' }
+      });
+      return { jobId: response.data.FriendlyId };
+    },
+
+    /**
+     * Get the status of a queued job
+     * @param {string} jobId - uProduce FriendlyId
+     * @returns {Promise<{status: string, progress: number|null, statusInfo: *}>}
+     */
+    async getJobStatus(jobId) {
+      const response = await client.get(`/v1/jobs/${jobId}`);
+      const jobData = response.data;
+      return {
+        status: jobData.Status,
+        progress: typeof jobData.Progress === 'number' ? jobData.Progress : null,
+        statusInfo: jobData.StatusInfo
+      };
+    },
+
+    /**
+     * Download the output ZIP of a completed job
+     * @param {string} jobId - uProduce FriendlyId
+     * @param {{signal?: AbortSignal}} [options] - signal aborts the download
+     * @returns {Promise<Buffer>} ZIP file contents
+     */
+    async downloadOutput(jobId, { signal } = {}) {
+      const response = await client.get(`/v1/jobs/${jobId}/output/download`, {
+        responseType: 'arraybuffer',
+        signal
+      });
+      return Buffer.from(response.data);
+    },
+
+    /**
+     * Upload a file to the campaign's assets so plans can reference it by file name
+     * @param {number} campaignId - uProduce campaign
+     * @param {{fileName: string, buffer: Buffer, mimeType: string}} asset
+     * @returns {Promise<{assetId: string}>}
+     */
+    async uploadAsset(campaignId, { fileName, buffer, mimeType }) {
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+      const response = await client.post(`/v1/campaigns/${campaignId}/assets`, form);
+      return { assetId: String(response.data.Id) };
+    },
+
+    /**
+     * Remove an asset previously added with uploadAsset
+     * @param {number} campaignId - uProduce campaign
+     * @param {string} assetId - Id returned by uploadAsset
+     * @returns {Promise<void>}
+     */
+    async deleteAsset(campaignId, assetId) {
+      await client.delete(`/v1/campaigns/${campaignId}/assets/${assetId}`);
+    }
+  };
+}
+
+module.exports = {
+  REQUIRED_ENV_VARS,
+  createUproduceBackend
+};
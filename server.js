@@ -9,16 +9,39 @@
  */
 
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
-const sanitizeHtml = require('sanitize-html');
+const multer = require('multer');
 const AdmZip = require('adm-zip');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 const thumbnailCache = require('./thumbnailCache');
+const previewCache = require('./previewCache');
+const designStore = require('./designStore');
+const jobStore = require('./jobStore');
+const batchStore = require('./batchStore');
+const catalogEdits = require('./catalogEdits');
+const { sanitizeInput, sanitizeFormData, validateFormData } = require('./variableSchema');
+const { buildExpression, validateExpressions } = require('./qlingo');
+const { buildRecipientData } = require('./dataSources');
+const { getOutputProfile, buildOutputSection } = require('./outputProfiles');
+const { loadCatalog } = require('./catalog');
+const {
+  initStore: initUploadStore,
+  validateUpload,
+  saveUpload,
+  getUpload,
+  resolveImageUploads,
+  stageImageAssets,
+  removeStagedAssets
+} = require('./imageAssets');
+const { parseCsv, suggestMapping, validateMapping, mapRows, mergePdfs } = require('./batch');
+const { createRenderBackend, createResilientBackend, getRequiredEnvVars } = require('./renderBackends');
+const { createJobQueue } = require('./jobQueue');
+const { createRateLimitStore, createRateLimiter } = require('./rateLimit');
+const { RATE_LIMIT_EXEMPT_ROUTES, createRateLimitPolicies } = require('./rateLimit/policies');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,86 +50,120 @@ const PORT = process.env.PORT || 3000;
 // SECURITY MIDDLEWARE
 // =============================================================================
 
-// Rate limiting store (in-memory, resets on restart)
-const rateLimitStore = new Map();
-const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 30; // Max requests per window per IP
-const RATE_LIMIT_CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // Purge expired entries every 5 minutes
+/**
+ * Client a request comes from (rate limits and render queue fairness)
+ * @returns {string} The client IP
+ */
+function getClientId(req) {
+  return req.ip || req.connection.remoteAddress || 'unknown';
+}
 
-// Periodic cleanup to prevent unbounded memory growth
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, record] of rateLimitStore) {
-    if (now > record.resetTime) {
-      rateLimitStore.delete(ip);
-    }
-  }
-}, RATE_LIMIT_CLEANUP_INTERVAL_MS).unref();
+// Buckets live in memory, in files or in Redis (RATE_LIMIT_STORE, see rateLimit/index.js)
+let rateLimitStore;
+try {
+  rateLimitStore = createRateLimitStore();
+} catch (error) {
+  console.error(`FATAL: ${error.message}`);
+  process.exit(1);
+}
+console.log(`Rate limits: Using ${rateLimitStore.name} store`);
 
 /**
- * Simple rate limiter middleware
- * Limits requests per IP to prevent API abuse
+ * Rate limiter middleware
+ * Limits requests per IP with token buckets to prevent API abuse
  */
-function rateLimiter(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  const now = Date.now();
-  
-  if (!rateLimitStore.has(ip)) {
-    rateLimitStore.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW_MS });
-    return next();
-  }
-  
-  const record = rateLimitStore.get(ip);
-  
-  if (now > record.resetTime) {
-    record.count = 1;
-    record.resetTime = now + RATE_LIMIT_WINDOW_MS;
-    return next();
-  }
-  
-  record.count++;
-  
-  if (record.count > RATE_LIMIT_MAX_REQUESTS) {
-    console.warn(`Rate limit exceeded for IP: ${ip}`);
-    return res.status(429).json({ 
-      error: 'Too many requests', 
-      message: 'Please wait before making more requests',
-      retryAfter: Math.ceil((record.resetTime - now) / 1000)
-    });
+const rateLimiter = createRateLimiter({
+  policies: createRateLimitPolicies(),
+  exempt: RATE_LIMIT_EXEMPT_ROUTES,
+  store: rateLimitStore,
+  getClientId
+});
+
+/**
+ * Require the admin API key (Authorization: Bearer <ADMIN_API_KEY>)
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const authHeader = req.headers.authorization;
+
+  if (!adminKey || !authHeader || authHeader !== `Bearer ${adminKey}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
-  
   next();
 }
 
 /**
- * Input sanitizer - removes potentially dangerous characters
+ * Validate that productId exists in configuration and is not disabled
+ */
+function validateProductId(productId) {
+  if (!productId || typeof productId !== 'string') return false;
+  return productsConfig.products.some(p => p.id === productId && !p.disabled);
+}
+
+/**
+ * Check that image variables refer to an upload made for this product and variable
+ * @returns {Promise<Array<{field: string, code: string, message: string}>>} Field errors
  */
-function sanitizeInput(value) {
-  if (typeof value !== 'string') return value;
-  // Strip all HTML tags and trim to max length
-  return sanitizeHtml(value, {
-    allowedTags: [],
-    allowedAttributes: {}
-  }).trim().substring(0, 500);
+async function validateImageReferences(product, values) {
+  const errors = [];
+  for (const variable of product.variables) {
+    const value = values[variable.name];
+    if (variable.type !== 'image' || !value || value === variable.defaultValue) continue;
+
+    const upload = await getUpload(value);
+    if (!upload || upload.productId !== product.id || upload.variable !== variable.name) {
+      errors.push({
+        field: variable.name,
+        code: 'upload_expired',
+        message: 'Image upload has expired. Please upload it again.'
+      });
+    }
+  }
+  return errors;
 }
 
 /**
- * Sanitize all string values in an object
+ * Check a requested output profile against the ones the product offers for a job type
+ * @returns {Array<{field: string, code: string, message: string}>} Field errors
  */
-function sanitizeFormData(data) {
-  const sanitized = {};
-  for (const [key, value] of Object.entries(data)) {
-    sanitized[key] = sanitizeInput(value);
+function validateOutputProfile(product, jobType, profileName) {
+  if (profileName !== undefined && typeof profileName !== 'string') {
+    return [{ field: 'outputProfile', code: 'invalid_type', message: 'Must be a string value' }];
   }
-  return sanitized;
+  if (!getOutputProfile(productsConfig, product, jobType, profileName)) {
+    return [{ field: 'outputProfile', code: 'not_allowed', message: 'This output profile is not available for this template' }];
+  }
+  return [];
 }
 
 /**
- * Validate that productId exists in configuration
+ * Validate a sanitized request body against its product's variable schema
+ * Responds with 400 and returns null when the product or any field is invalid
+ * @param {Object} formData - Sanitized request body
+ * @param {Object} res - Express response
+ * @param {string} jobType - 'Proof' or 'Print', for the output profile check
+ * @returns {Promise<Object|null>} Normalized form values
  */
-function validateProductId(productId) {
-  if (!productId || typeof productId !== 'string') return false;
-  return productsConfig.products.some(p => p.id === productId);
+async function validateCustomization(formData, res, jobType) {
+  if (!validateProductId(formData.productId)) {
+    res.status(400).json({ error: 'Invalid product ID' });
+    return null;
+  }
+
+  const product = getProductById(formData.productId);
+  const { values, errors } = validateFormData(product, formData);
+  errors.push(...validateExpressions(product, values));
+  errors.push(...await validateImageReferences(product, values));
+  errors.push(...validateOutputProfile(product, jobType, formData.outputProfile));
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid customization values', fields: errors });
+    return null;
+  }
+
+  if (formData.outputProfile) {
+    values.outputProfile = formData.outputProfile;
+  }
+  return values;
 }
 
 // =============================================================================
@@ -117,7 +174,7 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS
     ? process.env.ALLOWED_ORIGINS.split(',')
     : (process.env.NODE_ENV === 'production' ? false : true),
-  methods: ['GET', 'POST', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json({ limit: '1mb' })); // Limit request body size
@@ -125,7 +182,7 @@ app.use(express.json({ limit: '1mb' })); // Limit request body size
 // Static asset cache busting: compute content hashes at startup
 const publicDir = path.join(__dirname, 'public');
 const assetHashes = {};
-const HASHED_ASSETS = ['app.js', 'styles.css'];
+const HASHED_ASSETS = ['app.js', 'admin.js', 'styles.css'];
 
 HASHED_ASSETS.forEach(filename => {
   try {
@@ -188,100 +245,172 @@ app.use(helmet({
   xXssProtection: false
 }));
 
+// Render backend selection: 'uproduce' (default) or 'mock' for offline use
+const RENDER_BACKEND = process.env.RENDER_BACKEND || 'uproduce';
+
 // Validate required environment variables at startup
-const REQUIRED_ENV_VARS = ['UPRODUCE_API_URL', 'UPRODUCE_USERNAME', 'UPRODUCE_PASSWORD'];
+const REQUIRED_ENV_VARS = getRequiredEnvVars(RENDER_BACKEND);
 const missingVars = REQUIRED_ENV_VARS.filter(v => !process.env[v]);
 if (missingVars.length > 0) {
   console.error(`FATAL: Missing required environment variables: ${missingVars.join(', ')}`);
-  console.error('See .env.example for required configuration.');
+  console.error('See .env.example for required configuration, or set RENDER_BACKEND=mock to run without uProduce.');
   process.exit(1);
 }
 
-// uProduce API configuration
-const UPRODUCE_API_URL = process.env.UPRODUCE_API_URL;
-const AUTH = {
-  username: process.env.UPRODUCE_USERNAME,
-  password: process.env.UPRODUCE_PASSWORD
-};
+// Retries of transient render backend failures per call (0 disables retrying)
+const RENDER_MAX_RETRIES = parseInt(process.env.RENDER_MAX_RETRIES, 10);
+
+// All job submission and output download goes through the render backend, with retries and
+// a circuit breaker per endpoint (see renderBackends/resilient.js)
+let renderBackend;
+try {
+  renderBackend = createResilientBackend(createRenderBackend(RENDER_BACKEND), {
+    maxRetries: RENDER_MAX_RETRIES >= 0 ? RENDER_MAX_RETRIES : undefined
+  });
+} catch (error) {
+  console.error(`FATAL: ${error.message}`);
+  process.exit(1);
+}
+
+// =============================================================================
+// CIRCUIT BREAKERS
+// =============================================================================
 
-// Pre-configured axios instance with timeout for all uProduce API calls
-const UPRODUCE_TIMEOUT_MS = 55000; // 55s (under Vercel's 60s function limit)
-const uproduceClient = axios.create({
-  baseURL: UPRODUCE_API_URL,
-  timeout: UPRODUCE_TIMEOUT_MS,
-  auth: AUTH
+// Every render backend endpoint has a breaker of its own (see renderBackends/resilient.js).
+// Recent state changes, oldest first, are kept for the admin console.
+const BREAKER_HISTORY_SIZE = 20;
+const breakerHistory = [];
+
+renderBackend.events.on('stateChange', ({ breaker, from, to, at, failureCount }) => {
+  if (to === 'OPEN') {
+    console.warn(`Circuit breaker ${breaker} OPEN after ${failureCount} consecutive failure(s)`);
+  } else {
+    console.log(`Circuit breaker ${breaker} ${from} -> ${to}`);
+  }
+  breakerHistory.push({ breaker, from, to, at: new Date(at).toISOString() });
+  if (breakerHistory.length > BREAKER_HISTORY_SIZE) breakerHistory.shift();
 });
 
 // =============================================================================
-// CIRCUIT BREAKER
+// RENDER QUEUE
 // =============================================================================
 
-const circuitBreaker = {
-  state: 'CLOSED',       // CLOSED = normal, OPEN = fast-fail, HALF_OPEN = testing
-  failureCount: 0,
-  failureThreshold: 5,   // Open after 5 consecutive failures
-  resetTimeout: 30000,   // Try again after 30 seconds
-  lastFailureTime: 0,
-
-  /**
-   * Record a successful API call
-   */
-  onSuccess() {
-    this.failureCount = 0;
-    this.state = 'CLOSED';
-  },
+// Immediate jobs wait here for a slot, so a burst of requests never reaches uProduce at once.
+// Previews go before thumbnails and batch rows; clients take turns within a priority.
+const renderQueue = createJobQueue({
+  concurrency: parseInt(process.env.RENDER_CONCURRENCY, 10) || 4,
+  clientConcurrency: parseInt(process.env.RENDER_CLIENT_CONCURRENCY, 10) || 2,
+  maxQueued: parseInt(process.env.RENDER_QUEUE_MAX, 10) || 100
+});
 
-  /**
-   * Record a failed API call
-   */
-  onFailure() {
-    this.failureCount++;
-    this.lastFailureTime = Date.now();
-    if (this.failureCount >= this.failureThreshold) {
-      this.state = 'OPEN';
-      console.warn(`Circuit breaker OPEN after ${this.failureCount} consecutive failures`);
-    }
-  },
+// Thumbnail renders are shared between requests, so they queue as a client of their own
+const THUMBNAIL_QUEUE_CLIENT = 'thumbnails';
 
-  /**
-   * Check if requests should be allowed through
-   * @returns {boolean}
-   */
-  canRequest() {
-    if (this.state === 'CLOSED') return true;
-    if (this.state === 'OPEN') {
-      if (Date.now() - this.lastFailureTime > this.resetTimeout) {
-        this.state = 'HALF_OPEN';
-        console.log('Circuit breaker HALF_OPEN — allowing test request');
-        return true;
-      }
-      return false;
+/**
+ * Wait for a render slot
+ * @param {{clientId: string, priority: string, signal?: AbortSignal}} slot - See acquire() in jobQueue.js
+ * @returns {Promise<{release: Function}|{status: number, error: string}>}
+ *   The function that frees the slot again, or an HTTP status and message
+ */
+async function acquireRenderSlot(slot) {
+  try {
+    return { release: await renderQueue.acquire(slot) };
+  } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      console.warn(`Render queue full, turned away ${slot.priority} job for ${slot.clientId}`);
+      return { status: 503, error: 'Too many renders are waiting. Please try again shortly.' };
     }
-    // HALF_OPEN: allow one request through to test
-    return true;
+    return { status: CLIENT_CLOSED_REQUEST, error: 'Client closed request' };
   }
-};
+}
+
+// =============================================================================
+// PRODUCT CATALOG
+// =============================================================================
+
+// products.json is validated on load; a file with errors is rejected and the last good catalog stays live
+const CATALOG_PATH = path.join(__dirname, 'products.json');
+const CATALOG_WATCH_INTERVAL_MS = 2000; // How often the file's mtime is polled
+const CATALOG_EDITS_CHECK_INTERVAL_MS = 5000; // How often storage is checked for admin edits saved by other instances
 
-// Load products configuration
 let productsConfig = { products: [] };
-try {
-  const productsData = fs.readFileSync(path.join(__dirname, 'products.json'), 'utf8');
-  productsConfig = JSON.parse(productsData);
-  console.log(`Loaded ${productsConfig.products.length} product(s) from products.json`);
-} catch (error) {
-  console.error('Error loading products.json:', error.message);
-  console.log('Using empty products configuration');
+const catalogStatus = {
+  loadedAt: null,      // When the live catalog was loaded
+  warnings: [],        // Warnings for the live catalog
+  lastReload: null     // { at, trigger, ok, errors, warnings } of the most recent attempt
+};
+
+/**
+ * Make a loaded catalog live if it has no errors
+ * @param {string} trigger - What caused the load ('startup', 'storage', 'file-change', 'admin' or 'admin-edit')
+ * @param {{config: Object|null, errors: string[], warnings: string[]}} loaded - Result of loadCatalog
+ * @returns {{ok: boolean, errors: string[], warnings: string[]}}
+ */
+function applyCatalog(trigger, { config, errors, warnings }) {
+  const ok = errors.length === 0;
+  catalogStatus.lastReload = { at: new Date().toISOString(), trigger, ok, errors, warnings };
+
+  if (!ok) {
+    console.error(`Rejected products.json (${trigger}); keeping the ${catalogStatus.loadedAt ? 'last good' : 'empty'} catalog:`);
+    errors.forEach(message => console.error(`  - ${message}`));
+    return { ok, errors, warnings };
+  }
+
+  productsConfig = config;
+  catalogStatus.loadedAt = catalogStatus.lastReload.at;
+  catalogStatus.warnings = warnings;
+  console.log(`Loaded ${productsConfig.products.length} product(s) from products.json (${trigger})`);
+  warnings.forEach(message => console.warn(`  warning: ${message}`));
+  return { ok, errors, warnings };
+}
+
+/**
+ * Load products.json with the admin console's edits, replacing the live catalog only if it has no errors
+ * @param {string} trigger - What caused the reload
+ * @returns {{ok: boolean, errors: string[], warnings: string[]}}
+ */
+function reloadCatalog(trigger) {
+  return applyCatalog(trigger, loadCatalog(CATALOG_PATH, catalogEdits.getEdits()));
 }
 
+// Without a valid catalog at startup there is nothing to fall back to
+if (!reloadCatalog('startup').ok) {
+  console.error('FATAL: Invalid product configuration in products.json');
+  process.exit(1);
+}
+
+// Pick up edits without a restart (set CATALOG_WATCH=false to disable, e.g. on read-only deployments)
+if (process.env.CATALOG_WATCH !== 'false') {
+  fs.watchFile(CATALOG_PATH, { interval: CATALOG_WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      reloadCatalog('file-change');
+    }
+  }).unref();
+}
+
+// Instances sharing the catalog store (e.g. serverless instances on Blob) pick up each other's admin edits
+app.use('/api', async (req, res, next) => {
+  try {
+    if (await catalogEdits.refreshEdits({ maxAgeMs: CATALOG_EDITS_CHECK_INTERVAL_MS })) {
+      reloadCatalog('storage');
+    }
+  } catch (error) {
+    console.error('Error checking for catalog edits:', error.message);
+  }
+  next();
+});
+
 /**
  * Get product configuration by ID
+ * Disabled products are included; public routes check validateProductId or product.disabled.
  */
 function getProductById(productId) {
   return productsConfig.products.find(p => p.id === productId);
 }
 
 /**
- * Generate job ticket for preview (JPG) or print (PDF)
+ * Generate job ticket for preview (JPG/PNG) or print (PDF)
+ * formData.outputProfile selects one of the product's output profiles (default: the first).
  */
 function generateJobTicket(formData, jobType = 'Proof') {
   // Get product configuration
@@ -290,6 +419,11 @@ function generateJobTicket(formData, jobType = 'Proof') {
     throw new Error(`Product not found: ${formData.productId}`);
   }
 
+  const outputProfile = getOutputProfile(productsConfig, product, jobType, formData.outputProfile);
+  if (!outputProfile) {
+    throw new Error(`Output profile not available for ${jobType}: ${formData.outputProfile}`);
+  }
+
   // Select document ID based on page size
   const sizeConfig = product.sizes.find(s => s.name === formData.pageSize);
   if (!sizeConfig) {
@@ -304,24 +438,11 @@ function generateJobTicket(formData, jobType = 'Proof') {
     if (variable.planObjectName && variable.planObjectType) {
       const value = formData[variable.name] !== undefined ? formData[variable.name] : variable.defaultValue;
       
-      // Check if this is a date field (contains 'date' in the name or has date format)
-      const isDateField = variable.name.toLowerCase().includes('date') || 
-                         (value && /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(value));
-      
-      // Format the expression based on field type
-      let expression;
-      if (isDateField && value) {
-        // Date fields need to be wrapped in # symbols
-        expression = `#${value}#`;
-      } else {
-        // Regular fields wrapped in quotes
-        expression = `"${value || ''}"`;
-      }
-      
       customizations.push({
         PlanObjectName: variable.planObjectName,
         PlanObjectType: variable.planObjectType,
-        PlanObjectExpression: expression
+        // Typed, escaped QLingo literal (see qlingo.js)
+        PlanObjectExpression: buildExpression(product, variable, value)
       });
     }
   });
@@ -334,14 +455,8 @@ function generateJobTicket(formData, jobType = 'Proof') {
       }
     },
     Data: {
-      Range: {
-        All: false,
-        From: 1,
-        To: 1
-      },
-      RecipientsDataSources: jobType === 'Proof' 
-        ? [{ FilterType: "NoDataSource", Filter: "Dummy Data" }]
-        : [{ Id: 14485, FilterType: "TableName", Filter: "RecipientList" }],
+      // Recipient range and data source come from the product's dataSources config
+      ...buildRecipientData(product, jobType),
       Assets: {
         UseCampaignAssetSources: true,
         Media: "Print"
@@ -359,247 +474,1307 @@ function generateJobTicket(formData, jobType = 'Proof') {
     }
   };
 
-  // Add output configuration based on job type
+  // Output format, resolution, bleed and PDF settings come from the output profile
   if (jobType === 'Proof') {
     baseTicket.Job.Priority = "Immediately";
-    baseTicket.Output = {
-      Format: "JPG",
-      FileName: {
-        Automatic: true
-      },
-      Bleed: {
-        UseDocumentDefinition: false,
-        Top: 0,
-        Bottom: 0,
-        LeftOrInside: 0,
-        RightOrOutside: 0
-      },
-      Resolution: 150,
-      ProductionPolicies: {
-        MissingFonts: "Ignore",
-        MissingAssets: "Ignore",
-        MissingStyles: "Ignore",
-        TextOverflow: "Ignore",
-        FileSizeLimitReached: "FailJob"
-      }
-    };
-  } else {
-    baseTicket.Output = {
-      Format: "PDF",
-      FileName: {
-        Automatic: true
-      },
-      Bleed: {
-        UseDocumentDefinition: true
-      },
-      PdfSettings: "XMPiEQualityHigh",
-      PdfCompatibilityLevel: "PdfVersion16",
-      PdfStandardsCompliance: "PDFX42010",
-      FlatteningHandlerType: "UseXDot",
-      ProductionPolicies: {
-        MissingFonts: "Ignore",
-        MissingAssets: "Ignore",
-        MissingStyles: "Ignore",
-        TextOverflow: "Ignore",
-        FileSizeLimitReached: "FailJob"
-      }
-    };
   }
+  baseTicket.Output = buildOutputSection(outputProfile);
 
   return baseTicket;
 }
 
+// =============================================================================
+// IMAGE UPLOADS
+// =============================================================================
+
+// Hard ceiling for any upload; image variables can set a lower maxFileSize
+const UPLOAD_MAX_BYTES = 10 * 1024 * 1024; // 10 MB
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1, fields: 4 }
+});
+
 /**
- * POST /api/preview
- * Generate preview images (JPG) for the brochure
+ * POST /api/uploads
+ * Upload an image for an `image` variable (multipart: productId, variable, file)
  */
-app.post('/api/preview', async (req, res) => {
-  try {
-    // Validate and sanitize input
-    const formData = sanitizeFormData(req.body);
-    
-    if (!validateProductId(formData.productId)) {
+app.post('/api/uploads', (req, res) => {
+  imageUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? 'File is too large' : 'Invalid upload'
+      });
+    }
+
+    const productId = sanitizeInput(req.body?.productId);
+    const variableName = sanitizeInput(req.body?.variable);
+
+    if (!validateProductId(productId)) {
       return res.status(400).json({ error: 'Invalid product ID' });
     }
-    
-    const jobTicket = generateJobTicket(formData, 'Proof');
 
-    console.log('Submitting preview job to uProduce API...');
-    
-    // Check circuit breaker before calling external API
-    if (!circuitBreaker.canRequest()) {
-      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    const variable = getProductById(productId).variables.find(v => v.name === variableName);
+    if (!variable || variable.type !== 'image') {
+      return res.status(400).json({ error: 'Invalid image variable' });
     }
 
-    // Submit job to uProduce API
-    const jobResponse = await uproduceClient.post(
-      '/v1/jobs/immediate',
-      jobTicket,
-      {
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        fields: [{ field: variable.name, code: 'required', message: 'No image file received' }]
+      });
+    }
+
+    const { image, code, message } = validateUpload(variable, req.file.buffer);
+    if (code) {
+      return res.status(400).json({
+        error: 'Invalid upload',
+        fields: [{ field: variable.name, code, message }]
+      });
+    }
+
+    let assetId;
+    try {
+      assetId = await saveUpload({ productId, variable: variable.name, buffer: req.file.buffer, image });
+    } catch (error) {
+      console.error('Error staging image upload:', error.message);
+      return res.status(500).json({ error: 'Failed to store the upload' });
+    }
+    console.log(`Image uploaded for ${productId}/${variable.name}: ${assetId} (${image.width}x${image.height})`);
+
+    res.status(201).json({
+      success: true,
+      assetId,
+      width: image.width,
+      height: image.height
+    });
+  });
+});
+
+// Page image types a Proof output profile can produce
+const PREVIEW_IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+/**
+ * Extract the page images from a Proof job's output ZIP
+ * @param {Buffer} zipBuffer - Downloaded job output
+ * @returns {Array<{name: string, data: string}>} Data URLs, sorted by page number
+ */
+function extractImagesFromZip(zipBuffer) {
+  const zip = new AdmZip(zipBuffer);
+  const images = [];
+
+  zip.getEntries().forEach((entry) => {
+    const mimeType = PREVIEW_IMAGE_TYPES[path.extname(entry.entryName).toLowerCase()];
+    if (mimeType) {
+      images.push({
+        name: entry.entryName,
+        data: `data:${mimeType};base64,${entry.getData().toString('base64')}`
+      });
+    }
+  });
+
+  // Sort images by page number
+  images.sort((a, b) => {
+    const pageA = parseInt(a.name.match(/p(\d+)/)?.[1] || '0');
+    const pageB = parseInt(b.name.match(/p(\d+)/)?.[1] || '0');
+    return pageA - pageB;
+  });
+
+  return images;
+}
+
+// Resolutions a single page can be re-rendered at for close inspection
+const PREVIEW_PAGE_RESOLUTIONS = [300, 600];
+const PREVIEW_PAGE_MAX = 200; // Highest page number accepted
+
+// Status for requests the client abandoned before the response (nginx's convention; never sent)
+const CLIENT_CLOSED_REQUEST = 499;
+
+/**
+ * Abort signal for work done on behalf of a request
+ * Fires when the client disconnects before the response is sent, e.g. when the browser aborts
+ * a preview request that newer form edits superseded.
+ * @returns {AbortSignal}
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Render a Proof job ticket, or serve it from the preview cache
+ * @param {Object} formData - Validated customization (for staging uploaded images)
+ * @param {Object} jobTicket - Proof job ticket built from formData
+ * @param {Object} request
+ * @param {string} request.clientId - Who the render queue serves the job for
+ * @param {AbortSignal} [request.signal] - Stops waiting for the render backend when the client is gone
+ * @returns {Promise<{jobId: string, images: Array, cacheKey: string, cache: string}|{status: number, error: string, jobStatus?: string, statusInfo?: string}>}
+ *   The page images, or an HTTP status and message
+ */
+async function renderProofImages(formData, jobTicket, { clientId, signal }) {
+  // The ticket fully determines the output, so its hash is the cache key
+  const cacheKey = previewCache.getCacheKey(renderBackend.name, jobTicket);
+  const cached = await previewCache.getPreview(cacheKey);
+  if (cached) {
+    console.log(`Preview cache HIT: ${cacheKey.slice(0, 12)}`);
+    return { jobId: cached.jobId, images: cached.images, cacheKey, cache: 'hit' };
+  }
+
+  console.log('Submitting preview job to render backend...');
+
+  // Check circuit breaker before calling external API
+  if (!renderBackend.isAvailable('submit')) {
+    return { status: 503, error: 'Service temporarily unavailable. Please try again shortly.' };
+  }
 
-    const jobData = jobResponse.data;
-    console.log('Job submitted successfully:', jobData.FriendlyId);
+  const slot = await acquireRenderSlot({ clientId, priority: 'interactive', signal });
+  if (slot.error) return slot;
+
+  let staging = null;
+  try {
+    // Stage uploaded images with the backend under the file names the ticket references
+    staging = await stageImageAssets(renderBackend, getProductById(formData.productId), formData);
+    signal?.throwIfAborted();
+
+    // Submit job to the render backend
+    const jobData = await renderBackend.submitImmediateJob(jobTicket, { signal });
+    console.log('Job submitted successfully:', jobData.jobId);
 
     // Check if job completed successfully
-    if (jobData.Status !== 'Completed') {
-      return res.status(500).json({
+    if (jobData.status !== 'Completed') {
+      return {
+        status: 500,
         error: 'Job did not complete successfully',
-        status: jobData.Status,
-        statusInfo: jobData.StatusInfo
-      });
+        jobStatus: jobData.status,
+        statusInfo: jobData.statusInfo
+      };
     }
 
     // Download the output ZIP file
-    const downloadResponse = await uproduceClient.get(
-      `/v1/jobs/${jobData.FriendlyId}/output/download`,
-      { responseType: 'arraybuffer' }
-    );
+    const outputZip = await renderBackend.downloadOutput(jobData.jobId, { signal });
 
-    circuitBreaker.onSuccess();
+    // Extract JPG/PNG page images from ZIP
+    const images = extractImagesFromZip(outputZip);
 
-    // Extract JPG files from ZIP
-    const zip = new AdmZip(downloadResponse.data);
-    const zipEntries = zip.getEntries();
-    
-    const images = [];
-    zipEntries.forEach((entry) => {
-      if (entry.entryName.endsWith('.jpg') || entry.entryName.endsWith('.jpeg')) {
-        const imageBuffer = entry.getData();
-        const base64Image = imageBuffer.toString('base64');
-        images.push({
-          name: entry.entryName,
-          data: `data:image/jpeg;base64,${base64Image}`
-        });
-      }
+    if (images.length > 0) {
+      await previewCache.setPreview(cacheKey, { jobId: jobData.jobId, images });
+    }
+
+    return { jobId: jobData.jobId, images, cacheKey, cache: 'miss' };
+  } catch (error) {
+    // An abandoned request says nothing about the backend's health
+    if (signal?.aborted) {
+      console.log('Preview abandoned by the client; stopped waiting for the render backend');
+      return { status: CLIENT_CLOSED_REQUEST, error: 'Client closed request' };
+    }
+    console.error('Error generating preview:', error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return { status: 503, error: 'Service temporarily unavailable. Please try again shortly.' };
+    }
+    if (error.code === 'ECONNABORTED') {
+      return { status: 504, error: 'Preview generation timed out' };
+    }
+    return { status: 500, error: 'Failed to generate preview' };
+  } finally {
+    // Staged images are only needed while the job runs
+    if (staging) staging.release();
+    slot.release();
+  }
+}
+
+/**
+ * Send a failed renderProofImages result
+ */
+function sendRenderError(res, { status, error, jobStatus, statusInfo }) {
+  const body = { error };
+  if (jobStatus) {
+    body.status = jobStatus;
+    body.statusInfo = statusInfo;
+  }
+  res.status(status).json(body);
+}
+
+/**
+ * POST /api/preview[?delivery=url]
+ * Generate preview images (JPG/PNG) for the brochure
+ * Identical job tickets are served from the preview cache (reported as cache: 'hit' | 'miss').
+ * Pages come back as data URLs, or with delivery=url as short-lived image URLs.
+ */
+app.post('/api/preview', async (req, res) => {
+  const delivery = req.query.delivery === 'url' ? 'url' : 'inline';
+  const signal = abortOnDisconnect(res);
+  try {
+    // Validate and sanitize input
+    const formData = await validateCustomization(sanitizeFormData(req.body), res, 'Proof');
+    if (!formData) return;
+
+    const { values } = await resolveImageUploads(getProductById(formData.productId), formData);
+    const jobTicket = generateJobTicket(values, 'Proof');
+    const result = await renderProofImages(formData, jobTicket, { clientId: getClientId(req), signal });
+    if (signal.aborted) return;
+    if (result.error) {
+      return sendRenderError(res, result);
+    }
+
+    const images = delivery === 'url'
+      ? await previewCache.publishPages(result.cacheKey, result.images)
+      : result.images;
+
+    res.json({
+      success: true,
+      jobId: result.jobId,
+      images,
+      pageCount: images.length,
+      delivery,
+      cache: result.cache
     });
 
-    // Sort images by page number
-    images.sort((a, b) => {
-      const pageA = parseInt(a.name.match(/p(\d+)/)?.[1] || '0');
-      const pageB = parseInt(b.name.match(/p(\d+)/)?.[1] || '0');
-      return pageA - pageB;
+  } catch (error) {
+    console.error('Error generating preview:', error.message);
+    res.status(500).json({
+      error: 'Failed to generate preview'
     });
+  }
+});
+
+/**
+ * GET /api/preview/images/:key/:page
+ * A page published by /api/preview?delivery=url; gone once the URL expires
+ */
+app.get('/api/preview/images/:key/:page', async (req, res) => {
+  const page = Number(req.params.page);
+  if (!/^[0-9a-f]{64}$/.test(req.params.key) || !Number.isInteger(page) || page < 1) {
+    return res.status(404).json({ error: 'Page not found' });
+  }
+
+  try {
+    const image = await previewCache.getPublishedPage(req.params.key, page);
+    if (!image) {
+      return res.status(404).json({ error: 'Page not found or expired' });
+    }
+
+    // The key is a hash of the job ticket, so a URL always returns the same image
+    res.setHeader('Content-Type', image.contentType);
+    res.setHeader('Cache-Control', 'private, max-age=600');
+    res.send(image.data);
+  } catch (error) {
+    console.error('Error serving preview page:', error.message);
+    res.status(500).json({ error: 'Failed to load preview page' });
+  }
+});
+
+/**
+ * POST /api/preview/pages/:page?resolution=300
+ * Render one page of the preview, at a higher resolution for zooming in on it, or without
+ * resolution at the preview's own (to replace a page image that could not be loaded)
+ * Takes the same body as /api/preview; the page number is 1-based.
+ */
+app.post('/api/preview/pages/:page', async (req, res) => {
+  const page = Number(req.params.page);
+  const resolution = req.query.resolution === undefined ? null : Number(req.query.resolution);
+  if (!Number.isInteger(page) || page < 1 || page > PREVIEW_PAGE_MAX) {
+    return res.status(400).json({ error: `Page must be a number between 1 and ${PREVIEW_PAGE_MAX}` });
+  }
+  if (resolution !== null && !PREVIEW_PAGE_RESOLUTIONS.includes(resolution)) {
+    return res.status(400).json({ error: `Resolution must be one of: ${PREVIEW_PAGE_RESOLUTIONS.join(', ')}` });
+  }
+
+  const signal = abortOnDisconnect(res);
+  try {
+    const formData = await validateCustomization(sanitizeFormData(req.body), res, 'Proof');
+    if (!formData) return;
+
+    // Same ticket as the preview, limited to one page at the requested resolution
+    const { values } = await resolveImageUploads(getProductById(formData.productId), formData);
+    const jobTicket = generateJobTicket(values, 'Proof');
+    if (resolution !== null) jobTicket.Output.Resolution = resolution;
+    jobTicket.Output.PageRange = { All: false, From: page, To: page };
+
+    const result = await renderProofImages(formData, jobTicket, { clientId: getClientId(req), signal });
+    if (signal.aborted) return;
+    if (result.error) {
+      return sendRenderError(res, result);
+    }
+    if (result.images.length === 0) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
 
     res.json({
       success: true,
-      jobId: jobData.FriendlyId,
-      images: images,
-      pageCount: images.length
+      jobId: result.jobId,
+      page,
+      resolution: jobTicket.Output.Resolution,
+      image: result.images[0],
+      cache: result.cache
     });
 
   } catch (error) {
-    circuitBreaker.onFailure();
-    console.error('Error generating preview:', error.response?.data || error.message);
-    if (error.code === 'ECONNABORTED') {
-      return res.status(504).json({ error: 'Preview generation timed out' });
-    }
+    console.error('Error rendering preview page:', error.message);
     res.status(500).json({
-      error: 'Failed to generate preview'
+      error: 'Failed to render the page'
     });
   }
 });
 
 /**
  * POST /api/download-pdf
- * Generate and download print-ready PDF
+ * Generate and download print-ready PDF in a single blocking request.
+ * Kept for API clients; the web UI uses the async /api/jobs flow instead.
  */
 app.post('/api/download-pdf', async (req, res) => {
+  let staging = null;
+  let slot = null;
   try {
     // Validate and sanitize input
-    const formData = sanitizeFormData(req.body);
-    
-    if (!validateProductId(formData.productId)) {
-      return res.status(400).json({ error: 'Invalid product ID' });
-    }
-    
-    const jobTicket = generateJobTicket(formData, 'Print');
+    const formData = await validateCustomization(sanitizeFormData(req.body), res, 'Print');
+    if (!formData) return;
 
-    console.log('Submitting PDF job to uProduce API...');
+    console.log('Submitting PDF job to render backend...');
     
     // Check circuit breaker before calling external API
-    if (!circuitBreaker.canRequest()) {
+    if (!renderBackend.isAvailable('submit')) {
       return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
     }
 
-    // Submit job to uProduce API
-    const jobResponse = await uproduceClient.post(
-      '/v1/jobs/immediate',
-      jobTicket,
-      {
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
+    slot = await acquireRenderSlot({ clientId: getClientId(req), priority: 'interactive' });
+    if (slot.error) {
+      return res.status(slot.status).json({ error: slot.error });
+    }
 
-    const jobData = jobResponse.data;
-    console.log('PDF job submitted successfully:', jobData.FriendlyId);
+    // Stage uploaded images with the backend, then build the ticket that references them
+    staging = await stageImageAssets(renderBackend, getProductById(formData.productId), formData);
+    const jobTicket = generateJobTicket(staging.values, 'Print');
+
+    // Submit job to the render backend
+    const jobData = await renderBackend.submitImmediateJob(jobTicket);
+    console.log('PDF job submitted successfully:', jobData.jobId);
 
     // Check if job completed successfully
-    if (jobData.Status !== 'Completed') {
+    if (jobData.status !== 'Completed') {
       return res.status(500).json({
         error: 'Job did not complete successfully',
-        status: jobData.Status,
-        statusInfo: jobData.StatusInfo
+        status: jobData.status,
+        statusInfo: jobData.statusInfo
       });
     }
 
     // Download the output ZIP file
-    const downloadResponse = await uproduceClient.get(
-      `/v1/jobs/${jobData.FriendlyId}/output/download`,
-      { responseType: 'arraybuffer' }
-    );
-
-    circuitBreaker.onSuccess();
+    const outputZip = await renderBackend.downloadOutput(jobData.jobId);
 
     // Extract PDF from ZIP
-    const zip = new AdmZip(downloadResponse.data);
-    const zipEntries = zip.getEntries();
-    
-    let pdfBuffer = null;
-    let pdfFileName = 'brochure.pdf';
-    
-    zipEntries.forEach((entry) => {
-      if (entry.entryName.endsWith('.pdf')) {
-        pdfBuffer = entry.getData();
-        pdfFileName = entry.entryName;
-      }
-    });
+    const pdf = extractPdfFromZip(outputZip);
 
-    if (!pdfBuffer) {
+    if (!pdf) {
       return res.status(500).json({
         error: 'No PDF found in output'
       });
     }
 
     // Sanitize filename to prevent header injection
-    const safePdfFileName = pdfFileName.replace(/[^\w.\-]/g, '_');
+    const safePdfFileName = pdf.fileName.replace(/[^\w.\-]/g, '_');
 
     // Send PDF as download
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${safePdfFileName}"`);
-    res.send(pdfBuffer);
+    res.send(pdf.buffer);
 
   } catch (error) {
-    circuitBreaker.onFailure();
     console.error('Error generating PDF:', error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
     if (error.code === 'ECONNABORTED') {
       return res.status(504).json({ error: 'PDF generation timed out' });
     }
     res.status(500).json({
       error: 'Failed to generate PDF'
     });
+  } finally {
+    // Staged images are only needed while the job runs
+    if (staging) staging.release();
+    if (slot?.release) slot.release();
   }
 });
 
+// =============================================================================
+// ASYNC PDF JOBS
+// =============================================================================
+
+// Jobs submitted via /api/jobs are kept in storage (jobStore.js), so any instance can answer
+// status and output requests; on Vercel that takes the Blob driver.
+const JOB_ASSET_CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // Check for abandoned staged images every 5 minutes
+
+// uProduce job statuses that will not change any more
+const JOB_FAILED_STATUSES = ['Failed', 'Aborted', 'Deleted', 'Cancelled'];
+
+// Staged images of jobs submitted by this instance, by job id: { campaignId, assetIds, createdAt }.
+// A status check (on any instance) removes them once the job finishes; this catches jobs nobody
+// polled to the end, for as long as this instance lives.
+const unreleasedJobAssets = new Map();
+
+setInterval(async () => {
+  const now = Date.now();
+  for (const [jobId, entry] of unreleasedJobAssets) {
+    if (now - entry.createdAt <= jobStore.JOB_TTL_MS) continue;
+    unreleasedJobAssets.delete(jobId);
+    try {
+      // A job record that is still there was rewritten when its assets were released
+      if (await jobStore.getJob(jobId)) continue;
+    } catch (error) {
+      console.warn(`Could not check job ${jobId} before removing its staged images:`, error.message);
+    }
+    await removeStagedAssets(renderBackend, entry.campaignId, entry.assetIds);
+  }
+}, JOB_ASSET_CLEANUP_INTERVAL_MS).unref();
+
 /**
- * GET /api/products
- * Get available products/templates
+ * Remove a finished job's staged images from the render backend (once)
+ * @param {string} jobId
+ * @param {Object} job - Stored job
+ */
+async function releaseJobAssets(jobId, job) {
+  unreleasedJobAssets.delete(jobId);
+  if (job.stagedAssetIds.length === 0) return;
+  // Record the release first, so concurrent status checks do not remove the assets twice
+  await jobStore.updateJob(jobId, { ...job, stagedAssetIds: [] });
+  await removeStagedAssets(renderBackend, job.campaignId, job.stagedAssetIds);
+}
+
+/**
+ * Map a backend (uProduce-style) job status onto the simplified status reported to clients
+ * @param {string} uproduceStatus - Status field from the uProduce job
+ * @returns {'processing'|'completed'|'failed'}
+ */
+function toClientJobStatus(uproduceStatus) {
+  if (uproduceStatus === 'Completed') return 'completed';
+  if (JOB_FAILED_STATUSES.includes(uproduceStatus)) return 'failed';
+  return 'processing';
+}
+
+/**
+ * Extract the PDF from a uProduce output ZIP
+ * @param {Buffer} zipBuffer - Downloaded job output
+ * @returns {{buffer: Buffer, fileName: string}|null} The PDF, or null if the ZIP has none
+ */
+function extractPdfFromZip(zipBuffer) {
+  const zip = new AdmZip(zipBuffer);
+  let pdf = null;
+
+  zip.getEntries().forEach((entry) => {
+    if (entry.entryName.endsWith('.pdf')) {
+      pdf = { buffer: entry.getData(), fileName: entry.entryName };
+    }
+  });
+
+  return pdf;
+}
+
+/**
+ * Look up a stored job from the route parameter
+ * Responds with 404 and returns null when the id is unknown or expired
+ * @returns {Promise<Object|null>}
+ */
+async function getRegisteredJob(req, res) {
+  const job = await jobStore.getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Submit a print-ready PDF job to the backend's (non-immediate) render queue and store it
+ * Uploaded images are staged with the backend first, and removed again if submission fails.
+ * @param {Object} formData - Validated customization
+ * @returns {Promise<string>} Job id for the client
+ */
+async function submitPrintJob(formData) {
+  const staging = await stageImageAssets(renderBackend, getProductById(formData.productId), formData);
+  try {
+    const jobTicket = generateJobTicket(staging.values, 'Print');
+    const jobData = await renderBackend.submitJob(jobTicket);
+
+    const job = {
+      backendJobId: jobData.jobId,
+      productId: formData.productId,
+      campaignId: getProductById(formData.productId).campaignId,
+      // Staged images are removed once the job finishes (see checkPrintJob)
+      stagedAssetIds: staging.assetIds,
+      createdAt: Date.now()
+    };
+    const jobId = await jobStore.createJob(job);
+    if (job.stagedAssetIds.length > 0) {
+      unreleasedJobAssets.set(jobId, { campaignId: job.campaignId, assetIds: job.stagedAssetIds, createdAt: job.createdAt });
+    }
+    console.log(`Async PDF job submitted: ${jobData.jobId} (job ${jobId})`);
+    return jobId;
+  } catch (error) {
+    staging.release();
+    throw error;
+  }
+}
+
+/**
+ * Check a stored job with the backend, removing its staged images once it has finished
+ * @param {string} jobId
+ * @param {Object} job - Stored job
+ * @returns {Promise<{status: string, progress: number|null, statusInfo: *}>}
+ */
+async function checkPrintJob(jobId, job) {
+  const jobData = await renderBackend.getJobStatus(job.backendJobId);
+  const status = toClientJobStatus(jobData.status);
+
+  if (status !== 'processing') {
+    await releaseJobAssets(jobId, job).catch(error => {
+      console.warn(`Failed to release staged images of job ${jobId}:`, error.message);
+    });
+  }
+
+  return {
+    status,
+    progress: status === 'completed' ? 100 : jobData.progress,
+    statusInfo: status === 'failed' ? jobData.statusInfo : undefined
+  };
+}
+
+/**
+ * POST /api/jobs
+ * Submit a print-ready PDF job without waiting for it to finish
+ */
+app.post('/api/jobs', async (req, res) => {
+  try {
+    // Validate and sanitize input
+    const formData = await validateCustomization(sanitizeFormData(req.body), res, 'Print');
+    if (!formData) return;
+
+    console.log('Submitting async PDF job to render backend...');
+
+    // Check circuit breaker before calling external API
+    if (!renderBackend.isAvailable('submit')) {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+
+    const jobId = await submitPrintJob(formData);
+
+    res.status(202).json({
+      success: true,
+      jobId,
+      status: 'processing'
+    });
+
+  } catch (error) {
+    console.error('Error submitting PDF job:', error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+    if (error.code === 'ECONNABORTED') {
+      return res.status(504).json({ error: 'PDF job submission timed out' });
+    }
+    res.status(500).json({
+      error: 'Failed to submit PDF job'
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get status and progress of a submitted PDF job
+ */
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getRegisteredJob(req, res);
+    if (!job) return;
+
+    // Check circuit breaker before calling external API
+    if (!renderBackend.isAvailable('status')) {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+
+    const { status, progress, statusInfo } = await checkPrintJob(req.params.id, job);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      jobId: req.params.id,
+      status,
+      progress,
+      statusInfo
+    });
+
+  } catch (error) {
+    console.error('Error fetching PDF job status:', error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+    if (error.code === 'ECONNABORTED') {
+      return res.status(504).json({ error: 'Job status request timed out' });
+    }
+    res.status(500).json({
+      error: 'Failed to fetch job status'
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/output
+ * Download the PDF of a completed job
+ */
+app.get('/api/jobs/:id/output', async (req, res) => {
+  try {
+    const job = await getRegisteredJob(req, res);
+    if (!job) return;
+
+    // Check circuit breaker before calling external API
+    if (!renderBackend.isAvailable('download')) {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+
+    const outputZip = await renderBackend.downloadOutput(job.backendJobId);
+
+    const pdf = extractPdfFromZip(outputZip);
+    if (!pdf) {
+      return res.status(500).json({
+        error: 'No PDF found in output'
+      });
+    }
+
+    // Sanitize filename to prevent header injection
+    const safePdfFileName = pdf.fileName.replace(/[^\w.\-]/g, '_');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${safePdfFileName}"`);
+    res.send(pdf.buffer);
+
+  } catch (error) {
+    // A 404 from the backend means the output is not ready yet, not an outage
+    if (error.response?.status === 404) {
+      return res.status(409).json({ error: 'Job output is not ready yet' });
+    }
+    console.error('Error downloading PDF job output:', error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+    if (error.code === 'ECONNABORTED') {
+      return res.status(504).json({ error: 'PDF download timed out' });
+    }
+    res.status(500).json({
+      error: 'Failed to download PDF'
+    });
+  }
+});
+
+// =============================================================================
+// BATCH PERSONALIZATION
+// =============================================================================
+
+// Batches created via /api/batches. Every row is submitted as an async PDF job (see /api/jobs),
+// and the batch is kept in the batches store, so any instance can report its progress and build its output.
+const BATCH_MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS, 10) || 50; // Rows per batch
+const BATCH_SAMPLE_ROWS = 3; // Rows echoed back by the CSV preview
+const BATCH_OUTPUT_FORMATS = ['zip', 'merged'];
+
+const CSV_MAX_BYTES = 1024 * 1024; // 1 MB
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CSV_MAX_BYTES, files: 1, fields: 5 }
+});
+
+/**
+ * Middleware: receive a multipart CSV upload (fields: productId, file, ...)
+ */
+function receiveCsv(req, res, next) {
+  csvUpload.single('file')(req, res, (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? 'CSV file is too large' : 'Invalid upload'
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Parse the uploaded CSV for the requested product
+ * Responds with 400 and returns null when the product, file or row count is invalid
+ * @returns {{product: Object, columns: string[], rows: Object[]}|null}
+ */
+function readBatchCsv(req, res) {
+  const productId = sanitizeInput(req.body?.productId);
+  if (!validateProductId(productId)) {
+    res.status(400).json({ error: 'Invalid product ID' });
+    return null;
+  }
+
+  if (!req.file) {
+    res.status(400).json({ error: 'No CSV file received' });
+    return null;
+  }
+
+  let csv;
+  try {
+    csv = parseCsv(req.file.buffer.toString('utf8'));
+  } catch (error) {
+    res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+    return null;
+  }
+
+  if (csv.rows.length === 0) {
+    res.status(400).json({ error: 'CSV file has no data rows' });
+    return null;
+  }
+  if (csv.rows.length > BATCH_MAX_ROWS) {
+    res.status(400).json({ error: `CSV has ${csv.rows.length} rows; batches are limited to ${BATCH_MAX_ROWS}` });
+    return null;
+  }
+
+  return { product: getProductById(productId), ...csv };
+}
+
+/**
+ * Submit every row of a batch as an async PDF job, one after another
+ * A row that cannot be submitted is recorded as failed and the batch carries on; once the
+ * circuit breaker opens, the remaining rows fail without being tried.
+ * @param {Object[]} rows - Validated form values per row
+ * @returns {Promise<Array<{row: number, jobId: string|null, status: string, message?: string}>>}
+ */
+async function submitBatchRows(rows) {
+  const submitted = [];
+  for (let index = 0; index < rows.length; index++) {
+    const row = index + 1;
+
+    if (!renderBackend.isAvailable('submit')) {
+      submitted.push({ row, jobId: null, status: 'failed', message: 'Service temporarily unavailable' });
+      continue;
+    }
+
+    try {
+      submitted.push({ row, jobId: await submitPrintJob(rows[index]), status: 'processing' });
+    } catch (error) {
+      console.error(`Error submitting batch row ${row}:`, error.response?.data || error.message);
+      submitted.push({
+        row,
+        jobId: null,
+        status: 'failed',
+        message: error.code === 'ECONNABORTED' ? 'PDF job submission timed out' : 'Failed to submit PDF job'
+      });
+    }
+  }
+  return submitted;
+}
+
+/**
+ * Check the unfinished rows of a batch with the backend and store what changed
+ * Rows that cannot be checked right now (open circuit breaker, backend error) stay 'processing'.
+ * @param {string} batchId
+ * @param {Object} batch - Stored batch; its rows are updated in place
+ */
+async function refreshBatch(batchId, batch) {
+  const pending = batch.rows.filter(row => row.status === 'processing');
+  if (pending.length === 0 || !renderBackend.isAvailable('status')) return;
+
+  let changed = false;
+  await Promise.all(pending.map(async (row) => {
+    try {
+      const job = await jobStore.getJob(row.jobId);
+      if (!job) {
+        row.status = 'failed';
+        row.message = 'PDF job expired';
+      } else {
+        const { status } = await checkPrintJob(row.jobId, job);
+        if (status === 'processing') return;
+        row.status = status;
+        if (status === 'failed') row.message = 'Job did not complete successfully';
+      }
+      changed = true;
+    } catch (error) {
+      console.warn(`Could not check batch ${batchId} row ${row.row}:`, error.response?.data || error.message);
+    }
+  }));
+
+  if (changed) {
+    await batchStore.updateBatch(batchId, batch);
+  }
+}
+
+/**
+ * Summarize a stored batch's rows
+ * @returns {{status: string, total: number, completed: number, failures: Array<{row: number, message: string}>}}
+ */
+function summarizeBatch(batch) {
+  const total = batch.rows.length;
+  const completed = batch.rows.filter(row => row.status === 'completed').length;
+  const failures = batch.rows
+    .filter(row => row.status === 'failed')
+    .map(({ row, message }) => ({ row, message }));
+
+  let status = 'processing';
+  if (completed + failures.length === total) {
+    status = completed > 0 ? 'completed' : 'failed';
+  }
+  return { status, total, completed, failures };
+}
+
+/**
+ * Look up a stored batch from the route parameter
+ * Responds with 404 and returns null when the id is unknown or expired
+ * @returns {Promise<Object|null>}
+ */
+async function getRegisteredBatch(req, res) {
+  const batch = await batchStore.getBatch(req.params.id);
+  if (!batch) {
+    res.status(404).json({ error: 'Batch not found' });
+    return null;
+  }
+  return batch;
+}
+
+/**
+ * POST /api/batches/preview
+ * Read a CSV (multipart: productId, file) and suggest a column for each variable
+ */
+app.post('/api/batches/preview', receiveCsv, (req, res) => {
+  const csv = readBatchCsv(req, res);
+  if (!csv) return;
+
+  res.json({
+    success: true,
+    columns: csv.columns,
+    rowCount: csv.rows.length,
+    sampleRows: csv.rows.slice(0, BATCH_SAMPLE_ROWS),
+    suggestedMapping: suggestMapping(csv.product, csv.columns),
+    maxRows: BATCH_MAX_ROWS
+  });
+});
+
+/**
+ * POST /api/batches
+ * Start a batch (multipart: productId, file, mapping, output, outputProfile)
+ * mapping is a JSON object of variable name -> CSV column; unmapped variables use their default.
+ * output is "zip" (one PDF per row) or "merged" (a single PDF).
+ * outputProfile is one of the product's print profiles (default: the first).
+ */
+app.post('/api/batches', receiveCsv, async (req, res) => {
+  const csv = readBatchCsv(req, res);
+  if (!csv) return;
+
+  let mapping;
+  try {
+    mapping = JSON.parse(req.body.mapping || '{}');
+  } catch (error) {
+    mapping = null;
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return res.status(400).json({ error: 'Invalid column mapping' });
+  }
+
+  const output = req.body.output || 'zip';
+  if (!BATCH_OUTPUT_FORMATS.includes(output)) {
+    return res.status(400).json({ error: 'Invalid output format' });
+  }
+
+  const outputProfile = sanitizeInput(req.body.outputProfile) || undefined;
+  const mappingErrors = [
+    ...validateMapping(csv.product, csv.columns, mapping),
+    ...validateOutputProfile(csv.product, 'Print', outputProfile)
+  ];
+  if (mappingErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid batch settings', fields: mappingErrors });
+  }
+
+  // Validate every row up front so nothing is rendered from a bad file
+  const { rows, errors } = mapRows(csv.product, csv.rows, mapping, sanitizeInput);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid rows in CSV', rows: errors });
+  }
+
+  // Check circuit breaker before calling external API
+  if (!renderBackend.isAvailable('submit')) {
+    return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+  }
+
+  try {
+    const batch = {
+      productId: csv.product.id,
+      output,
+      rows: await submitBatchRows(outputProfile ? rows.map(values => ({ ...values, outputProfile })) : rows),
+      createdAt: Date.now()
+    };
+    const batchId = await batchStore.createBatch(batch);
+    console.log(`Batch ${batchId} submitted: ${rows.length} row(s) for ${batch.productId}`);
+
+    res.status(202).json({
+      success: true,
+      batchId,
+      status: summarizeBatch(batch).status,
+      total: rows.length
+    });
+
+  } catch (error) {
+    console.error('Error submitting batch:', error.message);
+    res.status(500).json({
+      error: 'Failed to start batch'
+    });
+  }
+});
+
+/**
+ * GET /api/batches/:id
+ * Get progress of a batch, including the rows that failed
+ */
+app.get('/api/batches/:id', async (req, res) => {
+  try {
+    const batch = await getRegisteredBatch(req, res);
+    if (!batch) return;
+
+    await refreshBatch(req.params.id, batch);
+    const { status, total, completed, failures } = summarizeBatch(batch);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      batchId: req.params.id,
+      status,
+      progress: Math.floor(((completed + failures.length) / total) * 100),
+      total,
+      completed,
+      failed: failures.length,
+      failures
+    });
+
+  } catch (error) {
+    console.error('Error fetching batch status:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch batch status'
+    });
+  }
+});
+
+/**
+ * GET /api/batches/:id/output
+ * Download a finished batch as a ZIP of per-row PDFs or as one merged PDF
+ */
+app.get('/api/batches/:id/output', async (req, res) => {
+  try {
+    const batch = await getRegisteredBatch(req, res);
+    if (!batch) return;
+
+    const { status, completed } = summarizeBatch(batch);
+    if (status === 'processing') {
+      return res.status(409).json({ error: 'Batch is still processing' });
+    }
+    if (completed === 0) {
+      return res.status(409).json({ error: 'Batch produced no PDFs' });
+    }
+
+    // Check circuit breaker before calling external API
+    if (!renderBackend.isAvailable('download')) {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+
+    const pdfs = [];
+    for (const { row, jobId } of batch.rows.filter(entry => entry.status === 'completed')) {
+      const job = await jobStore.getJob(jobId);
+      const pdf = job && extractPdfFromZip(await renderBackend.downloadOutput(job.backendJobId));
+      if (pdf) {
+        pdfs.push({ row, buffer: pdf.buffer });
+      } else {
+        console.warn(`Batch ${req.params.id} row ${row}: ${job ? 'no PDF found in output' : 'PDF job expired'}`);
+      }
+    }
+    if (pdfs.length === 0) {
+      return res.status(410).json({ error: 'Batch output is no longer available' });
+    }
+
+    const fileBase = `${batch.productId.replace(/[^\w\-]/g, '_')}-batch`;
+
+    if (batch.output === 'merged') {
+      const merged = await mergePdfs(pdfs.map(pdf => pdf.buffer));
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.pdf"`);
+      return res.send(merged);
+    }
+
+    const zip = new AdmZip();
+    pdfs.forEach(({ row, buffer }) => {
+      zip.addFile(`row-${String(row).padStart(3, '0')}.pdf`, buffer);
+    });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.zip"`);
+    res.send(zip.toBuffer());
+
+  } catch (error) {
+    console.error('Error building batch output:', error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+    if (error.code === 'ECONNABORTED') {
+      return res.status(504).json({ error: 'PDF download timed out' });
+    }
+    res.status(500).json({
+      error: 'Failed to build batch output'
+    });
+  }
+});
+
+// =============================================================================
+// SHARED DESIGNS
+// =============================================================================
+
+/**
+ * POST /api/designs
+ * Save a customization (same body as /api/preview) under a short id for sharing
+ */
+app.post('/api/designs', async (req, res) => {
+  try {
+    const formData = await validateCustomization(sanitizeFormData(req.body), res, 'Proof');
+    if (!formData) return;
+
+    // Uploaded images expire after an hour, so a shared link cannot depend on them
+    const product = getProductById(formData.productId);
+    const uploadErrors = product.variables
+      .filter(variable => variable.type === 'image' && formData[variable.name] && formData[variable.name] !== variable.defaultValue)
+      .map(variable => ({
+        field: variable.name,
+        code: 'not_shareable',
+        message: 'Uploaded images cannot be shared. Remove the image to share this design.'
+      }));
+    if (uploadErrors.length > 0) {
+      return res.status(400).json({ error: 'Design cannot be shared', fields: uploadErrors });
+    }
+
+    const { productId, ...values } = formData;
+    const design = await designStore.saveDesign(productId, values);
+
+    res.status(201).json({
+      success: true,
+      designId: design.id,
+      persistent: designStore.isPersistent()
+    });
+
+  } catch (error) {
+    console.error('Error saving design:', error.message);
+    res.status(500).json({
+      error: 'Failed to save design'
+    });
+  }
+});
+
+/**
+ * GET /api/designs/:id
+ * Load a shared design
+ */
+app.get('/api/designs/:id', async (req, res) => {
+  try {
+    const design = await designStore.getDesign(req.params.id);
+    if (!design || !validateProductId(design.productId)) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
+
+    // Designs never change once saved
+    res.setHeader('Cache-Control', 'public, max-age=3600'); // 1 hour
+    res.json({
+      success: true,
+      design
+    });
+  } catch (error) {
+    console.error('Error loading design:', error.message);
+    res.status(500).json({ error: 'Failed to load design' });
+  }
+});
+
+// =============================================================================
+// PRODUCTS & THUMBNAILS
+// =============================================================================
+
+const THUMBNAIL_WARMUP_CONCURRENCY = parseInt(process.env.THUMBNAIL_WARMUP_CONCURRENCY, 10) || 2;
+
+// Thumbnail renders in progress by product id and config hash, so concurrent requests share one job
+const thumbnailRenders = new Map();
+
+/**
+ * Hash of the product configuration a thumbnail is rendered from
+ * Editing a product (defaults, document ids, ...) or its default proof profile changes the hash,
+ * so thumbnails rendered from the old configuration are no longer found.
+ * @param {Object} product - Product configuration
+ * @returns {string} Short hex hash
+ */
+function getThumbnailConfigHash(product) {
+  const profile = getOutputProfile(productsConfig, product, 'Proof');
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ product, profile }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Render a product's thumbnail from its default values and cache it
+ * @param {Object} product - Product configuration (without a static thumbnail)
+ * @param {string} configHash - Result of getThumbnailConfigHash
+ * @returns {Promise<{thumbnail: string}|{status: number, error: string, jobStatus?: string}>}
+ *   The image data URL, or an HTTP status and message
+ */
+async function renderThumbnail(product, configHash) {
+  let slot;
+  try {
+    const { values: defaultFormData, errors } = validateFormData(product, { productId: product.id });
+    if (errors.length > 0) {
+      console.error(`Invalid default values for product ${product.id}:`, errors);
+      return { status: 500, error: 'Product defaults are invalid' };
+    }
+
+    const jobTicket = generateJobTicket(defaultFormData, 'Proof');
+
+    console.log(`Generating thumbnail for product: ${product.id}`);
+
+    // Check circuit breaker before calling external API
+    if (!renderBackend.isAvailable('submit')) {
+      return { status: 503, error: 'Service temporarily unavailable. Please try again shortly.' };
+    }
+
+    slot = await acquireRenderSlot({ clientId: THUMBNAIL_QUEUE_CLIENT, priority: 'background' });
+    if (slot.error) return slot;
+
+    // Submit job to the render backend
+    const jobData = await renderBackend.submitImmediateJob(jobTicket);
+
+    if (jobData.status !== 'Completed') {
+      return { status: 500, error: 'Thumbnail generation failed', jobStatus: jobData.status };
+    }
+
+    // Download and extract first page
+    const outputZip = await renderBackend.downloadOutput(jobData.jobId);
+
+    // First page of the default proof profile's output
+    const thumbnail = extractImagesFromZip(outputZip)[0]?.data || null;
+
+    if (!thumbnail) {
+      return { status: 500, error: 'No image in job output' };
+    }
+
+    await thumbnailCache.setThumbnail(product.id, configHash, thumbnail);
+    return { thumbnail };
+  } catch (error) {
+    console.error(`Error generating thumbnail for ${product.id}:`, error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return { status: 503, error: 'Service temporarily unavailable. Please try again shortly.' };
+    }
+    if (error.code === 'ECONNABORTED') {
+      return { status: 504, error: 'Thumbnail generation timed out' };
+    }
+    return { status: 500, error: 'Failed to generate thumbnail' };
+  } finally {
+    if (slot?.release) slot.release();
+  }
+}
+
+/**
+ * Render a thumbnail, joining a render of the same configuration that is already running
+ * @returns {Promise<{thumbnail: string}|{status: number, error: string, jobStatus?: string}>}
+ */
+function renderThumbnailOnce(product, configHash) {
+  const renderKey = `${product.id}\0${configHash}`;
+  if (!thumbnailRenders.has(renderKey)) {
+    const render = renderThumbnail(product, configHash)
+      .finally(() => thumbnailRenders.delete(renderKey));
+    thumbnailRenders.set(renderKey, render);
+  }
+  return thumbnailRenders.get(renderKey);
+}
+
+/**
+ * Render every missing thumbnail, at most `concurrency` at a time
+ * @param {number} [concurrency]
+ * @returns {Promise<Array<{productId: string, result: string, error?: string}>>}
+ *   result is 'disabled', 'static', 'cached', 'generated' or 'failed'
+ */
+async function warmThumbnails(concurrency = THUMBNAIL_WARMUP_CONCURRENCY) {
+  const products = [...productsConfig.products];
+  const results = [];
+
+  async function worker() {
+    while (products.length > 0) {
+      const product = products.shift();
+      if (product.disabled) {
+        results.push({ productId: product.id, result: 'disabled' });
+        continue;
+      }
+      if (product.thumbnail) {
+        results.push({ productId: product.id, result: 'static' });
+        continue;
+      }
+
+      try {
+        const configHash = getThumbnailConfigHash(product);
+        if (await thumbnailCache.getThumbnail(product.id, configHash)) {
+          results.push({ productId: product.id, result: 'cached' });
+          continue;
+        }
+
+        const rendered = await renderThumbnailOnce(product, configHash);
+        results.push(rendered.thumbnail
+          ? { productId: product.id, result: 'generated' }
+          : { productId: product.id, result: 'failed', error: rendered.error });
+      } catch (error) {
+        // One product's storage error must not stop the others from warming
+        console.error(`Thumbnail warm-up failed for ${product.id}:`, error.message);
+        results.push({ productId: product.id, result: 'failed', error: 'Failed to generate thumbnail' });
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  const generated = results.filter(entry => entry.result === 'generated').length;
+  const failed = results.filter(entry => entry.result === 'failed').length;
+  console.log(`Thumbnail warm-up finished: ${generated} generated, ${failed} failed`);
+  return results;
+}
+
+/**
+ * GET /api/products
+ * Get available products/templates
  */
 app.get('/api/products', (req, res) => {
   res.setHeader('Cache-Control', 'public, max-age=300'); // 5 minutes
-  res.json(productsConfig);
+  res.json({ ...productsConfig, products: productsConfig.products.filter(product => !product.disabled) });
+});
+
+/**
+ * GET /api/admin/catalog
+ * Validation report for products.json: warnings for the live catalog and the last reload attempt
+ */
+app.get('/api/admin/catalog', requireAdminKey, (req, res) => {
+  res.json({
+    success: true,
+    products: productsConfig.products.length,
+    ...catalogStatus
+  });
+});
+
+/**
+ * POST /api/admin/catalog/reload
+ * Re-read products.json; a file with errors is rejected and the live catalog is kept
+ */
+app.post('/api/admin/catalog/reload', requireAdminKey, (req, res) => {
+  const { ok, errors, warnings } = reloadCatalog('admin');
+  if (!ok) {
+    return res.status(422).json({
+      error: 'products.json has errors; the previous catalog is still in use',
+      errors,
+      warnings
+    });
+  }
+  res.json({ success: true, products: productsConfig.products.length, warnings });
 });
 
 /**
@@ -610,11 +1785,11 @@ app.get('/api/thumbnail/:productId', async (req, res) => {
   try {
     const { productId } = req.params;
     const product = getProductById(productId);
-    
-    if (!product) {
+
+    if (!product || product.disabled) {
       return res.status(404).json({ error: 'Product not found' });
     }
-    
+
     // Check if product has a static thumbnail URL
     if (product.thumbnail) {
       res.setHeader('Cache-Control', 'public, max-age=3600'); // 1 hour
@@ -626,9 +1801,10 @@ app.get('/api/thumbnail/:productId', async (req, res) => {
         source: 'static'
       });
     }
-    
+
     // Check cache first
-    const cachedThumbnail = await thumbnailCache.getThumbnail(productId);
+    const configHash = getThumbnailConfigHash(product);
+    const cachedThumbnail = await thumbnailCache.getThumbnail(productId, configHash);
     if (cachedThumbnail) {
       res.setHeader('Cache-Control', 'public, max-age=3600'); // 1 hour
       return res.json({
@@ -639,104 +1815,334 @@ app.get('/api/thumbnail/:productId', async (req, res) => {
         persistent: thumbnailCache.isPersistent()
       });
     }
-    
-    // Generate thumbnail using default values
-    const defaultFormData = { productId };
-    product.variables.forEach(variable => {
-      defaultFormData[variable.name] = variable.defaultValue || '';
-    });
-    
-    const jobTicket = generateJobTicket(defaultFormData, 'Proof');
-    
-    console.log(`Generating thumbnail for product: ${productId}`);
-    
-    // Check circuit breaker before calling external API
-    if (!circuitBreaker.canRequest()) {
-      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
-    }
 
-    // Submit job to uProduce API
-    const jobResponse = await uproduceClient.post(
-      '/v1/jobs/immediate',
-      jobTicket,
-      {
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
-    
-    const jobData = jobResponse.data;
-    
-    if (jobData.Status !== 'Completed') {
-      return res.status(500).json({
-        error: 'Thumbnail generation failed',
-        status: jobData.Status
+    // Generate thumbnail using default values
+    const rendered = await renderThumbnailOnce(product, configHash);
+    if (!rendered.thumbnail) {
+      return res.status(rendered.status).json({
+        error: rendered.error,
+        ...(rendered.jobStatus && { status: rendered.jobStatus })
       });
     }
-    
-    // Download and extract first page
-    const downloadResponse = await uproduceClient.get(
-      `/v1/jobs/${jobData.FriendlyId}/output/download`,
-      { responseType: 'arraybuffer' }
-    );
 
-    circuitBreaker.onSuccess();
-    
-    const zip = new AdmZip(downloadResponse.data);
-    const zipEntries = zip.getEntries();
-    
-    let thumbnailData = null;
-    for (const entry of zipEntries) {
-      if (entry.entryName.endsWith('.jpg') || entry.entryName.endsWith('.jpeg')) {
-        const imageBuffer = entry.getData();
-        thumbnailData = `data:image/jpeg;base64,${imageBuffer.toString('base64')}`;
-        break;
-      }
-    }
-    
-    if (!thumbnailData) {
-      return res.status(500).json({ error: 'No image in job output' });
-    }
-    
-    // Cache the thumbnail
-    await thumbnailCache.setThumbnail(productId, thumbnailData);
-    
     res.setHeader('Cache-Control', 'public, max-age=3600'); // 1 hour
     res.json({
       success: true,
       productId,
-      thumbnail: thumbnailData,
+      thumbnail: rendered.thumbnail,
       cached: false,
       persistent: thumbnailCache.isPersistent()
     });
-    
   } catch (error) {
-    circuitBreaker.onFailure();
-    console.error('Error generating thumbnail:', error.response?.data || error.message);
-    if (error.code === 'ECONNABORTED') {
-      return res.status(504).json({ error: 'Thumbnail generation timed out' });
-    }
-    res.status(500).json({
-      error: 'Failed to generate thumbnail'
-    });
+    console.error(`Error getting thumbnail for ${req.params.productId}:`, error.message);
+    res.status(500).json({ error: 'Failed to generate thumbnail' });
   }
 });
 
 /**
  * DELETE /api/thumbnail/:productId
- * Invalidate a cached thumbnail
+ * Invalidate a cached thumbnail (e.g. after the template document changed on uProduce)
  */
-app.delete('/api/thumbnail/:productId', async (req, res) => {
-  // Require admin API key for destructive operations
-  const adminKey = process.env.ADMIN_API_KEY;
-  const authHeader = req.headers.authorization;
+app.delete('/api/thumbnail/:productId', requireAdminKey, async (req, res) => {
+  const { productId } = req.params;
+  const product = getProductById(productId);
 
-  if (!adminKey || !authHeader || authHeader !== `Bearer ${adminKey}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
   }
 
-  const { productId } = req.params;
-  await thumbnailCache.invalidateThumbnail(productId);
-  res.json({ success: true, message: `Thumbnail cache cleared for ${productId}` });
+  try {
+    await thumbnailCache.invalidateThumbnail(productId, getThumbnailConfigHash(product));
+    res.json({ success: true, message: `Thumbnail cache cleared for ${productId}` });
+  } catch (error) {
+    console.error(`Error clearing thumbnail for ${productId}:`, error.message);
+    res.status(500).json({ error: 'Failed to clear thumbnail cache' });
+  }
+});
+
+/**
+ * POST /api/thumbnails/warm
+ * Render every thumbnail that is not cached yet; responds when all are done
+ */
+app.post('/api/thumbnails/warm', requireAdminKey, async (req, res) => {
+  try {
+    const results = await warmThumbnails();
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Thumbnail warm-up failed:', error.message);
+    res.status(500).json({ error: 'Thumbnail warm-up failed' });
+  }
+});
+
+// =============================================================================
+// ADMIN CONSOLE
+// =============================================================================
+
+// All /api/admin routes require the admin API key; the /admin page itself holds no data
+
+/**
+ * Describe a product for the admin console
+ */
+function toAdminProduct(product) {
+  return {
+    ...product,
+    disabled: product.disabled === true,
+    edited: Object.prototype.hasOwnProperty.call(catalogEdits.getEdits(), product.id)
+  };
+}
+
+/**
+ * Validate a catalog with changed edits, then persist the edits and make it live
+ * Responds with 422 and the catalog errors if the change would break the catalog, and with
+ * 409 if another admin saved edits since this instance read them (the change was based on
+ * outdated edits, so it is dropped and the saved edits are loaded instead).
+ * @returns {Promise<boolean>} Whether the change was saved
+ */
+async function saveCatalogEdits(edits, res) {
+  const loaded = loadCatalog(CATALOG_PATH, edits);
+  if (loaded.errors.length > 0) {
+    res.status(422).json({ error: 'The product configuration is invalid', errors: loaded.errors, warnings: loaded.warnings });
+    return false;
+  }
+
+  try {
+    await catalogEdits.saveEdits(edits);
+  } catch (error) {
+    if (error.code !== 'edit_conflict') throw error;
+    reloadCatalog('storage');
+    res.status(409).json({ error: 'The catalog was changed by another admin in the meantime; reload it and try again' });
+    return false;
+  }
+  applyCatalog('admin-edit', loaded);
+  return true;
+}
+
+/**
+ * Read a product definition from a request body
+ * @returns {Object|null} The product, or null after responding with 400
+ */
+function readProductBody(req, res) {
+  const product = req.body;
+  if (!product || typeof product !== 'object' || Array.isArray(product) || typeof product.id !== 'string') {
+    res.status(400).json({ error: 'Request body must be a product definition with an id' });
+    return null;
+  }
+  return product;
+}
+
+/**
+ * GET /admin
+ * Serve the admin console with cache-busted asset references
+ */
+app.get('/admin', (req, res) => {
+  let html = fs.readFileSync(path.join(publicDir, 'admin.html'), 'utf8');
+  // Replace asset references with hashed versions
+  for (const [original, hashed] of Object.entries(assetHashes)) {
+    html = html.split(original).join(hashed);
+  }
+  res.setHeader('Cache-Control', 'no-cache'); // Always revalidate HTML
+  res.setHeader('Content-Type', 'text/html');
+  res.send(html);
+});
+
+/**
+ * GET /api/admin/status
+ * Circuit breakers (with their recent state changes), render backend, catalog and storage overview
+ */
+app.get('/api/admin/status', requireAdminKey, (req, res) => {
+  res.json({
+    success: true,
+    circuitBreakers: renderBackend.getBreakers(),
+    breakerHistory,
+    renderBackend: renderBackend.description,
+    catalog: {
+      products: productsConfig.products.length,
+      disabled: productsConfig.products.filter(product => product.disabled).length,
+      edited: Object.keys(catalogEdits.getEdits()).length,
+      editsPersistent: catalogEdits.isPersistent(),
+      ...catalogStatus
+    },
+    previewCache: previewCache.getStats(),
+    renderQueue: renderQueue.getStats(),
+    rateLimitStore: rateLimitStore.name,
+    thumbnailsPersistent: thumbnailCache.isPersistent()
+  });
+});
+
+/**
+ * GET /api/admin/products
+ * All products, including disabled ones, with whether they were edited in the console
+ */
+app.get('/api/admin/products', requireAdminKey, (req, res) => {
+  res.json({
+    success: true,
+    products: productsConfig.products.map(toAdminProduct),
+    outputProfiles: Object.keys(productsConfig.outputProfiles || {})
+  });
+});
+
+/**
+ * POST /api/admin/products
+ * Create a product
+ */
+app.post('/api/admin/products', requireAdminKey, async (req, res) => {
+  const product = readProductBody(req, res);
+  if (!product) return;
+
+  if (getProductById(product.id)) {
+    return res.status(409).json({ error: `A product with id "${product.id}" already exists` });
+  }
+
+  try {
+    if (await saveCatalogEdits({ ...catalogEdits.getEdits(), [product.id]: product }, res)) {
+      console.log(`Admin: created product ${product.id}`);
+      res.status(201).json({ success: true, product: toAdminProduct(getProductById(product.id)) });
+    }
+  } catch (error) {
+    console.error('Error saving catalog edits:', error.message);
+    res.status(500).json({ error: 'Failed to save the product' });
+  }
+});
+
+/**
+ * PUT /api/admin/products/:id
+ * Replace a product's definition (also used to disable and enable it)
+ */
+app.put('/api/admin/products/:id', requireAdminKey, async (req, res) => {
+  const product = readProductBody(req, res);
+  if (!product) return;
+
+  if (!getProductById(req.params.id)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  if (product.id !== req.params.id) {
+    return res.status(400).json({ error: 'Product ids cannot be changed' });
+  }
+
+  try {
+    if (await saveCatalogEdits({ ...catalogEdits.getEdits(), [product.id]: product }, res)) {
+      console.log(`Admin: updated product ${product.id}`);
+      res.json({ success: true, product: toAdminProduct(getProductById(product.id)) });
+    }
+  } catch (error) {
+    console.error('Error saving catalog edits:', error.message);
+    res.status(500).json({ error: 'Failed to save the product' });
+  }
+});
+
+/**
+ * DELETE /api/admin/products/:id
+ * Drop the console's edits to a product: it reverts to products.json, or disappears if it was created here
+ */
+app.delete('/api/admin/products/:id', requireAdminKey, async (req, res) => {
+  const { [req.params.id]: removed, ...edits } = catalogEdits.getEdits();
+  if (!removed) {
+    return res.status(404).json({ error: 'Product has no console edits' });
+  }
+
+  try {
+    if (await saveCatalogEdits(edits, res)) {
+      console.log(`Admin: reverted product ${req.params.id}`);
+      const product = getProductById(req.params.id);
+      res.json({ success: true, product: product ? toAdminProduct(product) : null });
+    }
+  } catch (error) {
+    console.error('Error saving catalog edits:', error.message);
+    res.status(500).json({ error: 'Failed to revert the product' });
+  }
+});
+
+/**
+ * POST /api/admin/products/:id/thumbnail
+ * Drop the cached thumbnail and render a new one
+ */
+app.post('/api/admin/products/:id/thumbnail', requireAdminKey, async (req, res) => {
+  const product = getProductById(req.params.id);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  if (product.thumbnail) {
+    return res.status(409).json({ error: 'Product uses a static thumbnail' });
+  }
+
+  try {
+    const configHash = getThumbnailConfigHash(product);
+    await thumbnailCache.invalidateThumbnail(product.id, configHash);
+    const rendered = await renderThumbnailOnce(product, configHash);
+    if (!rendered.thumbnail) {
+      return res.status(rendered.status).json({
+        error: rendered.error,
+        ...(rendered.jobStatus && { status: rendered.jobStatus })
+      });
+    }
+    res.json({ success: true, thumbnail: rendered.thumbnail });
+  } catch (error) {
+    console.error(`Error regenerating thumbnail for ${product.id}:`, error.message);
+    res.status(500).json({ error: 'Failed to generate thumbnail' });
+  }
+});
+
+/**
+ * POST /api/admin/products/:id/test-render
+ * Render a Proof with the product's default values, bypassing the preview cache
+ * Responds with the pages, the job ticket and how long the render took.
+ */
+app.post('/api/admin/products/:id/test-render', requireAdminKey, async (req, res) => {
+  const product = getProductById(req.params.id);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  const { values, errors } = validateFormData(product, { productId: product.id });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Product defaults are invalid', fields: errors });
+  }
+
+  // Check circuit breaker before calling external API
+  if (!renderBackend.isAvailable('submit')) {
+    return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+  }
+
+  const slot = await acquireRenderSlot({ clientId: getClientId(req), priority: 'interactive' });
+  if (slot.error) {
+    return res.status(slot.status).json({ error: slot.error });
+  }
+
+  const startedAt = Date.now();
+  try {
+    const jobTicket = generateJobTicket(values, 'Proof');
+    const jobData = await renderBackend.submitImmediateJob(jobTicket);
+
+    if (jobData.status !== 'Completed') {
+      return res.status(500).json({
+        error: 'Job did not complete successfully',
+        status: jobData.status,
+        statusInfo: jobData.statusInfo,
+        jobTicket
+      });
+    }
+
+    const outputZip = await renderBackend.downloadOutput(jobData.jobId);
+
+    res.json({
+      success: true,
+      jobId: jobData.jobId,
+      images: extractImagesFromZip(outputZip),
+      durationMs: Date.now() - startedAt,
+      jobTicket
+    });
+  } catch (error) {
+    console.error(`Error test-rendering ${product.id}:`, error.response?.data || error.message);
+    if (error.code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+    }
+    if (error.code === 'ECONNABORTED') {
+      return res.status(504).json({ error: 'Test render timed out' });
+    }
+    res.status(500).json({ error: 'Failed to render the product' });
+  } finally {
+    slot.release();
+  }
 });
 
 /**
@@ -744,7 +2150,30 @@ app.delete('/api/thumbnail/:productId', async (req, res) => {
  * Health check endpoint
  */
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'XMPie Brochure Customizer API is running' });
+  res.json({
+    status: 'ok',
+    message: 'XMPie Brochure Customizer API is running',
+    previewCache: previewCache.getStats(),
+    renderQueue: renderQueue.getStats(),
+    circuitBreakers: Object.fromEntries(renderBackend.getBreakers().map(breaker => [breaker.name, breaker.state]))
+  });
+});
+
+/**
+ * GET /api/queue
+ * Where the caller's next waiting render is in the render queue
+ * Polled by the web UI while a preview request waits; position is null once it is rendering.
+ */
+app.get('/api/queue', (req, res) => {
+  const { running, queued, concurrency } = renderQueue.getStats();
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    position: renderQueue.getPosition(getClientId(req), 'interactive'),
+    running,
+    queued,
+    concurrency
+  });
 });
 
 /**
@@ -777,15 +2206,32 @@ app.get('/about', (req, res) => {
   res.send(html);
 });
 
-// Initialize cache and start server
+// Initialize caches, design store and catalog edits, then start server
 let server;
-thumbnailCache.initCache().then(() => {
+Promise.all([
+  thumbnailCache.initCache(),
+  previewCache.initCache(),
+  designStore.initStore(),
+  initUploadStore(),
+  jobStore.initStore(),
+  batchStore.initStore(),
+  catalogEdits.initEdits()
+]).then(() => {
+  if (Object.keys(catalogEdits.getEdits()).length > 0) {
+    reloadCatalog('storage');
+  }
   if (process.env.NODE_ENV !== 'production') {
     server = app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
-      console.log(`uProduce API URL: ${UPRODUCE_API_URL}`);
+      console.log(`Render backend: ${renderBackend.description}`);
     });
   }
+  if (process.env.THUMBNAIL_WARMUP === 'true') {
+    warmThumbnails().catch(error => console.error('Thumbnail warm-up failed:', error.message));
+  }
+}).catch(error => {
+  console.error('Storage is not usable:', error.message);
+  process.exit(1);
 });
 
 // Graceful shutdown handling
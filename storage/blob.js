@@ -0,0 +1,172 @@
+/**
+ * Vercel Blob Storage Driver
+ * Blob only offers public blobs: anyone who knows a blob's URL can read it. Stores that hand
+ * out public URLs (publicUrls) keep each entry at <namespace>/<key>; every other store keeps
+ * it at <namespace>/<HMAC of the key>, keyed with the Blob token, so a stored key does not
+ * map to a URL that can be guessed from it, and its URL is never handed out.
+ * Blob has no expiry or size limit of its own: entries older than the store TTL are treated
+ * as missing and deleted when next read, and a sweep after writes deletes expired entries
+ * nobody reads again and evicts the oldest entries while the store is over its limits.
+ */
+
+const crypto = require('crypto');
+
+const MIN_CACHE_CONTROL_SECONDS = 60; // Smallest max-age Blob accepts
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000; // Sweep a store at most every 5 minutes
+const DELETE_BATCH_SIZE = 100; // Blobs removed per del() call
+
+/**
+ * Create a Vercel Blob store
+ * @param {Object} config
+ * @param {string} config.namespace - Path prefix for this store's blobs
+ * @param {number|null} config.ttlMs - Entry lifetime, or null for no expiry
+ * @param {number} config.maxBytes - Total size budget
+ * @param {number} config.maxEntries - Maximum number of entries
+ * @param {boolean} config.publicUrls - Store entries under their key and return their URLs
+ * @param {string} config.token - Blob read/write token; keys the HMAC of private paths
+ * @param {Object} [config.client] - Blob client (defaults to @vercel/blob)
+ * @returns {Promise<Object>} Storage driver; rejects if @vercel/blob cannot be loaded
+ */
+async function createBlobDriver({ namespace, ttlMs, maxBytes, maxEntries, publicUrls, token, client }) {
+  const blob = client || await import('@vercel/blob');
+  const sweepNeeded = ttlMs !== null || maxBytes !== Infinity || maxEntries !== Infinity;
+  let lastSweepAt = 0;
+
+  const getBlobPath = key => publicUrls
+    ? `${namespace}/${key}`
+    : `${namespace}/${crypto.createHmac('sha256', token).update(`${namespace}/${key}`).digest('hex')}`;
+
+  function isExpired(storedAt) {
+    return ttlMs !== null && Date.now() > storedAt + ttlMs;
+  }
+
+  async function remove(key) {
+    try {
+      await blob.del(getBlobPath(key));
+    } catch (error) {
+      console.error(`Error deleting ${getBlobPath(key)} from Vercel Blob:`, error.message);
+    }
+  }
+
+  /**
+   * Read a blob's metadata, including its URL even for private stores
+   */
+  async function lookup(key) {
+    try {
+      const result = await blob.head(getBlobPath(key));
+      const storedAt = new Date(result.uploadedAt).getTime();
+      if (isExpired(storedAt)) {
+        await remove(key);
+        return null;
+      }
+      return { contentType: result.contentType, size: result.size, storedAt, url: result.url };
+    } catch (error) {
+      // head() throws BlobNotFoundError if the blob doesn't exist - this is expected for a miss
+      if (error.name !== 'BlobNotFoundError' && !error.message?.includes('not found')) {
+        console.error(`Error reading ${getBlobPath(key)} from Vercel Blob:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Delete expired blobs, then the oldest ones while the store is over its limits
+   * Blob keeps no recency, so eviction goes by upload time rather than last use.
+   */
+  async function sweep() {
+    const blobs = [];
+    let cursor;
+    do {
+      const page = await blob.list({ prefix: `${namespace}/`, cursor });
+      blobs.push(...page.blobs);
+      cursor = page.hasMore ? page.cursor : undefined;
+    } while (cursor);
+
+    // Keep the newest entries that are still live and fit the limits
+    let keptEntries = 0;
+    let keptBytes = 0;
+    const stale = [];
+    blobs
+      .map(entry => ({ url: entry.url, size: entry.size, storedAt: new Date(entry.uploadedAt).getTime() }))
+      .sort((a, b) => b.storedAt - a.storedAt)
+      .forEach(entry => {
+        if (isExpired(entry.storedAt) || keptEntries >= maxEntries || keptBytes + entry.size > maxBytes) {
+          stale.push(entry.url);
+        } else {
+          keptEntries++;
+          keptBytes += entry.size;
+        }
+      });
+
+    for (let start = 0; start < stale.length; start += DELETE_BATCH_SIZE) {
+      await blob.del(stale.slice(start, start + DELETE_BATCH_SIZE));
+    }
+    if (stale.length > 0) {
+      console.log(`Storage (${namespace}): swept ${stale.length} blob(s) from Vercel Blob`);
+    }
+  }
+
+  /**
+   * Start a sweep unless one ran recently
+   * Runs after writes rather than on a timer, since serverless instances are frozen between requests.
+   */
+  function sweepSoon() {
+    if (!sweepNeeded || Date.now() - lastSweepAt < SWEEP_INTERVAL_MS) return;
+    lastSweepAt = Date.now();
+    sweep().catch(error => {
+      console.error(`Error sweeping ${namespace}/ in Vercel Blob:`, error.message);
+    });
+  }
+
+  return {
+    name: 'blob',
+    persistent: true,
+
+    async head(key) {
+      const meta = await lookup(key);
+      return meta && { ...meta, url: publicUrls ? meta.url : null };
+    },
+
+    async get(key) {
+      const meta = await lookup(key);
+      if (!meta) return null;
+      try {
+        const response = await fetch(meta.url);
+        if (!response.ok) return null;
+        const data = Buffer.from(await response.arrayBuffer());
+        return { data, contentType: meta.contentType, storedAt: meta.storedAt, url: publicUrls ? meta.url : null };
+      } catch (error) {
+        console.error(`Error fetching ${getBlobPath(key)} from Vercel Blob:`, error.message);
+        return null;
+      }
+    },
+
+    async set(key, data, { contentType }) {
+      const options = {
+        access: 'public',
+        contentType,
+        addRandomSuffix: false,
+        allowOverwrite: true
+      };
+      // Keep CDN copies from outliving the entry
+      if (ttlMs !== null) {
+        options.cacheControlMaxAge = Math.max(MIN_CACHE_CONTROL_SECONDS, Math.floor(ttlMs / 1000));
+      }
+      const result = await blob.put(getBlobPath(key), data, options);
+      sweepSoon();
+      return { url: publicUrls ? result.url : null };
+    },
+
+    async delete(key) {
+      await remove(key);
+    },
+
+    stats() {
+      return { entries: null, bytes: null };
+    }
+  };
+}
+
+module.exports = {
+  createBlobDriver
+};
@@ -0,0 +1,137 @@
+/**
+ * Filesystem Storage Driver
+ * Stores each entry as two files named by the hash of its key: <hash>.data and <hash>.json
+ * (metadata). Entries survive restarts; recency is tracked in-process and seeded from the
+ * storage time on startup, so the oldest entries are evicted first after a restart.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // Purge expired entries every 5 minutes
+
+/**
+ * Create a filesystem store
+ * @param {Object} config
+ * @param {string} config.dir - Directory for this store's files (created if missing)
+ * @param {number|null} config.ttlMs - Entry lifetime, or null for no expiry
+ * @param {number} config.maxBytes - Total size budget
+ * @param {number} config.maxEntries - Maximum number of entries
+ * @returns {Promise<Object>} Storage driver; rejects if the directory is not writable
+ */
+async function createFilesystemDriver({ dir, ttlMs, maxBytes, maxEntries }) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.access(dir, fs.constants.W_OK);
+
+  // key -> { file, size, contentType, storedAt }, least recently used first
+  const index = new Map();
+  let totalBytes = 0;
+
+  const fileBase = key => path.join(dir, crypto.createHash('sha256').update(key).digest('hex'));
+
+  // Rebuild the index from the metadata files left by previous runs
+  const metaFiles = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.json'));
+  const existing = [];
+  for (const name of metaFiles) {
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+      existing.push({ ...meta, file: path.join(dir, name.slice(0, -'.json'.length)) });
+    } catch (error) {
+      console.warn(`Storage: ignoring unreadable metadata ${name}:`, error.message);
+    }
+  }
+  existing
+    .sort((a, b) => a.storedAt - b.storedAt)
+    .forEach(({ key, file, size, contentType, storedAt }) => {
+      index.set(key, { file, size, contentType, storedAt });
+      totalBytes += size;
+    });
+
+  function isExpired(entry) {
+    return ttlMs !== null && Date.now() > entry.storedAt + ttlMs;
+  }
+
+  async function remove(key) {
+    const entry = index.get(key);
+    if (!entry) return;
+    index.delete(key);
+    totalBytes -= entry.size;
+    await Promise.all([`${entry.file}.data`, `${entry.file}.json`].map(file =>
+      fs.promises.rm(file, { force: true }).catch(error => {
+        console.warn(`Storage: failed to remove ${file}:`, error.message);
+      })
+    ));
+  }
+
+  // Look up a live entry and mark it as most recently used
+  async function touch(key) {
+    const entry = index.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      await remove(key);
+      return null;
+    }
+    index.delete(key);
+    index.set(key, entry);
+    return entry;
+  }
+
+  setInterval(() => {
+    for (const [key, entry] of index) {
+      if (isExpired(entry)) remove(key);
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return {
+    name: 'filesystem',
+    persistent: true,
+
+    async head(key) {
+      const entry = await touch(key);
+      if (!entry) return null;
+      return { contentType: entry.contentType, size: entry.size, storedAt: entry.storedAt, url: null };
+    },
+
+    async get(key) {
+      const entry = await touch(key);
+      if (!entry) return null;
+      try {
+        const data = await fs.promises.readFile(`${entry.file}.data`);
+        return { data, contentType: entry.contentType, storedAt: entry.storedAt, url: null };
+      } catch (error) {
+        // Removed behind our back
+        await remove(key);
+        return null;
+      }
+    },
+
+    async set(key, data, { contentType }) {
+      await remove(key);
+      // Evict least recently used entries until the new one fits
+      while (index.size > 0 && (totalBytes + data.length > maxBytes || index.size >= maxEntries)) {
+        await remove(index.keys().next().value);
+      }
+
+      const file = fileBase(key);
+      const storedAt = Date.now();
+      await fs.promises.writeFile(`${file}.data`, data);
+      await fs.promises.writeFile(`${file}.json`, JSON.stringify({ key, size: data.length, contentType, storedAt }));
+      index.set(key, { file, size: data.length, contentType, storedAt });
+      totalBytes += data.length;
+      return { url: null };
+    },
+
+    async delete(key) {
+      await remove(key);
+    },
+
+    stats() {
+      return { entries: index.size, bytes: totalBytes };
+    }
+  };
+}
+
+module.exports = {
+  createFilesystemDriver
+};
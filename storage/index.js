@@ -0,0 +1,167 @@
+/**
+ * Storage Module
+ * Key/value storage for caches and saved data, with interchangeable drivers:
+ *
+ *   memory      In-process Map; lost on restart
+ *   filesystem  Files under STORAGE_DIR/<namespace>; survives restarts
+ *   blob        Vercel Blob under <namespace>/; survives restarts and is shared between instances.
+ *               Blobs are public, so only stores created with publicUrls are kept under
+ *               guessable paths and return their URLs (see blob.js)
+ *
+ * STORAGE_DRIVER selects the driver. When it is unset, Blob is used if BLOB_READ_WRITE_TOKEN is
+ * set, otherwise the filesystem, falling back to memory if the directory is not writable.
+ *
+ * Every store applies the same rules whatever the driver:
+ * - An entry expires ttlMs after it was last written; expired entries read as missing.
+ * - Reads and writes mark an entry as recently used, and the least recently used entries are
+ *   evicted once the store exceeds maxEntries or maxBytes. Blob tracks no recency, so it evicts
+ *   the oldest written entries instead, in a sweep that also deletes expired ones (see blob.js).
+ */
+
+const path = require('path');
+const { createMemoryDriver } = require('./memory');
+const { createFilesystemDriver } = require('./filesystem');
+const { createBlobDriver } = require('./blob');
+
+const DRIVERS = ['memory', 'filesystem', 'blob'];
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', '.data', 'storage');
+const NAMESPACE_PATTERN = /^[a-z][\w-]*$/;
+
+/**
+ * Create the driver for a store
+ * @returns {Promise<Object>} Driver
+ */
+async function createDriver(namespace, limits, env) {
+  const driver = env.STORAGE_DRIVER;
+  const dir = path.resolve(env.STORAGE_DIR || DEFAULT_STORAGE_DIR, namespace);
+  const persistentLimits = limits.limitPersistent ? limits : { ...limits, maxEntries: Infinity, maxBytes: Infinity };
+  const blobConfig = { namespace, ...persistentLimits, token: env.BLOB_READ_WRITE_TOKEN };
+
+  if (driver) {
+    if (!DRIVERS.includes(driver)) {
+      throw new Error(`STORAGE_DRIVER must be one of: ${DRIVERS.join(', ')}`);
+    }
+    // An explicitly chosen driver must work; falling back would hide the misconfiguration
+    if (driver === 'blob') {
+      if (!env.BLOB_READ_WRITE_TOKEN) throw new Error('STORAGE_DRIVER=blob requires BLOB_READ_WRITE_TOKEN');
+      return createBlobDriver(blobConfig);
+    }
+    if (driver === 'filesystem') return createFilesystemDriver({ dir, ...persistentLimits });
+    return createMemoryDriver(limits);
+  }
+
+  if (env.BLOB_READ_WRITE_TOKEN) {
+    try {
+      return await createBlobDriver(blobConfig);
+    } catch (error) {
+      console.log(`Storage (${namespace}): Vercel Blob not available`);
+    }
+  }
+
+  try {
+    return await createFilesystemDriver({ dir, ...persistentLimits });
+  } catch (error) {
+    console.log(`Storage (${namespace}): ${dir} is not writable (${error.code || error.message})`);
+    return createMemoryDriver(limits);
+  }
+}
+
+/**
+ * Check that a key is usable by every driver (also guards file and blob paths)
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= 512 && !/[\x00-\x1f\\]/.test(key) &&
+    !key.split('/').some(segment => segment === '' || segment === '.' || segment === '..');
+}
+
+function assertValidKey(key) {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid storage key: ${JSON.stringify(key)}`);
+  }
+}
+
+/**
+ * Create a store
+ * @param {string} namespace - Store name; separates its entries from other stores
+ * @param {Object} [options]
+ * @param {number|null} [options.ttlMs=null] - Entry lifetime, or null for no expiry
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+ * @param {number} [options.maxBytes=Infinity] - Total size budget
+ * @param {boolean} [options.limitPersistent=true] - Apply maxEntries and maxBytes to the
+ *   filesystem and Blob drivers too; when false they only bound the memory driver
+ * @param {boolean} [options.publicUrls=false] - Let drivers that can serve entries publicly (Blob)
+ *   return their URLs; only for entries anyone may read, since the URLs follow from the keys
+ * @param {Object} [env=process.env] - Environment holding the storage settings
+ * @returns {Promise<Object>} Store: { driver, persistent, get, head, set, delete, stats }
+ */
+async function createStore(namespace, options = {}, env = process.env) {
+  const { ttlMs = null, maxEntries = Infinity, maxBytes = Infinity, limitPersistent = true, publicUrls = false } = options;
+  if (!NAMESPACE_PATTERN.test(namespace)) {
+    throw new Error(`Invalid storage namespace: ${JSON.stringify(namespace)}`);
+  }
+
+  const driver = await createDriver(namespace, { ttlMs, maxEntries, maxBytes, limitPersistent, publicUrls }, env);
+  console.log(`Storage (${namespace}): Using ${driver.name} driver`);
+
+  return {
+    driver: driver.name,
+    persistent: driver.persistent,
+
+    /**
+     * Read an entry
+     * @param {string} key
+     * @returns {Promise<{data: Buffer, contentType: string, storedAt: number, url: string|null}|null>}
+     */
+    async get(key) {
+      assertValidKey(key);
+      return driver.get(key);
+    },
+
+    /**
+     * Read an entry's metadata without its data; url is set when the driver serves entries publicly
+     * @param {string} key
+     * @returns {Promise<{contentType: string, size: number, storedAt: number, url: string|null}|null>}
+     */
+    async head(key) {
+      assertValidKey(key);
+      return driver.head(key);
+    },
+
+    /**
+     * Write an entry, replacing any existing one
+     * @param {string} key
+     * @param {Buffer|string} data
+     * @param {Object} options
+     * @param {string} options.contentType
+     * @returns {Promise<{url: string|null}>}
+     */
+    async set(key, data, { contentType }) {
+      assertValidKey(key);
+      return driver.set(key, Buffer.isBuffer(data) ? data : Buffer.from(data), { contentType });
+    },
+
+    /**
+     * Remove an entry (no error if it does not exist)
+     * @param {string} key
+     */
+    async delete(key) {
+      assertValidKey(key);
+      return driver.delete(key);
+    },
+
+    /**
+     * Current entry count and size (null when the driver cannot tell cheaply)
+     * @returns {{driver: string, entries: number|null, bytes: number|null}}
+     */
+    stats() {
+      return { driver: driver.name, ...driver.stats() };
+    }
+  };
+}
+
+module.exports = {
+  createStore,
+  isValidKey
+};
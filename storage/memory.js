@@ -0,0 +1,95 @@
+/**
+ * Memory Storage Driver
+ * Keeps entries in a Map ordered from least to most recently used. Nothing survives a restart.
+ */
+
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // Purge expired entries every 5 minutes
+
+/**
+ * Create a memory store
+ * @param {Object} config
+ * @param {number|null} config.ttlMs - Entry lifetime, or null for no expiry
+ * @param {number} config.maxBytes - Total size budget
+ * @param {number} config.maxEntries - Maximum number of entries
+ * @returns {Object} Storage driver
+ */
+function createMemoryDriver({ ttlMs, maxBytes, maxEntries }) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.data.length;
+      entries.delete(key);
+    }
+  }
+
+  function isExpired(entry) {
+    return ttlMs !== null && Date.now() > entry.storedAt + ttlMs;
+  }
+
+  // Look up a live entry and mark it as most recently used
+  function touch(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      remove(key);
+      return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  setInterval(() => {
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) remove(key);
+    }
+  }, CLEANUP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+    persistent: false,
+
+    async head(key) {
+      const entry = touch(key);
+      if (!entry) return null;
+      return {
+        contentType: entry.contentType,
+        size: entry.data.length,
+        storedAt: entry.storedAt,
+        url: null
+      };
+    },
+
+    async get(key) {
+      const entry = touch(key);
+      if (!entry) return null;
+      return { data: entry.data, contentType: entry.contentType, storedAt: entry.storedAt, url: null };
+    },
+
+    async set(key, data, { contentType }) {
+      remove(key);
+      // Evict least recently used entries until the new one fits
+      while (entries.size > 0 && (totalBytes + data.length > maxBytes || entries.size >= maxEntries)) {
+        remove(entries.keys().next().value);
+      }
+      entries.set(key, { data, contentType, storedAt: Date.now() });
+      totalBytes += data.length;
+      return { url: null };
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    stats() {
+      return { entries: entries.size, bytes: totalBytes };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryDriver
+};
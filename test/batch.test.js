@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, suggestMapping, validateMapping, mapRows } = require('../batch');
+
+const product = {
+  id: 'card',
+  variables: [
+    { name: 'firstName', label: 'First Name', type: 'text', required: true, maxLength: 10, planObjectName: 'FirstName' },
+    { name: 'pageSize', type: 'select', options: [{ value: 'A4' }, { value: 'Letter' }], defaultValue: 'A4' },
+    { name: 'copies', type: 'number', min: 1, max: 5, integer: true, defaultValue: '1' },
+    { name: 'logo', type: 'image', defaultValue: 'logo.png' }
+  ]
+};
+const identity = value => value;
+
+test('parseCsv reads a header and one object per row', () => {
+  assert.deepEqual(parseCsv('First Name,Size\nAnn,A4\nBob,Letter\n'), {
+    columns: ['First Name', 'Size'],
+    rows: [{ 'First Name': 'Ann', Size: 'A4' }, { 'First Name': 'Bob', Size: 'Letter' }]
+  });
+});
+
+test('parseCsv handles quoted fields with delimiters, escaped quotes and line breaks', () => {
+  const { rows } = parseCsv('name,note\r\n"Smith, Ann","She said ""hi""\r\ntwice"\r\n');
+  assert.deepEqual(rows, [{ name: 'Smith, Ann', note: 'She said "hi"\r\ntwice' }]);
+});
+
+test('parseCsv detects semicolon and tab delimiters', () => {
+  assert.deepEqual(parseCsv('a;b\n1;2').rows, [{ a: '1', b: '2' }]);
+  assert.deepEqual(parseCsv('a\tb\n1,5\t2').rows, [{ a: '1,5', b: '2' }]);
+});
+
+test('parseCsv drops a byte order mark and blank lines, and fills missing cells', () => {
+  const { columns, rows } = parseCsv('\uFEFFa,b\n\n1\n  \n');
+  assert.deepEqual(columns, ['a', 'b']);
+  assert.deepEqual(rows, [{ a: '1', b: '' }]);
+});
+
+test('parseCsv rejects empty files, bad headers and unterminated quotes', () => {
+  assert.throws(() => parseCsv(''), /empty/);
+  assert.throws(() => parseCsv('\n \n'), /empty/);
+  assert.throws(() => parseCsv('a,a\n1,2'), /unique, non-empty/);
+  assert.throws(() => parseCsv('a,,c\n1,2,3'), /unique, non-empty/);
+  assert.throws(() => parseCsv('a,b\n"1,2'), /Unterminated/);
+});
+
+test('suggestMapping matches columns by name, label or plan object, but never image variables', () => {
+  const mapping = suggestMapping(product, ['first_name', 'PAGE SIZE', 'Logo', 'Other']);
+  assert.deepEqual(mapping, { firstName: 'first_name', pageSize: 'PAGE SIZE' });
+  assert.deepEqual(suggestMapping(product, ['FirstName']), { firstName: 'FirstName' });
+});
+
+test('validateMapping reports unknown variables, unmappable types and missing columns', () => {
+  const errors = validateMapping(product, ['name'], { firstName: 'name', nope: 'name', logo: 'name', copies: 'qty' });
+  assert.deepEqual(errors.map(error => [error.field, error.code]), [
+    ['nope', 'unknown_field'],
+    ['logo', 'not_mappable'],
+    ['copies', 'unknown_column']
+  ]);
+  assert.deepEqual(validateMapping(product, ['name'], { firstName: 'name' }), []);
+});
+
+test('mapRows turns rows into validated values, with defaults for unmapped variables', () => {
+  const { rows, errors } = mapRows(product, [{ name: 'Ann', qty: '3' }], { firstName: 'name', copies: 'qty' }, identity);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [{ productId: 'card', firstName: 'Ann', pageSize: 'A4', copies: '3', logo: 'logo.png' }]);
+});
+
+test('mapRows reports every invalid cell with its 1-based row number', () => {
+  const csvRows = [
+    { name: 'Ann', qty: '2' },
+    { name: '', qty: '9' },
+    { name: 'Bartholomew', qty: '1.5' }
+  ];
+  const { errors } = mapRows(product, csvRows, { firstName: 'name', copies: 'qty' }, identity);
+  assert.deepEqual(errors.map(error => [error.row, error.field, error.code]), [
+    [2, 'firstName', 'required'],
+    [2, 'copies', 'out_of_range'],
+    [3, 'firstName', 'too_long'],
+    [3, 'copies', 'invalid_number']
+  ]);
+});
+
+test('mapRows sanitizes every mapped cell', () => {
+  const { rows } = mapRows(product, [{ name: ' Ann ' }], { firstName: 'name' }, value => value.trim());
+  assert.equal(rows[0].firstName, 'Ann');
+});
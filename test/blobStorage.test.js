@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBlobDriver } = require('../storage/blob');
+
+const BLOB_HOST = 'https://store.public.blob.vercel-storage.com';
+
+/**
+ * In-memory stand-in for @vercel/blob
+ */
+function createFakeClient() {
+  const blobs = new Map();
+  return {
+    blobs,
+    async put(pathname, data, options) {
+      const url = `${BLOB_HOST}/${pathname}`;
+      blobs.set(pathname, { url, data, contentType: options.contentType, size: data.length, uploadedAt: new Date() });
+      return { url, pathname };
+    },
+    async head(pathname) {
+      const entry = blobs.get(pathname);
+      if (!entry) {
+        const error = new Error('Vercel Blob: The requested blob does not exist');
+        error.name = 'BlobNotFoundError';
+        throw error;
+      }
+      return entry;
+    },
+    async del(pathnames) {
+      [].concat(pathnames).forEach(pathname => blobs.delete(pathname.replace(`${BLOB_HOST}/`, '')));
+    },
+    async list() {
+      return { blobs: [...blobs.values()], hasMore: false };
+    }
+  };
+}
+
+function createDriver(client, options = {}) {
+  return createBlobDriver({
+    namespace: 'jobs',
+    ttlMs: null,
+    maxBytes: Infinity,
+    maxEntries: Infinity,
+    publicUrls: false,
+    token: 'vercel_blob_rw_secret',
+    client,
+    ...options
+  });
+}
+
+test('a private store does not keep entries under a path that follows from the key', async () => {
+  const client = createFakeClient();
+  const driver = await createDriver(client);
+  const result = await driver.set('0123456789abcdef0123456789abcdef.json', Buffer.from('{}'), { contentType: 'application/json' });
+
+  assert.equal(result.url, null);
+  const [pathname] = client.blobs.keys();
+  assert.match(pathname, /^jobs\/[0-9a-f]{64}$/);
+  assert.ok(!pathname.includes('0123456789abcdef'));
+  assert.equal((await driver.head('0123456789abcdef0123456789abcdef.json')).url, null);
+});
+
+test('the path of a private entry depends on the Blob token', async () => {
+  const first = createFakeClient();
+  const second = createFakeClient();
+  await (await createDriver(first)).set('design1', Buffer.from('a'), { contentType: 'text/plain' });
+  await (await createDriver(second, { token: 'another_token' })).set('design1', Buffer.from('a'), { contentType: 'text/plain' });
+
+  assert.notEqual([...first.blobs.keys()][0], [...second.blobs.keys()][0]);
+});
+
+test('a private store reads its entries back without returning their URLs', async (t) => {
+  const client = createFakeClient();
+  const driver = await createDriver(client);
+  await driver.set('upload/meta.json', Buffer.from('{"a":1}'), { contentType: 'application/json' });
+  t.mock.method(globalThis, 'fetch', async url => {
+    const entry = [...client.blobs.values()].find(candidate => candidate.url === url);
+    return new Response(entry.data);
+  });
+
+  const entry = await driver.get('upload/meta.json');
+  assert.equal(entry.data.toString(), '{"a":1}');
+  assert.equal(entry.url, null);
+  await driver.delete('upload/meta.json');
+  assert.equal(client.blobs.size, 0);
+});
+
+test('a store with public URLs keeps entries under their key and returns the URL', async () => {
+  const client = createFakeClient();
+  const driver = await createDriver(client, { namespace: 'thumbnails', publicUrls: true });
+  const result = await driver.set('brochure/abc', Buffer.from('jpeg'), { contentType: 'image/jpeg' });
+
+  assert.equal(result.url, `${BLOB_HOST}/thumbnails/brochure/abc`);
+  assert.equal((await driver.head('brochure/abc')).url, `${BLOB_HOST}/thumbnails/brochure/abc`);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateCatalog, applyEdits, loadCatalog } = require('../catalog');
+
+/**
+ * Smallest catalog that passes every check, with changes applied to its product
+ */
+function createCatalog(productChanges = {}) {
+  return {
+    outputProfiles: {
+      'web-jpg': { label: 'Web JPG', format: 'JPG', resolution: 150, bleed: 'none' },
+      'press-pdf': { label: 'Press PDF', format: 'PDF', bleed: 'document', pdfSettings: 'XMPiEQualityHigh', pdfCompatibility: 'PdfVersion16', pdfStandard: 'PDFX42010' }
+    },
+    products: [{
+      id: 'card',
+      title: 'Business Card',
+      description: 'A business card',
+      campaignId: 1,
+      planId: 2,
+      dataSources: {
+        proof: { filterType: 'NoDataSource', filter: 'Dummy Data', range: { from: 1, to: 1 } },
+        print: { filterType: 'NoDataSource', filter: 'Dummy Data', range: { from: 1, to: 1 } }
+      },
+      outputProfiles: { proof: ['web-jpg'], print: ['press-pdf'] },
+      sizes: [{ name: 'A4', documentId: 3 }],
+      variables: [
+        { name: 'pageSize', label: 'Size', type: 'select', options: [{ value: 'A4', label: 'A4' }], defaultValue: 'A4', planObjectName: null, planObjectType: null },
+        { name: 'firstName', label: 'First Name', type: 'text', defaultValue: 'Ann', planObjectName: 'FirstName', planObjectType: 'ADOR' }
+      ],
+      ...productChanges
+    }]
+  };
+}
+
+function writeCatalog(t, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'products.json');
+  fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return filePath;
+}
+
+test('a complete catalog has no errors or warnings', () => {
+  assert.deepEqual(validateCatalog(createCatalog()), { errors: [], warnings: [] });
+});
+
+test('the shipped products.json is valid', () => {
+  const { config, errors } = loadCatalog(path.join(__dirname, '..', 'products.json'));
+  assert.deepEqual(errors, []);
+  assert.ok(config.products.length > 0);
+});
+
+test('the image variables of the test fixture are valid', () => {
+  const { config, errors, warnings } = loadCatalog(path.join(__dirname, 'fixtures', 'products.json'));
+  assert.deepEqual([errors, warnings], [[], []]);
+  assert.deepEqual(config.products[0].variables.filter(variable => variable.type === 'image').map(variable => variable.name), ['logo', 'photo']);
+});
+
+test('missing product fields are errors', () => {
+  const catalog = createCatalog();
+  delete catalog.products[0].title;
+  delete catalog.products[0].planId;
+  catalog.products[0].sizes = [{ name: 'A4' }];
+  assert.deepEqual(validateCatalog(catalog).errors, [
+    'card: title must be a non-empty string',
+    'card: planId must be a positive integer',
+    'card: size A4 needs a positive integer documentId'
+  ]);
+});
+
+test('a product without a pageSize select is an error', () => {
+  const catalog = createCatalog();
+  catalog.products[0].variables.shift();
+  assert.deepEqual(validateCatalog(catalog).errors, ['card: needs a select variable named "pageSize" offering its sizes']);
+});
+
+test('duplicate product ids and variable names are errors', () => {
+  const catalog = createCatalog();
+  const variables = catalog.products[0].variables;
+  variables.push({ ...variables[1] });
+  catalog.products.push(catalog.products[0]);
+  const { errors } = validateCatalog(catalog);
+  assert.ok(errors.includes('card: variable "firstName" is defined more than once'));
+  assert.ok(errors.includes('card: product id is used more than once'));
+});
+
+test('an unknown output profile is an error', () => {
+  const catalog = createCatalog({ outputProfiles: { proof: ['web-jpg'], print: ['press-pdfx9'] } });
+  assert.deepEqual(validateCatalog(catalog).errors, ['card: unknown output profile "press-pdfx9"']);
+});
+
+test('an output profile of the wrong format for the job type is an error', () => {
+  const catalog = createCatalog({ outputProfiles: { proof: ['web-jpg'], print: ['web-jpg'] } });
+  assert.deepEqual(validateCatalog(catalog).errors, ['card: Print jobs cannot use JPG profile "web-jpg"']);
+});
+
+test('invalid variable definitions are errors', () => {
+  const catalog = createCatalog();
+  catalog.products[0].variables.push(
+    { name: 'zip', label: 'Zip', type: 'text', pattern: '([0-9]', planObjectName: 'Zip', planObjectType: 'ADOR' },
+    { name: 'greeting', label: 'Greeting', type: 'select', expressionMode: 'raw', options: [{ value: '"Hi"' }], defaultValue: '"Hi"', planObjectName: 'Greeting', planObjectType: 'ADOR' },
+    { name: 'colour', label: 'Colour', type: 'colour', planObjectName: 'Colour', planObjectType: 'Variable' }
+  );
+  const { errors } = validateCatalog(catalog);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^card: variable zip: pattern is not a valid regular expression/);
+  assert.equal(errors[1], 'card: variable greeting: expressionMode "raw" is only allowed on select variables of trusted products');
+  assert.match(errors[2], /^card: variable colour: type must be one of/);
+});
+
+test('suspicious definitions are only warnings', () => {
+  const catalog = createCatalog({ description: '' });
+  catalog.products[0].variables.push({ name: 'note', type: 'text', maxLength: 3, defaultValue: 'Too long' });
+  const { errors, warnings } = validateCatalog(catalog);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'card: has no description',
+    'card: variable note: has no label; the form will show its name',
+    'card: variable note: has no plan object, so its value never reaches the document',
+    'card: default for note is invalid (Must be at most 3 characters); thumbnails cannot be rendered'
+  ]);
+});
+
+test('applyEdits replaces products by id and appends new ones, leaving the file catalog alone', () => {
+  const catalog = createCatalog();
+  const edited = { ...catalog.products[0], title: 'Edited Card' };
+  const added = { ...catalog.products[0], id: 'flyer', title: 'Flyer' };
+  const result = applyEdits(catalog, { flyer: added, card: edited });
+
+  assert.deepEqual(result.products.map(product => [product.id, product.title]), [
+    ['card', 'Edited Card'],
+    ['flyer', 'Flyer']
+  ]);
+  assert.equal(catalog.products[0].title, 'Business Card');
+  assert.equal(result.outputProfiles, catalog.outputProfiles);
+});
+
+test('loadCatalog validates the file together with the edits', (t) => {
+  const filePath = writeCatalog(t, createCatalog());
+  const broken = { ...createCatalog().products[0], campaignId: 0 };
+
+  assert.deepEqual(loadCatalog(filePath).errors, []);
+  const { config, errors } = loadCatalog(filePath, { card: broken });
+  assert.deepEqual(errors, ['card: campaignId must be a positive integer']);
+  assert.equal(config.products[0].campaignId, 0);
+});
+
+test('loadCatalog reports unreadable, malformed and uncheckable files as errors', (t) => {
+  const missing = loadCatalog(path.join(os.tmpdir(), 'no-such-dir', 'products.json'));
+  assert.equal(missing.config, null);
+  assert.match(missing.errors[0], /^cannot read /);
+
+  const malformed = loadCatalog(writeCatalog(t, '{"products": ['));
+  assert.equal(malformed.config, null);
+  assert.match(malformed.errors[0], /is not valid JSON/);
+
+  // An edit that is not an object makes merging throw; that must become an error too
+  const uncheckable = loadCatalog(writeCatalog(t, createCatalog()), { flyer: null });
+  assert.equal(uncheckable.config, null);
+  assert.match(uncheckable.errors[0], /could not be checked/);
+});
+
+test('a catalog without a products array is rejected', () => {
+  assert.deepEqual(validateCatalog({}).errors, ['products must be an array']);
+  assert.deepEqual(validateCatalog(null).errors, ['products must be an array']);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Load a separate copy of the module, standing in for another server instance
+ * Every copy gets a store on the same entries, like instances sharing Blob.
+ */
+function loadInstance(entries) {
+  const storagePath = require.resolve('../storage');
+  const modulePath = require.resolve('../catalogEdits');
+  require.cache[storagePath] = {
+    id: storagePath,
+    filename: storagePath,
+    loaded: true,
+    exports: {
+      async createStore() {
+        return {
+          persistent: true,
+          async get(key) {
+            return entries.has(key) ? { data: Buffer.from(entries.get(key)) } : null;
+          },
+          async set(key, data) {
+            entries.set(key, data);
+            return { url: null };
+          }
+        };
+      }
+    }
+  };
+  delete require.cache[modulePath];
+  const instance = require(modulePath);
+  delete require.cache[storagePath];
+  delete require.cache[modulePath];
+  return instance;
+}
+
+async function startInstances() {
+  const entries = new Map();
+  const first = loadInstance(entries);
+  const second = loadInstance(entries);
+  await first.initEdits();
+  await second.initEdits();
+  return [first, second];
+}
+
+test('instances sharing a store pick up each other\'s edits and refuse outdated saves', async () => {
+  const [first, second] = await startInstances();
+
+  await first.saveEdits({ brochure: { id: 'brochure', name: 'First' } });
+  assert.equal(await first.refreshEdits(), false);
+
+  // The second instance still has the edits it read at startup
+  assert.deepEqual(second.getEdits(), {});
+  await assert.rejects(
+    second.saveEdits({ card: { id: 'card', name: 'Second' } }),
+    error => error.code === 'edit_conflict'
+  );
+  // The refused save left the stored edits alone and loaded them
+  assert.deepEqual(Object.keys(second.getEdits()), ['brochure']);
+
+  await second.saveEdits({ ...second.getEdits(), card: { id: 'card', name: 'Second' } });
+  assert.equal(await first.refreshEdits(), true);
+  assert.deepEqual(Object.keys(first.getEdits()), ['brochure', 'card']);
+});
+
+test('refreshEdits skips reading while the last read is recent', async () => {
+  const [first, second] = await startInstances();
+  await first.saveEdits({ brochure: { id: 'brochure' } });
+
+  assert.equal(await second.refreshEdits({ maxAgeMs: 60000 }), false);
+  assert.equal(await second.refreshEdits({ maxAgeMs: 0 }), true);
+  assert.deepEqual(Object.keys(second.getEdits()), ['brochure']);
+});
+
+test('edits saved before versions were stored are read as version 0', async () => {
+  const entries = new Map([['products.json', JSON.stringify({ products: { brochure: { id: 'brochure' } } })]]);
+  const instance = loadInstance(entries);
+  await instance.initEdits();
+
+  assert.deepEqual(Object.keys(instance.getEdits()), ['brochure']);
+  await instance.saveEdits({});
+  assert.equal(JSON.parse(entries.get('products.json')).version, 1);
+});
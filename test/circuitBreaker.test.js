@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCircuitBreaker } = require('../renderBackends/circuitBreaker');
+
+/**
+ * Create a breaker on a fake clock, recording its state changes
+ */
+function setup(t, options = {}) {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const changes = [];
+  const breaker = createCircuitBreaker('submit', {
+    failureThreshold: 3,
+    resetTimeout: 30000,
+    onStateChange: change => changes.push(`${change.from}->${change.to}`),
+    ...options
+  });
+  return { breaker, changes, advance: ms => { now += ms; } };
+}
+
+function fail(breaker) {
+  breaker.record(breaker.acquire(), 'failure');
+}
+
+test('a closed breaker lets calls through until the failure threshold is reached', (t) => {
+  const { breaker, changes } = setup(t);
+  fail(breaker);
+  fail(breaker);
+  assert.equal(breaker.getStatus().state, 'CLOSED');
+  assert.deepEqual(breaker.acquire(), { probe: false });
+
+  fail(breaker);
+  assert.equal(breaker.getStatus().state, 'OPEN');
+  assert.equal(breaker.acquire(), null);
+  assert.equal(breaker.isAvailable(), false);
+  assert.deepEqual(changes, ['CLOSED->OPEN']);
+});
+
+test('a success resets the consecutive failure count', (t) => {
+  const { breaker } = setup(t);
+  fail(breaker);
+  fail(breaker);
+  breaker.record(breaker.acquire(), 'success');
+  fail(breaker);
+  fail(breaker);
+  assert.equal(breaker.getStatus().state, 'CLOSED');
+  assert.equal(breaker.getStatus().failureCount, 2);
+});
+
+test('neutral outcomes neither count as failures nor reset the count', (t) => {
+  const { breaker } = setup(t);
+  fail(breaker);
+  fail(breaker);
+  breaker.record(breaker.acquire(), 'neutral');
+  assert.equal(breaker.getStatus().failureCount, 2);
+  fail(breaker);
+  assert.equal(breaker.getStatus().state, 'OPEN');
+});
+
+test('an open breaker lets exactly one probe through after the reset timeout', (t) => {
+  const { breaker, changes, advance } = setup(t);
+  for (let i = 0; i < 3; i++) fail(breaker);
+
+  advance(30000);
+  assert.equal(breaker.acquire(), null);
+  advance(1);
+  assert.equal(breaker.isAvailable(), true);
+  assert.deepEqual(breaker.acquire(), { probe: true });
+  assert.equal(breaker.getStatus().state, 'HALF_OPEN');
+  // Other calls fail fast while the probe runs
+  assert.equal(breaker.acquire(), null);
+  assert.equal(breaker.isAvailable(), false);
+  assert.deepEqual(changes, ['CLOSED->OPEN', 'OPEN->HALF_OPEN']);
+});
+
+test('a successful probe closes the breaker', (t) => {
+  const { breaker, changes, advance } = setup(t);
+  for (let i = 0; i < 3; i++) fail(breaker);
+  advance(30001);
+
+  breaker.record(breaker.acquire(), 'success');
+  assert.equal(breaker.getStatus().state, 'CLOSED');
+  assert.equal(breaker.getStatus().failureCount, 0);
+  assert.deepEqual(changes, ['CLOSED->OPEN', 'OPEN->HALF_OPEN', 'HALF_OPEN->CLOSED']);
+});
+
+test('a failed probe opens the breaker again for another reset timeout', (t) => {
+  const { breaker, advance } = setup(t);
+  for (let i = 0; i < 3; i++) fail(breaker);
+  advance(30001);
+
+  fail(breaker);
+  assert.equal(breaker.getStatus().state, 'OPEN');
+  advance(30000);
+  assert.equal(breaker.acquire(), null);
+  advance(1);
+  assert.deepEqual(breaker.acquire(), { probe: true });
+});
+
+test('a neutral probe keeps the breaker half open for the next probe', (t) => {
+  const { breaker, advance } = setup(t);
+  for (let i = 0; i < 3; i++) fail(breaker);
+  advance(30001);
+
+  breaker.record(breaker.acquire(), 'neutral');
+  assert.equal(breaker.getStatus().state, 'HALF_OPEN');
+  assert.deepEqual(breaker.acquire(), { probe: true });
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { loadCatalog } = require('../catalog');
+const imageAssets = require('../imageAssets');
+
+const { config } = loadCatalog(path.join(__dirname, 'fixtures', 'products.json'));
+const product = config.products[0];
+const [, logo, photo] = product.variables;
+
+/**
+ * Start of a PNG file: signature and IHDR chunk, which is all the type sniffing reads
+ */
+function createPng(width, height) {
+  const buffer = Buffer.alloc(33);
+  buffer.writeUInt32BE(0x89504E47, 0);
+  buffer.writeUInt32BE(0x0D0A1A0A, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function createJpeg(width, height) {
+  return jpeg.encode({ data: Buffer.alloc(width * height * 4, 255), width, height }, 50).data;
+}
+
+/**
+ * Render backend that records the assets it holds
+ * @param {Object} [options]
+ * @param {number} [options.failOnUpload] - Reject the nth upload (1-based)
+ */
+function createFakeBackend({ failOnUpload } = {}) {
+  const assets = new Map();
+  let uploads = 0;
+  return {
+    assets,
+    async uploadAsset(campaignId, { fileName, buffer, mimeType }) {
+      uploads++;
+      if (uploads === failOnUpload) throw new Error('Asset upload failed');
+      const assetId = `asset-${uploads}`;
+      assets.set(assetId, { campaignId, fileName, size: buffer.length, mimeType });
+      return { assetId };
+    },
+    async deleteAsset(campaignId, assetId) {
+      assets.delete(assetId);
+    }
+  };
+}
+
+async function upload(variable, buffer) {
+  const { image } = imageAssets.validateUpload(variable, buffer);
+  return imageAssets.saveUpload({ productId: product.id, variable: variable.name, buffer, image });
+}
+
+test.before(() => imageAssets.initStore({ STORAGE_DRIVER: 'memory' }));
+
+test('the type and size of an upload are read from its bytes', () => {
+  assert.deepEqual(imageAssets.validateUpload(logo, createPng(640, 480)).image, { mimeType: 'image/png', width: 640, height: 480 });
+  assert.deepEqual(imageAssets.validateUpload(logo, createJpeg(64, 32)).image, { mimeType: 'image/jpeg', width: 64, height: 32 });
+});
+
+test('files that are not an accepted image type are refused, whatever their name or MIME type', () => {
+  const gif = Buffer.from('GIF89a\x40\x00\x20\x00', 'binary');
+  const text = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>');
+  const truncatedJpeg = createJpeg(64, 32).subarray(0, 20);
+
+  for (const buffer of [gif, text, truncatedJpeg, Buffer.alloc(0)]) {
+    assert.equal(imageAssets.validateUpload(logo, buffer).code, 'invalid_file_type');
+  }
+  assert.deepEqual(imageAssets.validateUpload(photo, createPng(64, 32)), {
+    code: 'invalid_file_type',
+    message: 'Image must be one of: JPG'
+  });
+});
+
+test('uploads are checked against the variable\'s size and pixel limits, bounds included', () => {
+  assert.ok(imageAssets.validateUpload(logo, createPng(30, 10)).image);
+  assert.equal(imageAssets.validateUpload(logo, createPng(29, 10)).code, 'image_too_small');
+  assert.equal(imageAssets.validateUpload(logo, createPng(30, 9)).code, 'image_too_small');
+  assert.ok(imageAssets.validateUpload(logo, createPng(8000, 8000)).image);
+  assert.equal(imageAssets.validateUpload(logo, createPng(8001, 100)).code, 'image_too_large');
+
+  assert.ok(imageAssets.validateUpload(photo, createJpeg(400, 300)).image);
+  assert.equal(imageAssets.validateUpload(photo, createJpeg(401, 300)).code, 'image_too_large');
+
+  const tooLarge = Buffer.concat([createPng(100, 100), Buffer.alloc(logo.maxFileSize)]);
+  assert.deepEqual(imageAssets.validateUpload(logo, tooLarge), { code: 'file_too_large', message: 'Image must be at most 2048 KB' });
+});
+
+test('a saved upload is found by its asset id, and unknown ids are not', async () => {
+  const buffer = createPng(100, 50);
+  const assetId = await upload(logo, buffer);
+
+  const saved = await imageAssets.getUpload(assetId);
+  assert.deepEqual(saved, {
+    assetId,
+    productId: 'photo-card',
+    variable: 'logo',
+    mimeType: 'image/png',
+    width: 100,
+    height: 50,
+    fileName: `upload-${assetId}.png`
+  });
+  assert.deepEqual((await imageAssets.loadUpload(saved)).buffer, buffer);
+
+  assert.equal(await imageAssets.getUpload('0'.repeat(32)), null);
+  assert.equal(await imageAssets.getUpload('../meta.json'), null);
+  assert.equal(await imageAssets.getUpload('default-logo.png'), null);
+});
+
+test('staging uploads images to the campaign under the file names the ticket references, and release removes them', async () => {
+  const backend = createFakeBackend();
+  const logoId = await upload(logo, createPng(100, 50));
+  const photoId = await upload(photo, createJpeg(40, 30));
+
+  const staging = await imageAssets.stageImageAssets(backend, product, { productId: product.id, logo: logoId, photo: photoId });
+
+  assert.deepEqual(staging.values, {
+    productId: 'photo-card',
+    logo: `upload-${logoId}.png`,
+    photo: `upload-${photoId}.jpg`
+  });
+  assert.deepEqual(staging.assetIds, ['asset-1', 'asset-2']);
+  assert.deepEqual([...backend.assets.values()].map(asset => [asset.campaignId, asset.fileName, asset.mimeType]), [
+    [101, `upload-${logoId}.png`, 'image/png'],
+    [101, `upload-${photoId}.jpg`, 'image/jpeg']
+  ]);
+
+  await staging.release();
+  assert.equal(backend.assets.size, 0);
+});
+
+test('default campaign assets are left alone', async () => {
+  const backend = createFakeBackend();
+  const staging = await imageAssets.stageImageAssets(backend, product, { productId: product.id, logo: 'default-logo.png', photo: '' });
+
+  assert.deepEqual(staging.values, { productId: 'photo-card', logo: 'default-logo.png', photo: '' });
+  assert.deepEqual(staging.assetIds, []);
+  assert.equal(backend.assets.size, 0);
+});
+
+test('when an image cannot be staged, the images staged before it are removed', async () => {
+  const backend = createFakeBackend({ failOnUpload: 2 });
+  const formData = {
+    productId: product.id,
+    logo: await upload(logo, createPng(100, 50)),
+    photo: await upload(photo, createJpeg(40, 30))
+  };
+
+  await assert.rejects(imageAssets.stageImageAssets(backend, product, formData), /Asset upload failed/);
+  assert.equal(backend.assets.size, 0);
+});
+
+test('releasing never rejects when the backend cannot remove an asset', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const backend = createFakeBackend();
+  backend.deleteAsset = async () => {
+    throw new Error('Asset is in use');
+  };
+  const staging = await imageAssets.stageImageAssets(backend, product, { productId: product.id, logo: await upload(logo, createPng(100, 50)) });
+
+  await staging.release();
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../jobQueue');
+
+/**
+ * Queue jobs and record the order they start in
+ * @returns {{add: Function, started: string[], releases: Object}} add(label, options) queues a
+ *   job; releases[label] frees its slot once it has started
+ */
+function track(queue) {
+  const started = [];
+  const releases = {};
+  function add(label, options) {
+    const promise = queue.acquire(options).then(release => {
+      started.push(label);
+      releases[label] = release;
+    });
+    promise.catch(() => {});
+    return promise;
+  }
+  return { add, started, releases };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('jobs start right away while slots are free, then wait', async () => {
+  const queue = createJobQueue({ concurrency: 2, clientConcurrency: 2 });
+  const { add, started, releases } = track(queue);
+  add('a1', { clientId: 'a' });
+  add('b1', { clientId: 'b' });
+  add('c1', { clientId: 'c' });
+  await settle();
+
+  assert.deepEqual(started, ['a1', 'b1']);
+  assert.deepEqual(queue.getStats().queued, 1);
+  releases.a1();
+  await settle();
+  assert.deepEqual(started, ['a1', 'b1', 'c1']);
+});
+
+test('an interactive job jumps ahead of waiting background jobs', async () => {
+  const queue = createJobQueue({ concurrency: 1, clientConcurrency: 1 });
+  const { add, started, releases } = track(queue);
+  add('running', { clientId: 'x', priority: 'background' });
+  add('thumb1', { clientId: 'thumbnails', priority: 'background' });
+  add('thumb2', { clientId: 'other', priority: 'background' });
+  add('preview', { clientId: 'user', priority: 'interactive' });
+  await settle();
+
+  assert.equal(queue.getPosition('user'), 1);
+  assert.equal(queue.getPosition('thumbnails', 'background'), 2);
+  releases.running();
+  await settle();
+  assert.deepEqual(started, ['running', 'preview']);
+  releases.preview();
+  await settle();
+  releases.thumb1();
+  await settle();
+  assert.deepEqual(started, ['running', 'preview', 'thumb1', 'thumb2']);
+});
+
+test('clients take turns, so one client\'s burst cannot starve another', async () => {
+  const queue = createJobQueue({ concurrency: 1, clientConcurrency: 1 });
+  const { add, started, releases } = track(queue);
+  for (let i = 1; i <= 4; i++) add(`a${i}`, { clientId: 'a' });
+  add('b1', { clientId: 'b' });
+  add('c1', { clientId: 'c' });
+  await settle();
+
+  assert.equal(queue.getPosition('b'), 2);
+  for (const label of ['a1', 'a2', 'b1', 'c1', 'a3']) {
+    releases[label]();
+    await settle();
+  }
+  assert.deepEqual(started, ['a1', 'a2', 'b1', 'c1', 'a3', 'a4']);
+});
+
+test('a client at its own limit lets other clients use the free slots', async () => {
+  const queue = createJobQueue({ concurrency: 3, clientConcurrency: 2 });
+  const { add, started } = track(queue);
+  add('a1', { clientId: 'a' });
+  add('a2', { clientId: 'a' });
+  add('a3', { clientId: 'a' });
+  add('b1', { clientId: 'b' });
+  await settle();
+
+  assert.deepEqual(started, ['a1', 'a2', 'b1']);
+  assert.equal(queue.getStats().running, 3);
+  assert.equal(queue.getStats().queued, 1);
+});
+
+test('an aborted waiter leaves the queue and never takes a slot', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const { add, started, releases } = track(queue);
+  const controller = new AbortController();
+  add('a1', { clientId: 'a' });
+  const waiting = add('b1', { clientId: 'b', signal: controller.signal });
+  add('c1', { clientId: 'c' });
+  await settle();
+
+  controller.abort();
+  await assert.rejects(waiting, error => error.code === 'ERR_CANCELED');
+  assert.equal(queue.getStats().queued, 1);
+  releases.a1();
+  await settle();
+  assert.deepEqual(started, ['a1', 'c1']);
+});
+
+test('an aborted signal is refused before it queues, and aborting a started job changes nothing', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const controller = new AbortController();
+  const release = await queue.acquire({ clientId: 'a', signal: controller.signal });
+  controller.abort();
+  assert.equal(queue.getStats().running, 1);
+
+  await assert.rejects(queue.acquire({ clientId: 'b', signal: controller.signal }), error => error.code === 'ERR_CANCELED');
+  release();
+  assert.equal(queue.getStats().running, 0);
+});
+
+test('releasing a slot twice frees it only once', async () => {
+  const queue = createJobQueue({ concurrency: 2 });
+  const release = await queue.acquire({ clientId: 'a' });
+  await queue.acquire({ clientId: 'b' });
+  release();
+  release();
+  assert.equal(queue.getStats().running, 1);
+});
+
+test('a full queue rejects further jobs, and unknown priorities are refused', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 1 });
+  const { add } = track(queue);
+  add('running', { clientId: 'a' });
+  add('waiting', { clientId: 'b' });
+  await settle();
+
+  await assert.rejects(queue.acquire({ clientId: 'c' }), error => error.code === 'QUEUE_FULL');
+  await assert.rejects(queue.acquire({ clientId: 'c', priority: 'urgent' }), /Unknown job priority/);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  stringLiteral,
+  numberLiteral,
+  dateLiteral,
+  buildExpression,
+  validateExpressions,
+  MAX_EXPRESSION_LENGTH
+} = require('../qlingo');
+const { sanitizeInput, sanitizeFormData } = require('../variableSchema');
+
+const product = {
+  id: 'brochure',
+  variables: [
+    { name: 'firstName', type: 'text', planObjectName: 'FirstName', planObjectType: 'ADOR' },
+    { name: 'notes', type: 'text', maxLength: 5000, planObjectName: 'Notes', planObjectType: 'Variable' },
+    { name: 'pageSize', type: 'select', options: [{ value: 'A4' }], planObjectName: null, planObjectType: null }
+  ]
+};
+const variable = name => product.variables.find(entry => entry.name === name);
+
+test('stringLiteral escapes quotes and backslashes', () => {
+  assert.equal(stringLiteral('O"Brien'), '"O\\"Brien"');
+  assert.equal(stringLiteral('C:\\temp\\'), '"C:\\\\temp\\\\"');
+  // A trailing backslash must not escape the closing quote
+  assert.equal(stringLiteral('\\"'), '"\\\\\\""');
+});
+
+test('stringLiteral escapes line breaks and tabs', () => {
+  assert.equal(stringLiteral('one\ntwo\r\nthree\tfour'), '"one\\ntwo\\r\\nthree\\tfour"');
+});
+
+test('stringLiteral drops other control characters', () => {
+  assert.equal(stringLiteral('a\u0000b\u0007c\u001Bd\u007Fe'), '"abcde"');
+});
+
+test('stringLiteral turns null and undefined into an empty string', () => {
+  assert.equal(stringLiteral(null), '""');
+  assert.equal(stringLiteral(undefined), '""');
+});
+
+test('numberLiteral accepts plain numbers', () => {
+  assert.equal(numberLiteral('42'), '42');
+  assert.equal(numberLiteral(' -3.5 '), '-3.5');
+  assert.equal(numberLiteral(0), '0');
+});
+
+test('numberLiteral writes small exponent input out in full', () => {
+  assert.equal(numberLiteral('1e3'), '1000');
+  assert.equal(numberLiteral('2.5E2'), '250');
+});
+
+test('numberLiteral rejects numbers that only have an exponent form', () => {
+  assert.throws(() => numberLiteral('1e21'), /out of range/);
+  assert.throws(() => numberLiteral(1e-7), /out of range/);
+});
+
+test('numberLiteral rejects non-numbers', () => {
+  for (const value of ['', '  ', 'abc', '1; Delete', 'Infinity', 'NaN']) {
+    assert.throws(() => numberLiteral(value), /Not a number/, value);
+  }
+});
+
+test('dateLiteral wraps a formatted date in #', () => {
+  assert.equal(dateLiteral('25/11/2025'), '#25/11/2025#');
+  assert.equal(dateLiteral('25 November 2025'), '#25 November 2025#');
+});
+
+test('dateLiteral rejects characters that would end or escape the literal', () => {
+  for (const value of ['', '25#11#2025', '25/11/2025# & "x"', '25\\11', '25\n11']) {
+    assert.throws(() => dateLiteral(value), /Invalid date literal/, JSON.stringify(value));
+  }
+});
+
+test('buildExpression emits typed literals', () => {
+  assert.equal(buildExpression(product, variable('firstName'), 'Ann "Jo"'), '"Ann \\"Jo\\""');
+  assert.equal(buildExpression(product, { name: 'count', type: 'number' }, '7'), '7');
+  assert.equal(buildExpression(product, { name: 'agree', type: 'boolean' }, 'true'), 'true');
+  assert.equal(buildExpression(product, { name: 'color', type: 'color' }, '#1A2B3C'), '"#1A2B3C"');
+});
+
+test('buildExpression sends empty values as an empty string', () => {
+  assert.equal(buildExpression(product, { name: 'count', type: 'number' }, ''), '""');
+  assert.equal(buildExpression(product, variable('firstName'), undefined), '""');
+});
+
+test('buildExpression formats dates and rejects a # from the date format', () => {
+  const date = { name: 'eventDate', type: 'date', format: 'D MMMM YYYY', locale: 'en-GB' };
+  assert.equal(buildExpression(product, date, '2025-11-25'), '#25 November 2025#');
+  assert.throws(() => buildExpression(product, { ...date, format: 'D#M#YYYY' }, '2025-11-25'), /Invalid date literal/);
+});
+
+test('buildExpression passes raw select values through on trusted products', () => {
+  const trusted = { ...product, trusted: true };
+  const raw = { name: 'greeting', type: 'select', expressionMode: 'raw' };
+  assert.equal(buildExpression(trusted, raw, '@{FirstName} & "!"'), '@{FirstName} & "!"');
+});
+
+test('buildExpression refuses raw mode on untrusted products and non-select variables', () => {
+  const raw = { name: 'greeting', type: 'select', expressionMode: 'raw' };
+  assert.throws(() => buildExpression(product, raw, '@{FirstName}'), /trusted product/);
+  assert.throws(() => buildExpression({ ...product, trusted: 'yes' }, raw, '@{FirstName}'), /trusted product/);
+  assert.throws(() => buildExpression({ ...product, trusted: true }, { ...raw, type: 'text' }, '@{FirstName}'), /trusted product/);
+});
+
+test('buildExpression rejects expressions over the length limit after escaping', () => {
+  const quotes = '"'.repeat(MAX_EXPRESSION_LENGTH / 2);
+  assert.throws(() => buildExpression(product, variable('notes'), quotes), error => error.code === 'expression_too_long');
+  assert.doesNotThrow(() => buildExpression(product, variable('notes'), 'x'.repeat(MAX_EXPRESSION_LENGTH - 2)));
+});
+
+test('validateExpressions reports values that are too long as field errors', () => {
+  const errors = validateExpressions(product, { firstName: 'Ann', notes: '\\'.repeat(MAX_EXPRESSION_LENGTH) });
+  assert.deepEqual(errors.map(error => [error.field, error.code]), [['notes', 'too_long']]);
+  assert.deepEqual(validateExpressions(product, { firstName: 'Ann', notes: 'Hello' }), []);
+});
+
+test('sanitizeInput only trims, leaving markup and entities as typed', () => {
+  assert.equal(sanitizeInput('  Smith & Co  '), 'Smith & Co');
+  assert.equal(sanitizeInput('<b>bold</b>'), '<b>bold</b>');
+  assert.equal(sanitizeInput('&lt;b&gt;'), '&lt;b&gt;');
+  assert.equal(sanitizeInput('&amp;lt;'), '&amp;lt;');
+  assert.equal(sanitizeInput('"quoted"'), '"quoted"');
+  assert.equal(sanitizeInput(42), 42);
+});
+
+test('sanitizeFormData trims every string value', () => {
+  assert.deepEqual(sanitizeFormData({ productId: ' brochure ', firstName: ' <i>Ann</i> ', count: 3 }), {
+    productId: 'brochure',
+    firstName: '<i>Ann</i>',
+    count: 3
+  });
+});
+
+test('sanitized values reach the expression as typed and only QLingo-escaped', () => {
+  const expression = value => buildExpression(product, variable('firstName'), sanitizeInput(value));
+  assert.equal(expression('&lt;b&gt;'), '"&lt;b&gt;"');
+  assert.equal(expression('&amp;lt;'), '"&amp;lt;"');
+  assert.equal(expression('<b>Ann</b>'), '"<b>Ann</b>"');
+  assert.equal(expression(' " '), '"\\""');
+  assert.equal(expression('Smith & "Co"'), '"Smith & \\"Co\\""');
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { takeToken } = require('../rateLimit/bucket');
+const { createMemoryRateLimitStore } = require('../rateLimit/memory');
+const { createRedisRateLimitStore } = require('../rateLimit/redis');
+const { createRateLimiter } = require('../rateLimit');
+const { RATE_LIMIT_EXEMPT_ROUTES, createRateLimitPolicies } = require('../rateLimit/policies');
+
+const policy = { limit: 3, windowMs: 3000 }; // One token back per second
+
+/**
+ * Take tokens one after the other, keeping the bucket between them
+ * @param {number[]} times - When each request comes in
+ */
+function takeAt(times) {
+  let bucket = null;
+  return times.map(now => {
+    const { bucket: next, ...result } = takeToken(bucket, policy, now);
+    bucket = next;
+    return result;
+  });
+}
+
+function createRequest(method, path, ip = '10.0.0.1') {
+  return { method, path, ip };
+}
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Rate limiter with the server's policies on a memory store
+ * @returns {Function} (method, path, ip) -> { res, passed }
+ */
+function createLimiter(store = createMemoryRateLimitStore()) {
+  const rateLimiter = createRateLimiter({
+    policies: createRateLimitPolicies({}),
+    exempt: RATE_LIMIT_EXEMPT_ROUTES,
+    store,
+    getClientId: req => req.ip
+  });
+  return async (method, path, ip) => {
+    const res = createResponse();
+    let passed = false;
+    await rateLimiter(createRequest(method, path, ip), res, () => { passed = true; });
+    return { res, passed };
+  };
+}
+
+async function repeat(count, send) {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push(await send());
+  }
+  return results;
+}
+
+test('takeToken lets a full bucket burst up to the limit, then refuses with the time until the next token', () => {
+  const results = takeAt([0, 0, 0, 0]);
+
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+  assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+  assert.deepEqual(results[3], { allowed: false, remaining: 0, resetMs: 3000, retryAfterMs: 1000 });
+});
+
+test('takeToken refills at the limit per window, never beyond the limit', () => {
+  // Half a token back after 500 ms is not enough, a whole one after 1000 ms is
+  const [, , , halfway, refilled, empty] = takeAt([0, 0, 0, 500, 1000, 1000]);
+  assert.deepEqual(halfway, { allowed: false, remaining: 0, resetMs: 2500, retryAfterMs: 500 });
+  assert.equal(refilled.allowed, true);
+  assert.equal(empty.allowed, false);
+
+  // A long pause fills the bucket to the limit only
+  const results = takeAt([0, 60000, 60000, 60000, 60000]);
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, true, false]);
+});
+
+test('each policy has its own bucket per client and refuses with Retry-After', async (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'warn', () => {});
+  const send = createLimiter();
+
+  const pdfs = await repeat(6, () => send('POST', '/api/jobs'));
+  assert.deepEqual(pdfs.map(result => result.passed), [true, true, true, true, true, false]);
+  const refused = pdfs[5].res;
+  assert.equal(refused.statusCode, 429);
+  assert.equal(refused.headers['Retry-After'], 12);
+  assert.equal(refused.body.retryAfter, 12);
+  assert.equal(refused.headers['RateLimit-Policy'], '5;w=60');
+  assert.equal(refused.headers['RateLimit-Remaining'], 0);
+
+  // Batches share the PDF budget; other routes and other clients do not
+  assert.equal((await send('POST', '/api/batches')).passed, false);
+  const preview = await send('POST', '/api/preview/pages/2');
+  assert.equal(preview.passed, true);
+  assert.equal(preview.res.headers['RateLimit-Policy'], '30;w=60');
+  const products = await send('GET', '/api/products');
+  assert.equal(products.passed, true);
+  assert.equal(products.res.headers['RateLimit-Policy'], '120;w=60');
+  assert.equal((await send('POST', '/api/download-pdf', '10.0.0.2')).passed, true);
+
+  now = 12000;
+  assert.equal((await send('POST', '/api/download-pdf')).passed, true);
+  assert.equal((await send('POST', '/api/download-pdf')).passed, false);
+});
+
+test('preview page images and the queue position are never limited', async (t) => {
+  t.mock.method(Date, 'now', () => 0);
+  const send = createLimiter();
+
+  const results = [
+    ...await repeat(150, () => send('GET', '/api/preview/images/abc123/1')),
+    ...await repeat(150, () => send('GET', '/api/queue'))
+  ];
+  assert.ok(results.every(result => result.passed));
+  assert.ok(results.every(result => !('RateLimit-Limit' in result.res.headers)));
+
+  // Only GET is exempt, and only below /api/preview/images/
+  assert.equal((await send('GET', '/api/preview')).res.headers['RateLimit-Policy'], '120;w=60');
+  assert.equal((await send('POST', '/api/queue')).res.headers['RateLimit-Policy'], '120;w=60');
+});
+
+test('limits come from the environment', () => {
+  const limits = createRateLimitPolicies({ RATE_LIMIT_PDF: '2', RATE_LIMIT_RENDER: 'many' })
+    .map(entry => [entry.name, entry.limit]);
+  assert.deepEqual(limits, [['pdf', 2], ['render', 30], ['default', 120]]);
+});
+
+test('requests go through when the store fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const send = createLimiter({ name: 'broken', take: async () => { throw new Error('unreachable'); } });
+
+  const { res, passed } = await send('POST', '/api/jobs');
+  assert.equal(passed, true);
+  assert.deepEqual(res.headers, {});
+});
+
+test('the Redis store runs the bucket script with the prefixed key and the current time', async (t) => {
+  t.mock.method(Date, 'now', () => 5000);
+  const commands = [];
+  const replies = [{ result: [1, 4, 12000, 0] }, { error: 'NOSCRIPT' }];
+  t.mock.method(axios, 'create', () => ({
+    async post(path, command) {
+      commands.push(command);
+      return { data: replies.shift() };
+    }
+  }));
+  const store = createRedisRateLimitStore({ url: 'https://redis.example', token: 'secret' });
+
+  assert.deepEqual(axios.create.mock.calls[0].arguments[0].headers, { Authorization: 'Bearer secret' });
+  assert.deepEqual(await store.take('pdf:10.0.0.1', { limit: 5, windowMs: 60000 }), {
+    allowed: true, remaining: 4, resetMs: 12000, retryAfterMs: 0
+  });
+  const [name, script, keyCount, ...args] = commands[0];
+  assert.equal(name, 'EVAL');
+  assert.match(script, /redis\.call\('HMGET', KEYS\[1\]/);
+  assert.deepEqual([keyCount, ...args], ['1', 'ratelimit:pdf:10.0.0.1', 5, 60000, 5000]);
+
+  await assert.rejects(store.take('pdf:10.0.0.1', { limit: 5, windowMs: 60000 }), /NOSCRIPT/);
+});
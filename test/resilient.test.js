@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, createResilientBackend } = require('../renderBackends/resilient');
+
+const idempotent = { idempotent: true };
+const notIdempotent = { idempotent: false };
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {} };
+  return error;
+}
+
+function codeError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+test('classifyError treats answers that were not processed as transient', () => {
+  for (const method of [idempotent, notIdempotent]) {
+    assert.equal(classifyError(httpError(429), method), 'transient');
+    assert.equal(classifyError(httpError(503), method), 'transient');
+    assert.equal(classifyError(codeError('ECONNREFUSED'), method), 'transient');
+    assert.equal(classifyError(codeError('ETIMEDOUT'), method), 'transient');
+  }
+});
+
+test('classifyError only retries server errors and dropped connections for idempotent calls', () => {
+  for (const error of [httpError(500), httpError(502), httpError(408), codeError('ECONNRESET')]) {
+    assert.equal(classifyError(error, idempotent), 'transient', error.message);
+    assert.equal(classifyError(error, notIdempotent), 'failure', error.message);
+  }
+});
+
+test('classifyError tells client errors, cancellations and timeouts apart', () => {
+  assert.equal(classifyError(httpError(400), idempotent), 'client');
+  assert.equal(classifyError(httpError(404), notIdempotent), 'client');
+  assert.equal(classifyError(codeError('ERR_CANCELED'), idempotent), 'canceled');
+  assert.equal(classifyError(codeError('ECONNABORTED'), idempotent), 'failure');
+  assert.equal(classifyError(new Error('unexpected'), idempotent), 'failure');
+});
+
+/**
+ * Wrap a fake backend whose getJobStatus answers with the given results in turn
+ */
+function createBackend(t, results, options = {}) {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(console, 'warn', () => {});
+  const backend = {
+    name: 'fake',
+    description: 'Fake backend',
+    getJobStatus: t.mock.fn(async () => {
+      const result = results.shift();
+      if (result instanceof Error) throw result;
+      return result;
+    })
+  };
+  const resilient = createResilientBackend(backend, {
+    maxRetries: 0,
+    baseDelayMs: 0,
+    failureThreshold: 3,
+    resetTimeout: 30000,
+    ...options
+  });
+  return { backend, resilient, advance: ms => { now += ms; } };
+}
+
+function statusBreaker(resilient) {
+  return resilient.getBreakers().find(breaker => breaker.name === 'status');
+}
+
+test('client errors do not reset the failure count, so mixed 4xx and 5xx still open the breaker', async (t) => {
+  const { resilient } = createBackend(t, [httpError(500), httpError(404), httpError(500), httpError(400), httpError(500)]);
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(resilient.getJobStatus('job'));
+  }
+  assert.equal(statusBreaker(resilient).state, 'OPEN');
+  await assert.rejects(resilient.getJobStatus('job'), error => error.code === 'CIRCUIT_OPEN');
+});
+
+test('a client error answering the probe does not close the breaker', async (t) => {
+  const { resilient, advance } = createBackend(t, [httpError(500), httpError(500), httpError(500), httpError(404), { status: 'Completed' }]);
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(resilient.getJobStatus('job'));
+  }
+  advance(30001);
+
+  await assert.rejects(resilient.getJobStatus('job'), error => error.response?.status === 404);
+  assert.equal(statusBreaker(resilient).state, 'HALF_OPEN');
+  assert.deepEqual(await resilient.getJobStatus('job'), { status: 'Completed' });
+  assert.equal(statusBreaker(resilient).state, 'CLOSED');
+});
+
+test('transient failures are retried, client errors are not', async (t) => {
+  const { backend, resilient } = createBackend(t, [httpError(503), httpError(503), { status: 'Completed' }, httpError(404)], { maxRetries: 2 });
+  assert.deepEqual(await resilient.getJobStatus('job'), { status: 'Completed' });
+  assert.equal(backend.getJobStatus.mock.callCount(), 3);
+
+  await assert.rejects(resilient.getJobStatus('job'));
+  assert.equal(backend.getJobStatus.mock.callCount(), 4);
+});
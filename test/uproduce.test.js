@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { createUproduceBackend } = require('../renderBackends/uproduce');
+
+/**
+ * uProduce backend on a fake axios client that records its requests
+ * @param {Object} t - Test context
+ * @param {Object} data - Response body for every request
+ */
+function createBackend(t, data = {}) {
+  const requests = [];
+  const record = method => async (url, body) => {
+    requests.push({ method, url, body });
+    return { data };
+  };
+  t.mock.method(axios, 'create', () => ({
+    post: record('post'),
+    get: record('get'),
+    delete: record('delete')
+  }));
+  const backend = createUproduceBackend({ apiUrl: 'https://uproduce.example/api', username: 'user', password: 'secret' });
+  return { backend, requests };
+}
+
+test('uploadAsset posts the image as a multipart file to the campaign\'s assets', async (t) => {
+  const { backend, requests } = createBackend(t, { Id: 4711 });
+  const buffer = Buffer.from([0x89, 0x50, 0x4E, 0x47]);
+
+  const result = await backend.uploadAsset(9767, { fileName: 'upload-abc.png', buffer, mimeType: 'image/png' });
+
+  assert.deepEqual(result, { assetId: '4711' });
+  assert.equal(requests.length, 1);
+  const [{ method, url, body }] = requests;
+  assert.equal(method, 'post');
+  assert.equal(url, '/v1/campaigns/9767/assets');
+  assert.ok(body instanceof FormData);
+  const file = body.get('file');
+  assert.equal(file.name, 'upload-abc.png');
+  assert.equal(file.type, 'image/png');
+  assert.deepEqual(Buffer.from(await file.arrayBuffer()), buffer);
+});
+
+test('deleteAsset deletes the asset from the campaign', async (t) => {
+  const { backend, requests } = createBackend(t);
+
+  await backend.deleteAsset(9767, '4711');
+
+  assert.deepEqual(requests, [{ method: 'delete', url: '/v1/campaigns/9767/assets/4711', body: undefined }]);
+});
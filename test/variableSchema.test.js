@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFormData, formatDateValue } = require('../variableSchema');
+
+/**
+ * Validate one value of a single-variable product
+ * @returns {{value?: string, code?: string}} The normalized value, or the error code
+ */
+function check(variable, value) {
+  const definition = { name: 'field', ...variable };
+  const formData = { productId: 'test' };
+  if (value !== undefined) formData.field = value;
+  const { values, errors } = validateFormData({ id: 'test', variables: [definition] }, formData);
+  return errors.length > 0 ? { code: errors[0].code } : { value: values.field };
+}
+
+test('text accepts values within minLength and maxLength, inclusive', () => {
+  const variable = { type: 'text', minLength: 2, maxLength: 5 };
+  assert.deepEqual(check(variable, 'ab'), { value: 'ab' });
+  assert.deepEqual(check(variable, 'abcde'), { value: 'abcde' });
+  assert.deepEqual(check(variable, 'a'), { code: 'too_short' });
+  assert.deepEqual(check(variable, 'abcdef'), { code: 'too_long' });
+});
+
+test('text falls back to a maxLength of 500', () => {
+  assert.deepEqual(check({ type: 'text' }, 'x'.repeat(500)), { value: 'x'.repeat(500) });
+  assert.deepEqual(check({ type: 'text' }, 'x'.repeat(501)), { code: 'too_long' });
+});
+
+test('text patterns must match the whole value', () => {
+  const variable = { type: 'text', pattern: '[0-9]{4}|[A-Z]{2}' };
+  assert.deepEqual(check(variable, '1234'), { value: '1234' });
+  assert.deepEqual(check(variable, 'AB'), { value: 'AB' });
+  // Without anchoring the alternation, "12345" and "ABC" would match a part of the value
+  assert.deepEqual(check(variable, '12345'), { code: 'pattern' });
+  assert.deepEqual(check(variable, 'ABC'), { code: 'pattern' });
+});
+
+test('text reports the pattern message', () => {
+  const product = { id: 'test', variables: [{ name: 'zip', type: 'text', pattern: '\\d{5}', patternMessage: 'Five digits' }] };
+  const { errors } = validateFormData(product, { productId: 'test', zip: '123' });
+  assert.deepEqual(errors, [{ field: 'zip', code: 'pattern', message: 'Five digits' }]);
+});
+
+test('select accepts only configured option values', () => {
+  const variable = { type: 'select', options: [{ value: 'EN', label: 'English' }, { value: 'DE', label: 'German' }] };
+  assert.deepEqual(check(variable, 'DE'), { value: 'DE' });
+  assert.deepEqual(check(variable, 'English'), { code: 'not_allowed' });
+  assert.deepEqual(check(variable, 'de'), { code: 'not_allowed' });
+  assert.deepEqual(check({ type: 'select' }, 'EN'), { code: 'not_allowed' });
+});
+
+test('number accepts values on its inclusive bounds and normalizes them', () => {
+  const variable = { type: 'number', min: 1, max: 10 };
+  assert.deepEqual(check(variable, '1'), { value: '1' });
+  assert.deepEqual(check(variable, '10'), { value: '10' });
+  assert.deepEqual(check(variable, '2.50'), { value: '2.5' });
+  assert.deepEqual(check(variable, '0.999'), { code: 'out_of_range' });
+  assert.deepEqual(check(variable, '10.001'), { code: 'out_of_range' });
+});
+
+test('number rejects non-numbers, and fractions when integer is set', () => {
+  for (const value of ['abc', '   ', 'Infinity', '1,5', '0x']) {
+    assert.deepEqual(check({ type: 'number' }, value), { code: 'invalid_number' }, value);
+  }
+  assert.deepEqual(check({ type: 'number', integer: true }, '3'), { value: '3' });
+  assert.deepEqual(check({ type: 'number', integer: true }, '3.5'), { code: 'invalid_number' });
+});
+
+test('number bounds may be open on one side', () => {
+  assert.deepEqual(check({ type: 'number', min: 0 }, '1000000'), { value: '1000000' });
+  assert.deepEqual(check({ type: 'number', min: 0 }, '-1'), { code: 'out_of_range' });
+  assert.deepEqual(check({ type: 'number', max: 0 }, '-1000000'), { value: '-1000000' });
+  assert.deepEqual(check({ type: 'number', max: 0 }, '1'), { code: 'out_of_range' });
+});
+
+test('boolean accepts only "true" and "false"', () => {
+  assert.deepEqual(check({ type: 'boolean' }, 'true'), { value: 'true' });
+  assert.deepEqual(check({ type: 'boolean' }, 'false'), { value: 'false' });
+  for (const value of ['TRUE', '1', 'yes']) {
+    assert.deepEqual(check({ type: 'boolean' }, value), { code: 'invalid_boolean' }, value);
+  }
+});
+
+test('color accepts six-digit hex colors and upper-cases them', () => {
+  assert.deepEqual(check({ type: 'color' }, '#1a2b3c'), { value: '#1A2B3C' });
+  for (const value of ['#123', '123456', '#12345G', '#1234567']) {
+    assert.deepEqual(check({ type: 'color' }, value), { code: 'invalid_color' }, value);
+  }
+});
+
+test('date accepts real YYYY-MM-DD dates only', () => {
+  assert.deepEqual(check({ type: 'date' }, '2024-02-29'), { value: '2024-02-29' });
+  for (const value of ['2023-02-29', '2025-13-01', '2025-04-31', '25-01-01', '2025/01/01', '01/02/2025']) {
+    assert.deepEqual(check({ type: 'date' }, value), { code: 'invalid_date' }, value);
+  }
+});
+
+test('date bounds are inclusive', () => {
+  const variable = { type: 'date', minDate: '2025-01-01', maxDate: '2025-12-31' };
+  assert.deepEqual(check(variable, '2025-01-01'), { value: '2025-01-01' });
+  assert.deepEqual(check(variable, '2025-12-31'), { value: '2025-12-31' });
+  assert.deepEqual(check(variable, '2024-12-31'), { code: 'out_of_range' });
+  assert.deepEqual(check(variable, '2026-01-01'), { code: 'out_of_range' });
+});
+
+test('"today" bounds allow a day either way for the user\'s time zone', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 5, 15, 23, 30) });
+  const notBefore = { type: 'date', minDate: 'today' };
+  const notAfter = { type: 'date', maxDate: 'today' };
+
+  assert.deepEqual(check(notBefore, '2025-06-14'), { value: '2025-06-14' });
+  assert.deepEqual(check(notBefore, '2025-06-13'), { code: 'out_of_range' });
+  assert.deepEqual(check(notAfter, '2025-06-16'), { value: '2025-06-16' });
+  assert.deepEqual(check(notAfter, '2025-06-17'), { code: 'out_of_range' });
+});
+
+test('a "today" default is left to the browser, so a missing date stays empty', () => {
+  assert.deepEqual(check({ type: 'date', defaultValue: 'today' }), { value: '' });
+  assert.deepEqual(check({ type: 'date', defaultValue: 'today', required: true }), { code: 'required' });
+  assert.deepEqual(check({ type: 'date', defaultValue: '2025-11-25' }), { value: '2025-11-25' });
+});
+
+test('image accepts the default asset or an upload id', () => {
+  const variable = { type: 'image', defaultValue: 'Default Logo.png' };
+  assert.deepEqual(check(variable, 'Default Logo.png'), { value: 'Default Logo.png' });
+  assert.deepEqual(check(variable, 'a1b2c3d4-e5f6'), { value: 'a1b2c3d4-e5f6' });
+  assert.deepEqual(check(variable, '../secret.png'), { code: 'invalid_image' });
+  assert.deepEqual(check(variable, 'x'.repeat(65)), { code: 'invalid_image' });
+});
+
+test('missing values use the default, and required values must not be empty', () => {
+  assert.deepEqual(check({ type: 'text', defaultValue: 'Ann' }), { value: 'Ann' });
+  assert.deepEqual(check({ type: 'text' }), { value: '' });
+  assert.deepEqual(check({ type: 'text', required: true }, ''), { code: 'required' });
+  assert.deepEqual(check({ type: 'select', required: true, options: [] }), { code: 'required' });
+  // An optional empty value skips the type checks
+  assert.deepEqual(check({ type: 'number', min: 1 }, ''), { value: '' });
+});
+
+test('unknown fields and non-string values are rejected', () => {
+  const product = { id: 'test', variables: [{ name: 'firstName', type: 'text' }] };
+  const { errors } = validateFormData(product, { productId: 'test', outputProfile: 'print', firstName: ['Ann'], lastName: 'Lee' });
+  assert.deepEqual(errors.map(error => [error.field, error.code]), [
+    ['lastName', 'unknown_field'],
+    ['firstName', 'invalid_type']
+  ]);
+});
+
+test('formatDateValue applies the format tokens and locale', () => {
+  assert.equal(formatDateValue({ name: 'd' }, '2025-03-07'), '07/03/2025');
+  assert.equal(formatDateValue({ name: 'd', format: 'D.M.YY' }, '2025-03-07'), '7.3.25');
+  assert.equal(formatDateValue({ name: 'd', format: 'MMMM D, YYYY' }, '2025-03-07'), 'March 7, 2025');
+  assert.equal(formatDateValue({ name: 'd', format: 'D. MMMM YYYY', locale: 'de-DE' }, '2025-03-07'), '7. März 2025');
+  assert.throws(() => formatDateValue({ name: 'd' }, '2025-02-30'), /Invalid date/);
+});
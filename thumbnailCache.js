@@ -1,82 +1,63 @@
 /**
  * Thumbnail Cache Module
- * Provides persistent caching for template thumbnails.
- * Uses Vercel Blob Storage in production, falls back to in-memory cache for local development.
+ * Provides caching for template thumbnails on top of the storage layer (memory, local files
+ * or Vercel Blob, see storage/index.js).
+ * Thumbnails are stored per product configuration hash, so a changed product never gets
+ * the thumbnail rendered from its previous configuration.
  */
 
-let blob = null;
-let useVercelBlob = false;
+const { createStore, isValidKey } = require('./storage');
 
-// In-memory fallback cache for local development
-const memoryCache = new Map();
-const MEMORY_CACHE_MAX_SIZE = 50; // Max cached thumbnails
-const MEMORY_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour TTL
+const THUMBNAIL_CACHE_MAX_ENTRIES = 50; // Max cached thumbnails
+const THUMBNAIL_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours TTL
+
+let store = null;
 
 /**
  * Initialize the cache
- * Attempts to use Vercel Blob if available, otherwise uses in-memory cache
+ * @param {Object} [env=process.env] - Environment holding the storage settings
  */
-async function initCache() {
-  if (process.env.BLOB_READ_WRITE_TOKEN) {
-    try {
-      blob = await import('@vercel/blob');
-      useVercelBlob = true;
-      console.log('Thumbnail cache: Using Vercel Blob Storage');
-    } catch (error) {
-      console.log('Thumbnail cache: Vercel Blob not available, using in-memory cache');
-      useVercelBlob = false;
-    }
-  } else {
-    console.log('Thumbnail cache: No Blob credentials, using in-memory cache');
-    useVercelBlob = false;
-  }
+async function initCache(env = process.env) {
+  store = await createStore('thumbnails', {
+    ttlMs: THUMBNAIL_CACHE_TTL_MS,
+    maxEntries: THUMBNAIL_CACHE_MAX_ENTRIES,
+    publicUrls: true // Thumbnails show the catalog's own templates, so anyone may read them
+  }, env);
 }
 
 /**
- * Generate a blob path for a product thumbnail
+ * Generate the storage key for a product thumbnail
  * @param {string} productId - The product ID
- * @returns {string} Blob path
+ * @param {string} configHash - Hash of the product configuration
+ * @returns {string} Storage key
  */
-function getBlobPath(productId) {
-  return `thumbnails/${productId}.jpg`;
+function getStorageKey(productId, configHash) {
+  return `${productId}/${configHash}`;
 }
 
 /**
  * Get a thumbnail from cache
  * @param {string} productId - The product ID
- * @returns {Promise<string|null>} Base64 image data URL or null if not cached
+ * @param {string} configHash - Hash of the product configuration
+ * @returns {Promise<string|null>} Public URL or base64 image data URL, or null if not cached
  */
-async function getThumbnail(productId) {
-  const path = getBlobPath(productId);
-  
-  if (useVercelBlob && blob) {
+async function getThumbnail(productId, configHash) {
+  const key = getStorageKey(productId, configHash);
+  if (isValidKey(key)) {
     try {
-      const { head } = blob;
-      // Use head() to check if specific blob exists (more reliable than list)
-      const result = await head(path);
-      
-      if (result && result.url) {
-        console.log(`Thumbnail cache HIT (Blob): ${productId}`);
-        return result.url;
+      // Drivers that serve entries publicly (Blob) hand out the URL instead of the data
+      const meta = await store.head(key);
+      const entry = meta && !meta.url ? await store.get(key) : null;
+      const thumbnail = meta?.url || (entry && `data:${entry.contentType};base64,${entry.data.toString('base64')}`);
+      if (thumbnail) {
+        console.log(`Thumbnail cache HIT (${store.driver}): ${productId}`);
+        return thumbnail;
       }
     } catch (error) {
-      // head() throws NotFoundError if blob doesn't exist - this is expected for cache miss
-      if (error.name !== 'BlobNotFoundError' && !error.message?.includes('not found')) {
-        console.error('Error reading from Vercel Blob:', error.message);
-      }
-    }
-  } else {
-    const cached = memoryCache.get(productId);
-    if (cached) {
-      if (Date.now() > cached.expiresAt) {
-        memoryCache.delete(productId);
-      } else {
-        console.log(`Thumbnail cache HIT (memory): ${productId}`);
-        return cached.data;
-      }
+      console.error('Error reading thumbnail from storage:', error.message);
     }
   }
-  
+
   console.log(`Thumbnail cache MISS: ${productId}`);
   return null;
 }
@@ -84,71 +65,43 @@ async function getThumbnail(productId) {
 /**
  * Store a thumbnail in cache
  * @param {string} productId - The product ID
- * @param {string} imageData - Base64 image data URL (data:image/jpeg;base64,...)
- * @returns {Promise<string|null>} The blob URL if stored, null on failure
+ * @param {string} configHash - Hash of the product configuration
+ * @param {string} imageData - Base64 image data URL (data:image/jpeg;base64,... or image/png)
+ * @returns {Promise<string|null>} Public URL or the data URL if stored, null on failure
  */
-async function setThumbnail(productId, imageData) {
-  const path = getBlobPath(productId);
-  
-  if (useVercelBlob && blob) {
-    try {
-      const { put } = blob;
-      
-      // Convert base64 data URL to buffer
-      const base64Data = imageData.replace(/^data:image\/\w+;base64,/, '');
-      const buffer = Buffer.from(base64Data, 'base64');
-      
-      const result = await put(path, buffer, {
-        access: 'public',
-        contentType: 'image/jpeg',
-        addRandomSuffix: false,
-        allowOverwrite: true
-      });
-      
-      console.log(`Thumbnail cached (Vercel Blob): ${productId} -> ${result.url}`);
-      return result.url;
-    } catch (error) {
-      console.error('Error writing to Vercel Blob:', error.message);
-      return null;
-    }
-  } else {
-    // Evict oldest entry if at capacity
-    if (memoryCache.size >= MEMORY_CACHE_MAX_SIZE) {
-      const oldestKey = memoryCache.keys().next().value;
-      memoryCache.delete(oldestKey);
-    }
-    memoryCache.set(productId, { data: imageData, expiresAt: Date.now() + MEMORY_CACHE_TTL_MS });
-    console.log(`Thumbnail cached (memory): ${productId}`);
-    return imageData;
+async function setThumbnail(productId, configHash, imageData) {
+  const key = getStorageKey(productId, configHash);
+  if (!isValidKey(key)) return null;
+
+  try {
+    const base64Data = imageData.replace(/^data:image\/\w+;base64,/, '');
+    const contentType = imageData.match(/^data:(image\/\w+);/)?.[1] || 'image/jpeg';
+    const { url } = await store.set(key, Buffer.from(base64Data, 'base64'), { contentType });
+    console.log(`Thumbnail cached (${store.driver}): ${productId}`);
+    return url || imageData;
+  } catch (error) {
+    console.error('Error writing thumbnail to storage:', error.message);
+    return null;
   }
 }
 
 /**
  * Invalidate a cached thumbnail
  * @param {string} productId - The product ID
+ * @param {string} configHash - Hash of the product configuration
  * @returns {Promise<boolean>} Success status
  */
-async function invalidateThumbnail(productId) {
-  const path = getBlobPath(productId);
-  
-  if (useVercelBlob && blob) {
-    try {
-      const { del, list } = blob;
-      const result = await list({ prefix: path, limit: 1 });
-      
-      if (result.blobs.length > 0) {
-        await del(result.blobs[0].url);
-        console.log(`Thumbnail invalidated (Vercel Blob): ${productId}`);
-      }
-      return true;
-    } catch (error) {
-      console.error('Error deleting from Vercel Blob:', error.message);
-      return false;
-    }
-  } else {
-    memoryCache.delete(productId);
-    console.log(`Thumbnail invalidated (memory): ${productId}`);
+async function invalidateThumbnail(productId, configHash) {
+  const key = getStorageKey(productId, configHash);
+  if (!isValidKey(key)) return true;
+
+  try {
+    await store.delete(key);
+    console.log(`Thumbnail invalidated (${store.driver}): ${productId}`);
     return true;
+  } catch (error) {
+    console.error('Error deleting thumbnail from storage:', error.message);
+    return false;
   }
 }
 
@@ -157,7 +110,7 @@ async function invalidateThumbnail(productId) {
  * @returns {boolean}
  */
 function isPersistent() {
-  return useVercelBlob;
+  return store.persistent;
 }
 
 module.exports = {
@@ -0,0 +1,293 @@
+/**
+ * Variable Schema Module
+ * Validates submitted form values against the typed variable definitions in products.json.
+ *
+ * Supported variable properties:
+ *   type          text | select | date | number | boolean | color | image
+ *   required      value must be present and non-empty
+ *   minLength     text: minimum number of characters
+ *   maxLength     text: maximum number of characters (defaults to DEFAULT_MAX_LENGTH)
+ *   pattern       text: regular expression the whole value must match
+ *   patternMessage  text: error shown when pattern does not match
+ *   options       select: allowed { value, label } pairs
+ *   min / max     number: inclusive bounds
+ *   integer       number: disallow fractional values
+ *   minDate / maxDate  date: inclusive bounds, YYYY-MM-DD or "today" (see resolveDateBound)
+ *   accept, maxFileSize, minWidth, maxWidth, minHeight, maxHeight
+ *                 image: upload limits, enforced by imageAssets.js
+ *   format        date: output format for the plan (default DD/MM/YYYY)
+ *   locale        date: locale for month names in the output format (default en-US)
+ *
+ * Dates are submitted as YYYY-MM-DD. A date defaultValue may also be "today", which only the
+ * browser resolves (to the user's local date) and submits; a request without the date gets none.
+ */
+
+const VARIABLE_TYPES = ['text', 'select', 'date', 'number', 'boolean', 'color', 'image'];
+
+// Form keys that are not product variables
+const RESERVED_FIELDS = ['productId', 'outputProfile'];
+
+// Upper bound for text values without an explicit maxLength
+const DEFAULT_MAX_LENGTH = 500;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const IMAGE_REF_PATTERN = /^[\w-]{1,64}$/;
+
+const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+const DEFAULT_DATE_LOCALE = 'en-US';
+const DATE_FORMAT_TOKENS = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+const TODAY_TOLERANCE_DAYS = 1; // Time zones put the user's date at most a day from UTC's
+
+/**
+ * Resolve a date bound
+ * "today" is the user's date, which can be a day ahead of or behind the server's (UTC) date
+ * depending on their time zone, so it allows one day more in the direction of the bound.
+ * @param {string} bound - YYYY-MM-DD or "today"
+ * @param {number} direction - -1 for minDate, 1 for maxDate
+ * @returns {string} YYYY-MM-DD
+ */
+function resolveDateBound(bound, direction) {
+  if (bound !== 'today') return bound;
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + direction * TODAY_TOLERANCE_DAYS);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC date, rejecting impossible dates
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseIsoDate(value) {
+  const match = ISO_DATE_PATTERN.exec(value);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Format a validated YYYY-MM-DD value using the variable's format and locale
+ * Supported tokens: YYYY, YY, MMMM (month name), MMM (short month name), MM, M, DD, D
+ * @param {Object} variable - Date variable definition
+ * @param {string} isoValue - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatDateValue(variable, isoValue) {
+  const date = parseIsoDate(isoValue);
+  if (!date) {
+    throw new Error(`Invalid date for ${variable.name}: ${isoValue}`);
+  }
+
+  const locale = variable.locale || DEFAULT_DATE_LOCALE;
+  const monthName = (style) => new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' }).format(date);
+  const year = String(date.getUTCFullYear());
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+
+  return (variable.format || DEFAULT_DATE_FORMAT).replace(DATE_FORMAT_TOKENS, (token) => {
+    switch (token) {
+      case 'YYYY': return year;
+      case 'YY': return year.slice(-2);
+      case 'MMMM': return monthName('long');
+      case 'MMM': return monthName('short');
+      case 'MM': return String(month).padStart(2, '0');
+      case 'M': return String(month);
+      case 'DD': return String(day).padStart(2, '0');
+      default: return String(day);
+    }
+  });
+}
+
+/**
+ * Build the regular expression for a text variable's pattern, which must match the whole value
+ * @param {Object} variable - Text variable definition with a pattern
+ * @returns {RegExp} Throws a SyntaxError if the pattern is invalid
+ */
+function patternRegExp(variable) {
+  return new RegExp(`^(?:${variable.pattern})$`);
+}
+
+/**
+ * Validate one non-empty value against its variable definition
+ * @param {Object} variable - Variable definition from products.json
+ * @param {string} value - Submitted value
+ * @returns {{value?: string, code?: string, message?: string}} Normalized value or an error
+ */
+function validateValue(variable, value) {
+  switch (variable.type) {
+    case 'text': {
+      const maxLength = variable.maxLength ?? DEFAULT_MAX_LENGTH;
+      if (variable.minLength !== undefined && value.length < variable.minLength) {
+        return { code: 'too_short', message: `Must be at least ${variable.minLength} characters` };
+      }
+      if (value.length > maxLength) {
+        return { code: 'too_long', message: `Must be at most ${maxLength} characters` };
+      }
+      if (variable.pattern && !patternRegExp(variable).test(value)) {
+        return { code: 'pattern', message: variable.patternMessage || 'Invalid format' };
+      }
+      return { value };
+    }
+
+    case 'select': {
+      const allowed = (variable.options || []).map(option => option.value);
+      if (!allowed.includes(value)) {
+        return { code: 'not_allowed', message: 'Not one of the available options' };
+      }
+      return { value };
+    }
+
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || !Number.isFinite(number)) {
+        return { code: 'invalid_number', message: 'Must be a number' };
+      }
+      if (variable.integer && !Number.isInteger(number)) {
+        return { code: 'invalid_number', message: 'Must be a whole number' };
+      }
+      if ((variable.min !== undefined && number < variable.min) ||
+          (variable.max !== undefined && number > variable.max)) {
+        const range = [variable.min, variable.max].every(bound => bound !== undefined)
+          ? `between ${variable.min} and ${variable.max}`
+          : (variable.min !== undefined ? `at least ${variable.min}` : `at most ${variable.max}`);
+        return { code: 'out_of_range', message: `Must be ${range}` };
+      }
+      return { value: String(number) };
+    }
+
+    case 'boolean': {
+      if (value !== 'true' && value !== 'false') {
+        return { code: 'invalid_boolean', message: 'Must be true or false' };
+      }
+      return { value };
+    }
+
+    case 'color': {
+      if (!COLOR_PATTERN.test(value)) {
+        return { code: 'invalid_color', message: 'Must be a hex color such as #1A2B3C' };
+      }
+      return { value: value.toUpperCase() };
+    }
+
+    case 'date': {
+      if (!parseIsoDate(value)) {
+        return { code: 'invalid_date', message: 'Must be a valid date (YYYY-MM-DD)' };
+      }
+      // YYYY-MM-DD strings compare correctly as plain strings
+      const minDate = variable.minDate && resolveDateBound(variable.minDate, -1);
+      const maxDate = variable.maxDate && resolveDateBound(variable.maxDate, 1);
+      if (minDate && value < minDate) {
+        const bound = variable.minDate === 'today' ? 'today' : minDate;
+        return { code: 'out_of_range', message: `Must be on or after ${bound}` };
+      }
+      if (maxDate && value > maxDate) {
+        const bound = variable.maxDate === 'today' ? 'today' : maxDate;
+        return { code: 'out_of_range', message: `Must be on or before ${bound}` };
+      }
+      return { value };
+    }
+
+    case 'image': {
+      // Either the configured default campaign asset or an upload's asset id
+      if (value !== variable.defaultValue && !IMAGE_REF_PATTERN.test(value)) {
+        return { code: 'invalid_image', message: 'Invalid image reference' };
+      }
+      return { value };
+    }
+
+    default:
+      return { code: 'unsupported_type', message: `Unsupported variable type: ${variable.type}` };
+  }
+}
+
+/**
+ * Input sanitizer for submitted values
+ * Values are plain text, not HTML: they are trimmed and otherwise kept exactly as typed, so
+ * "<b>", "&lt;" and quotes reach the plan unchanged. QLingo escaping (qlingo.js) is what makes
+ * them safe in a job ticket; they must never be written into HTML or other markup unescaped.
+ * @param {*} value
+ * @returns {*} The trimmed string, or the value itself if it is not a string
+ */
+function sanitizeInput(value) {
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Sanitize all string values in an object
+ * @param {Object} data
+ * @returns {Object}
+ */
+function sanitizeFormData(data) {
+  const sanitized = {};
+  for (const [key, value] of Object.entries(data)) {
+    sanitized[key] = sanitizeInput(value);
+  }
+  return sanitized;
+}
+
+/**
+ * Validate submitted form data against a product's variables
+ * Missing variables fall back to their defaultValue; unknown keys are rejected.
+ * @param {Object} product - Product configuration
+ * @param {Object} formData - Sanitized form data (string values)
+ * @returns {{values: Object, errors: Array<{field: string, code: string, message: string}>}}
+ */
+function validateFormData(product, formData) {
+  const values = { productId: formData.productId };
+  const errors = [];
+  const knownFields = new Set([...RESERVED_FIELDS, ...product.variables.map(v => v.name)]);
+
+  for (const key of Object.keys(formData)) {
+    if (!knownFields.has(key)) {
+      errors.push({ field: key, code: 'unknown_field', message: 'Unknown field' });
+    }
+  }
+
+  product.variables.forEach(variable => {
+    const submitted = formData[variable.name];
+
+    if (submitted !== undefined && typeof submitted !== 'string') {
+      errors.push({ field: variable.name, code: 'invalid_type', message: 'Must be a string value' });
+      return;
+    }
+
+    let value = submitted !== undefined ? submitted : (variable.defaultValue ?? '');
+    if (submitted === undefined && variable.type === 'date' && value === 'today') {
+      // Only the browser knows the user's date (see createDateInput in public/app.js)
+      value = '';
+    }
+
+    if (value === '') {
+      if (variable.required) {
+        errors.push({ field: variable.name, code: 'required', message: `${variable.label || variable.name} is required` });
+      } else {
+        values[variable.name] = '';
+      }
+      return;
+    }
+
+    const result = validateValue(variable, String(value));
+    if (result.code) {
+      errors.push({ field: variable.name, code: result.code, message: result.message });
+    } else {
+      values[variable.name] = result.value;
+    }
+  });
+
+  return { values, errors };
+}
+
+module.exports = {
+  VARIABLE_TYPES,
+  RESERVED_FIELDS,
+  sanitizeInput,
+  sanitizeFormData,
+  validateFormData,
+  formatDateValue,
+  patternRegExp
+};